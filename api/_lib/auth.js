@@ -0,0 +1,216 @@
+// 管理员认证：密码哈希校验 + 签名会话 Cookie
+// 会话中带有签发时的会话版本，登出时版本加一，之前签发的会话全部失效
+const crypto = require('crypto');
+const store = require('./store');
+
+// 会话 Cookie 名称
+const SESSION_COOKIE = 'admin_session';
+
+// 会话有效期（24小时，与原前端登录保持一致）
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// scrypt 参数
+const SCRYPT_KEYLEN = 64;
+
+// 生成密码哈希（格式：scrypt$<salt>$<hash>，用于配置 ADMIN_PASSWORD_HASH）
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+// 校验密码是否与环境变量中的哈希匹配
+function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return false;
+  }
+
+  const parts = storedHash.split('$');
+  if (parts.length !== 3 || parts[0] !== 'scrypt') {
+    return false;
+  }
+
+  const [, salt, hashHex] = parts;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+
+  return expected.length > 0 && crypto.timingSafeEqual(expected, actual);
+}
+
+// 获取会话签名密钥
+function getSessionSecret() {
+  return process.env.SESSION_SECRET || null;
+}
+
+// 检查服务端认证配置是否完整
+function isAuthConfigured() {
+  return !!(process.env.ADMIN_PASSWORD_HASH && getSessionSecret());
+}
+
+// 计算签名
+function sign(value, secret) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+// 当前会话版本；存储不可用时为 0（此时服务器也无法保存任何内容）
+async function getSessionVersion() {
+  if (!(await store.isAvailable())) {
+    return 0;
+  }
+  return (await store.auth.get('session-version')) || 0;
+}
+
+// 会话版本加一，使已签发的会话全部失效（复制出去的 Cookie、其他设备上的登录也不能再使用）
+async function revokeSessions() {
+  if (!(await store.isAvailable())) {
+    return;
+  }
+  await store.auth.update('session-version', current => (current || 0) + 1);
+}
+
+// 创建会话令牌（payload.signature），version 为签发时的会话版本
+function createSessionToken(version = 0, secret = getSessionSecret()) {
+  const payload = {
+    sid: crypto.randomBytes(16).toString('hex'),
+    exp: Date.now() + SESSION_TTL_MS,
+    ver: version
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return {
+    token: `${encoded}.${sign(encoded, secret)}`,
+    session: payload
+  };
+}
+
+// 校验会话令牌，成功返回 { sid, exp }，否则返回 null
+function verifySessionToken(token, secret = getSessionSecret()) {
+  if (!token || !secret) {
+    return null;
+  }
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(encoded, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (!payload || typeof payload.exp !== 'number' || payload.exp <= Date.now()) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 解析 Cookie 请求头
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) {
+    return cookies;
+  }
+
+  header.split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    }
+  });
+  return cookies;
+}
+
+// 校验令牌并检查会话版本（登出后签发的旧会话无效）
+async function verifySession(token) {
+  const session = verifySessionToken(token);
+  if (!session || (session.ver || 0) !== await getSessionVersion()) {
+    return null;
+  }
+  return session;
+}
+
+// 从 Node 请求（req.headers.cookie）中读取会话
+function getSession(req) {
+  const cookies = parseCookies(req.headers && req.headers.cookie);
+  return verifySession(cookies[SESSION_COOKIE]);
+}
+
+// 从 Web 标准 Request（Next 风格处理器）中读取会话
+function getRequestSession(request) {
+  const cookies = parseCookies(request.headers.get('cookie'));
+  return verifySession(cookies[SESSION_COOKIE]);
+}
+
+// 鉴权守卫：未登录时直接返回 401，调用方拿到 null 后应立即 return
+// 读取会话版本失败时返回 503（不能确认会话是否已登出）
+async function requireAuth(req, res) {
+  let session;
+  try {
+    session = await getSession(req);
+  } catch (error) {
+    console.error('检查会话失败:', error);
+    res.status(503).json({ success: false, error: 'Session check failed' });
+    return null;
+  }
+  if (!session) {
+    res.status(401).json({ success: false, error: 'Unauthorized' });
+    return null;
+  }
+  return session;
+}
+
+// 构造 Set-Cookie 值
+function buildSessionCookie(token, maxAgeSeconds) {
+  const attributes = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAgeSeconds}`
+  ];
+  // 本地 http 开发环境下浏览器会拒绝 Secure Cookie
+  if (process.env.NODE_ENV === 'production' || process.env.VERCEL) {
+    attributes.push('Secure');
+  }
+  return attributes.join('; ');
+}
+
+// 写入会话 Cookie
+function setSessionCookie(res, token) {
+  res.setHeader('Set-Cookie', buildSessionCookie(token, Math.floor(SESSION_TTL_MS / 1000)));
+}
+
+// 清除会话 Cookie
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', buildSessionCookie('', 0));
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  isAuthConfigured,
+  getSessionVersion,
+  revokeSessions,
+  createSessionToken,
+  verifySessionToken,
+  parseCookies,
+  getSession,
+  getRequestSession,
+  requireAuth,
+  setSessionCookie,
+  clearSessionCookie
+};
@@ -0,0 +1,239 @@
+// 整站备份：把项目信息、项目媒体列表、文字内容导出为一个带版本号的 JSON 文件，导入时先完整校验再写入
+// 备份文件格式（version 1）：
+//   { format: 'portfolio-backup', version: 1, exportedAt,
+//     projects, projectMedia: { <项目 id>: [...] }, text: { <分区>:<键名>: 内容 }, local: { <键名>: 内容 } }
+// local 是旧版本中只保存在浏览器里的内容（技能、导航文字等），导入时写入 about 分区（text 中已有同名内容时忽略）
+// 媒体文件本身由前端另外打包（见 script.js）：导出时按 collectBackupFiles 列出的地址下载，
+// 导入时重新上传，并在请求中附带 urlMap: { <旧地址>: <新地址> }，由 remapBackupUrls 替换所有引用文件的字段
+const store = require('./store');
+const { validate } = require('./schema');
+const schemas = require('./schemas');
+const { projectsDoc, textDoc, recordRevision } = require('./revisions');
+const {
+  IMAGE_CONTENT_SECTION,
+  IMAGE_CONTENT_KEYS,
+  isLegacyImageContent,
+  parseImageContent,
+  migrateImageContent
+} = require('./image-content');
+
+const BACKUP_FORMAT = 'portfolio-backup';
+const BACKUP_VERSION = 1;
+
+// 文字内容的名称拆分为 { key, section }（about:contactText → section about，key contactText）
+function parseTextKey(storageKey) {
+  const index = storageKey.indexOf(':');
+  return index === -1
+    ? { key: storageKey }
+    : { section: storageKey.slice(0, index), key: storageKey.slice(index + 1) };
+}
+
+async function exportBackup() {
+  const projects = await store.projects.get();
+
+  const projectMedia = {};
+  for (const projectId of await store.media.list()) {
+    const mediaArray = await store.media.get(projectId);
+    if (Array.isArray(mediaArray)) {
+      projectMedia[projectId] = mediaArray;
+    }
+  }
+
+  const text = {};
+  for (const section of schemas.TEXT_SECTIONS) {
+    for (const key of await store.text.list(section)) {
+      const content = await store.text.get(key, section);
+      if (typeof content === 'string') {
+        text[store.keys.textName(key, section)] = content;
+      }
+    }
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...(projects ? { projects } : {}),
+    projectMedia,
+    text
+  };
+}
+
+const fileNameOf = url => decodeURIComponent(url.split('?')[0].split('/').pop() || 'file');
+
+// 备份引用的文件：项目媒体的原文件、衍生图片、视频封面帧、演示文稿的 PDF，以及个人照片和二维码
+// 返回 [{ url, name, mimeType }]（地址不重复）；HLS 码流是整个目录，不打包，导入到新的存储后需要重新转码
+function collectBackupFiles(backup) {
+  const files = new Map();
+  const add = (url, name, mimeType) => {
+    if (typeof url === 'string' && /^https?:\/\//.test(url) && !files.has(url)) {
+      files.set(url, { url, name: name || fileNameOf(url), ...(mimeType ? { mimeType } : {}) });
+    }
+  };
+
+  Object.values(backup.projectMedia || {}).forEach(mediaArray => {
+    mediaArray.filter(Boolean).forEach(media => {
+      add(media.url, media.name, media.mimeType);
+      (Array.isArray(media.variants) ? media.variants : []).forEach(variant => {
+        add(variant.url, null, `image/${variant.format}`);
+      });
+      if (media.poster) {
+        add(media.poster.url);
+      }
+      if (media.pdf) {
+        add(media.pdf.url, null, 'application/pdf');
+      }
+    });
+  });
+
+  IMAGE_CONTENT_KEYS.forEach(key => {
+    const image = parseImageContent((backup.text || {})[store.keys.textName(key, IMAGE_CONTENT_SECTION)]);
+    if (image && !image.legacy) {
+      add(image.url);
+    }
+  });
+
+  return [...files.values()];
+}
+
+// 按 urlMap 替换备份中所有引用文件的字段，返回新的备份（不修改传入的对象）
+// 原文件已换到新地址、而衍生文件（衍生图片、封面帧、PDF、HLS）不在 urlMap 中时去掉这些字段，
+// 避免指向旧存储；衍生图片和 PDF 之后会重新生成，HLS 需要重新运行转码脚本
+function remapBackupUrls(backup, urlMap) {
+  const mapping = new Map(Object.entries(urlMap || {}));
+  if (mapping.size === 0) {
+    return backup;
+  }
+
+  const remapMedia = media => {
+    if (!media) {
+      return media;
+    }
+    const moved = mapping.has(media.url);
+    const remapped = { ...media, url: mapping.get(media.url) || media.url };
+    // 单个文件的字段：在 urlMap 中时替换地址，原文件已移动而该文件没有打包时去掉
+    ['poster', 'pdf', 'hls'].forEach(field => {
+      if (!media[field]) {
+        return;
+      }
+      if (mapping.has(media[field].url)) {
+        remapped[field] = { ...media[field], url: mapping.get(media[field].url) };
+      } else if (moved) {
+        delete remapped[field];
+      }
+    });
+    if (Array.isArray(media.variants)) {
+      const variants = media.variants
+        .filter(variant => mapping.has(variant.url) || !moved)
+        .map(variant => ({ ...variant, url: mapping.get(variant.url) || variant.url }));
+      if (variants.length > 0) {
+        remapped.variants = variants;
+      } else {
+        delete remapped.variants;
+      }
+    }
+    return remapped;
+  };
+
+  const projectMedia = {};
+  Object.entries(backup.projectMedia || {}).forEach(([projectId, mediaArray]) => {
+    projectMedia[projectId] = mediaArray.map(remapMedia);
+  });
+
+  const text = { ...backup.text };
+  IMAGE_CONTENT_KEYS.forEach(key => {
+    const storageKey = store.keys.textName(key, IMAGE_CONTENT_SECTION);
+    const image = parseImageContent(text[storageKey]);
+    if (image && !image.legacy && mapping.has(image.url)) {
+      text[storageKey] = JSON.stringify({ ...image, url: mapping.get(image.url) });
+    }
+  });
+
+  return {
+    ...backup,
+    ...(backup.projectMedia ? { projectMedia } : {}),
+    ...(backup.text ? { text } : {})
+  };
+}
+
+// 校验备份文件，返回出错的字段列表（为空表示可以导入）
+function validateBackup(backup) {
+  const errors = validate(schemas.backup, backup);
+  if (errors.length > 0) {
+    return errors;
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return [{ field: 'version', message: `must be at most ${BACKUP_VERSION} (backup is from a newer version)` }];
+  }
+
+  // 文字内容按键名对应的格式校验（与 text-content 保存时相同）
+  const checkEntries = (group, entries, toEntry) => {
+    Object.keys(entries || {}).forEach(storageKey => {
+      const entry = toEntry(storageKey);
+      // 旧备份中以 data URL 保存的图片导入后再迁移到 Blob
+      if (IMAGE_CONTENT_KEYS.includes(entry.key) && isLegacyImageContent(entries[storageKey])) {
+        return;
+      }
+      validate(schemas.textEntry(entry.key), { ...entry, content: entries[storageKey] })
+        .forEach(error => {
+          // content[0].date → text.about:experiences[0].date；键名本身的错误附上字段名
+          const suffix = error.field.startsWith('content')
+            ? error.field.slice('content'.length)
+            : ` (${error.field})`;
+          errors.push({ field: `${group}.${storageKey}${suffix}`, message: error.message });
+        });
+    });
+  };
+  checkEntries('text', backup.text, parseTextKey);
+  checkEntries('local', backup.local, key => ({ key, section: 'about' }));
+  return errors;
+}
+
+// 写入备份中的服务器数据（调用前先 validateBackup）；备份中没有的键保持不变
+// 带有 urlMap 时先替换其中的文件地址（见 remapBackupUrls）
+async function importBackup(data, session) {
+  const { urlMap, ...backup } = remapBackupUrls(data, data.urlMap);
+  const summary = { projects: 0, projectMedia: 0, text: 0 };
+
+  if (backup.projects) {
+    const { previous } = await store.projects.setIfMatch(backup.projects, null);
+    await recordRevision(projectsDoc(), previous, backup.projects, session, 'import');
+    summary.projects = Object.keys(backup.projects).length;
+  }
+
+  for (const [projectId, mediaArray] of Object.entries(backup.projectMedia || {})) {
+    await store.media.set(projectId, mediaArray);
+    summary.projectMedia++;
+  }
+
+  const text = { ...backup.text };
+  Object.entries(backup.local || {}).forEach(([key, content]) => {
+    const storageKey = store.keys.textName(key, 'about');
+    if (text[storageKey] === undefined) {
+      text[storageKey] = content;
+    }
+  });
+
+  for (const [storageKey, content] of Object.entries(text)) {
+    const { key, section } = parseTextKey(storageKey);
+    const previous = await store.text.replace(key, section, content);
+    await recordRevision(textDoc(key, section), previous, content, session, 'import');
+    summary.text++;
+  }
+
+  if (Object.values(text).some(isLegacyImageContent)) {
+    summary.migratedImages = await migrateImageContent(session);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  exportBackup,
+  collectBackupFiles,
+  remapBackupUrls,
+  validateBackup,
+  importBackup
+};
@@ -0,0 +1,67 @@
+// 演示文稿的 PDF 预览：由 scripts/convert-ppt.js 用 LibreOffice 把 PPT/PPTX 转换为 PDF
+// 上传演示文稿后触发 GitHub Actions 中的 convert-ppt 工作流（.github/workflows/convert-ppt.yml）转换该文件，
+// 工作流同时定时运行，补上触发失败或通过整个列表保存的文件；也可以在本地运行脚本
+// 文件保存在 public-videos/documents/<媒体 id>/<生成时间戳>.pdf，记录在媒体项的 pdf 中：{ url, size, createdAt }
+// 转换失败时记录 pdfError: { message, failedAt }，定时运行不再重试
+// 前端预览时用 pdf.js 逐页显示（PDF 文件直接显示原文件），还没有 pdf 时显示“预览生成中”
+const { del } = require('@vercel/blob');
+const { UPLOAD_PATH_PREFIX } = require('./upload-policy');
+
+const DOCUMENT_PATH_PREFIX = `${UPLOAD_PATH_PREFIX}documents/`;
+
+const BLOB_TOKEN = process.env.BLOB_READ_WRITE_TOKEN;
+
+const CONVERT_WORKFLOW = 'convert-ppt.yml';
+
+// 一次转换结果的存储路径（每次重新生成都使用新路径，浏览器缓存的旧版本不受影响）
+function documentPathname(mediaId, timestamp) {
+  return `${DOCUMENT_PATH_PREFIX}${mediaId}/${timestamp}.pdf`;
+}
+
+function hasDocumentPreview(media) {
+  return Boolean(media && media.pdf && typeof media.pdf.url === 'string');
+}
+
+// 触发转换工作流，只转换这一项；没有配置 CONVERT_PPT_REPOSITORY（owner/repo）和 CONVERT_PPT_GITHUB_TOKEN 时返回 false
+async function requestDocumentPreview(projectId, mediaId) {
+  const repository = process.env.CONVERT_PPT_REPOSITORY;
+  const token = process.env.CONVERT_PPT_GITHUB_TOKEN;
+  if (!repository || !token) {
+    return false;
+  }
+  const response = await fetch(
+    `https://api.github.com/repos/${repository}/actions/workflows/${CONVERT_WORKFLOW}/dispatches`,
+    {
+      method: 'POST',
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        ref: process.env.CONVERT_PPT_REF || 'main',
+        inputs: { project: projectId, id: mediaId }
+      })
+    }
+  );
+  if (!response.ok) {
+    throw new Error(`Failed to start conversion (${response.status})`);
+  }
+  return true;
+}
+
+// 删除一项媒体的 PDF 预览（失败时留给孤立文件清理）
+async function deleteDocumentPreview(media) {
+  if (!hasDocumentPreview(media)) {
+    return;
+  }
+  await del(media.pdf.url, { token: BLOB_TOKEN });
+}
+
+module.exports = {
+  DOCUMENT_PATH_PREFIX,
+  documentPathname,
+  hasDocumentPreview,
+  requestDocumentPreview,
+  deleteDocumentPreview
+};
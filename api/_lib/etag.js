@@ -0,0 +1,33 @@
+// 文档版本与 HTTP 头之间的转换：读取时通过 ETag 返回版本，保存时通过 If-Match 带回
+function setVersionHeader(res, version) {
+  res.setHeader('ETag', `"${version}"`);
+}
+
+// 读取 If-Match 中的版本；没有该请求头或为 * 时返回 null（不检查版本）
+function getIfMatch(req) {
+  const header = req.headers && req.headers['if-match'];
+  if (!header || header.trim() === '*') {
+    return null;
+  }
+  return header.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+}
+
+// 保存整份文档的请求必须带 If-Match：版本号表示只在版本一致时写入，* 表示明确要求直接覆盖
+// 没有该请求头时返回 428 并返回 false，不带版本的旧页面或脚本不会悄悄覆盖较新的内容
+function requireIfMatch(req, res) {
+  const header = req.headers && req.headers['if-match'];
+  if (!header || !header.trim()) {
+    res.status(428).json({
+      success: false,
+      error: 'If-Match header required (use the current version, or * to overwrite)'
+    });
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  setVersionHeader,
+  getIfMatch,
+  requireIfMatch
+};
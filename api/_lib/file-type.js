@@ -0,0 +1,180 @@
+// 根据文件头（magic bytes）识别文件类型，不依赖客户端提供的 MIME 类型
+
+// 识别文件类型至少需要读取的字节数（pptx 需要在 zip 目录中查找 ppt/）
+const SNIFF_BYTES = 64 * 1024;
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.subarray(start, end).toString('latin1');
+}
+
+// ISO-BMFF（mp4/mov/heic/avif）：第 4~8 字节为 ftyp，之后是品牌
+function detectFtyp(buffer) {
+  if (buffer.length < 12 || ascii(buffer, 4, 8) !== 'ftyp') {
+    return null;
+  }
+  const brand = ascii(buffer, 8, 12);
+  if (brand === 'avif' || brand === 'avis') {
+    return { mimeType: 'image/avif', ext: 'avif' };
+  }
+  if (['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) {
+    return { mimeType: 'image/heic', ext: 'heic' };
+  }
+  if (brand === 'qt  ') {
+    return { mimeType: 'video/quicktime', ext: 'mov' };
+  }
+  if (brand.startsWith('3g')) {
+    return { mimeType: 'video/3gpp', ext: '3gp' };
+  }
+  if (brand === 'M4V ' || brand === 'M4VH' || brand === 'M4VP') {
+    return { mimeType: 'video/x-m4v', ext: 'm4v' };
+  }
+  // isom、mp41、mp42、avc1、dash 等都按 mp4 处理
+  return { mimeType: 'video/mp4', ext: 'mp4' };
+}
+
+// EBML（webm/mkv）：在头部查找 DocType
+function detectEbml(buffer) {
+  if (!startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return null;
+  }
+  const header = ascii(buffer, 0, Math.min(buffer.length, 64));
+  if (header.includes('webm')) {
+    return { mimeType: 'video/webm', ext: 'webm' };
+  }
+  return { mimeType: 'video/x-matroska', ext: 'mkv' };
+}
+
+// zip：只接受 pptx（目录中包含 ppt/ 开头的条目）
+function detectZip(buffer) {
+  if (!startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    return null;
+  }
+  if (ascii(buffer, 0, Math.min(buffer.length, SNIFF_BYTES)).includes('ppt/')) {
+    return {
+      mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      ext: 'pptx'
+    };
+  }
+  return { mimeType: 'application/zip', ext: 'zip' };
+}
+
+// 识别文件类型，无法识别时返回 null
+function detectFileType(buffer) {
+  if (!buffer || buffer.length < 4) {
+    return null;
+  }
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return { mimeType: 'image/jpeg', ext: 'jpg' };
+  }
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { mimeType: 'image/png', ext: 'png' };
+  }
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') {
+    return { mimeType: 'image/gif', ext: 'gif' };
+  }
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') {
+    return { mimeType: 'image/webp', ext: 'webp' };
+  }
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'AVI ') {
+    return { mimeType: 'video/x-msvideo', ext: 'avi' };
+  }
+  // BMP：BM 后第 14 字节为 DIB 头长度，只接受标准长度，避免把 BM 开头的文本当成图片
+  if (startsWith(buffer, [0x42, 0x4d]) && buffer.length >= 18
+    && [12, 40, 52, 56, 64, 108, 124].includes(buffer.readUInt32LE(14))) {
+    return { mimeType: 'image/bmp', ext: 'bmp' };
+  }
+  if (ascii(buffer, 0, 5) === '%PDF-') {
+    return { mimeType: 'application/pdf', ext: 'pdf' };
+  }
+  // OLE 复合文档（旧版 ppt；doc/xls 也是这种格式，声明类型不是 ppt 时会被拒绝）
+  if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return { mimeType: 'application/vnd.ms-powerpoint', ext: 'ppt' };
+  }
+  // MPEG-TS / MPEG-PS
+  if (buffer[0] === 0x47 && buffer.length > 188 && buffer[188] === 0x47) {
+    return { mimeType: 'video/mp2t', ext: 'ts' };
+  }
+  if (startsWith(buffer, [0x00, 0x00, 0x01, 0xba])) {
+    return { mimeType: 'video/mpeg', ext: 'mpg' };
+  }
+
+  return detectFtyp(buffer) || detectEbml(buffer) || detectZip(buffer);
+}
+
+// 从图片文件头读取宽高（支持 jpeg、png、gif、webp），无法识别时返回 null
+function detectImageSize(buffer) {
+  if (!buffer || buffer.length < 24) {
+    return null;
+  }
+
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47])) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (ascii(buffer, 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP' && buffer.length >= 30) {
+    const chunk = ascii(buffer, 12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  // jpeg：依次跳过各段，直到 SOF 段（C0~CF，不含 C4 DHT、C8、CC DAC）
+  if (startsWith(buffer, [0xff, 0xd8])) {
+    let offset = 2;
+    while (offset + 9 <= buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+      const marker = buffer[offset + 1];
+      if (marker === 0xff) {
+        offset++;
+        continue;
+      }
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+// 读取远程文件（Blob 公开地址）的开头部分用于识别类型
+async function readRemoteHead(url, bytes = SNIFF_BYTES) {
+  const response = await fetch(url, { headers: { Range: `bytes=0-${bytes - 1}` } });
+  if (!response.ok) {
+    throw new Error(`Failed to read file: ${response.status}`);
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  // 不支持 Range 的服务器会返回整个文件，只保留开头部分
+  return buffer.subarray(0, bytes);
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  detectFileType,
+  detectImageSize,
+  readRemoteHead
+};
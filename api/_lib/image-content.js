@@ -0,0 +1,115 @@
+// 文字内容中的图片（个人照片、联系二维码）：图片文件保存在 Blob 中，内容只记录 { url, width, height }
+// 旧版本把压缩后的 base64 data URL 直接存在内容里，migrateImageContent 把它们上传到 Blob 并改成新格式
+const { put } = require('@vercel/blob');
+const store = require('./store');
+const { detectFileType, detectImageSize } = require('./file-type');
+const { buildUploadPathname } = require('./upload-policy');
+const { textDoc, recordRevision } = require('./revisions');
+
+const IMAGE_CONTENT_SECTION = 'about';
+const IMAGE_CONTENT_KEYS = ['profilePhoto', 'qrCode'];
+
+const BLOB_TOKEN = process.env.BLOB_READ_WRITE_TOKEN;
+
+function isLegacyImageContent(content) {
+  return typeof content === 'string' && content.startsWith('data:');
+}
+
+// 解析图片内容，返回 { url, width, height }；旧格式返回 { url, legacy: true }，无法解析时返回 null
+function parseImageContent(content) {
+  if (isLegacyImageContent(content)) {
+    return { url: content, legacy: true };
+  }
+  try {
+    const image = JSON.parse(content);
+    return image && typeof image.url === 'string' ? image : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 所有图片内容引用的 Blob 地址（清理孤立文件时保留）
+async function collectImageContentUrls() {
+  const urls = new Set();
+  for (const key of IMAGE_CONTENT_KEYS) {
+    const image = parseImageContent(await store.text.get(key, IMAGE_CONTENT_SECTION));
+    if (image && !image.legacy) {
+      urls.add(image.url);
+    }
+  }
+  return urls;
+}
+
+// 把一个 base64 data URL 上传到 Blob，返回新的图片内容
+async function uploadLegacyImage(key, dataUrl) {
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataUrl);
+  if (!match) {
+    throw new Error(`${key} is not a valid data URL`);
+  }
+  const buffer = match[2]
+    ? Buffer.from(match[3], 'base64')
+    : Buffer.from(decodeURIComponent(match[3]), 'utf8');
+
+  const type = detectFileType(buffer);
+  if (!type || !type.mimeType.startsWith('image/')) {
+    throw new Error(`${key} is not an image`);
+  }
+  const size = detectImageSize(buffer);
+
+  const blob = await put(buildUploadPathname(`${key}.${type.ext}`), buffer, {
+    access: 'public',
+    contentType: type.mimeType,
+    addRandomSuffix: false,
+    token: BLOB_TOKEN
+  });
+  return {
+    url: blob.url,
+    ...(size ? { width: size.width, height: size.height } : {})
+  };
+}
+
+// 修改历史中删除旧格式（base64）的版本，迁移之后不再把图片内容留在 Redis 中
+async function dropLegacyImageRevisions(key) {
+  const { doc } = textDoc(key, IMAGE_CONTENT_SECTION);
+  await store.revisions.update(doc, current => {
+    if (!Array.isArray(current) || !current.some(revision => isLegacyImageContent(revision.value))) {
+      return undefined;
+    }
+    return current.filter(revision => !isLegacyImageContent(revision.value));
+  });
+}
+
+// 把旧格式的图片内容迁移到 Blob，返回每个键的结果 [{ key, url } 或 { key, error }]
+// 已经是新格式或没有内容的键跳过；修改历史中只记录迁移后的地址
+async function migrateImageContent(session) {
+  const results = [];
+  for (const key of IMAGE_CONTENT_KEYS) {
+    const content = await store.text.get(key, IMAGE_CONTENT_SECTION);
+    if (!isLegacyImageContent(content)) {
+      continue;
+    }
+    try {
+      const image = await uploadLegacyImage(key, content);
+      const next = JSON.stringify(image);
+      await store.text.replace(key, IMAGE_CONTENT_SECTION, next);
+      await dropLegacyImageRevisions(key);
+      // 不传入旧内容，避免把 base64 记为初始版本
+      await recordRevision(textDoc(key, IMAGE_CONTENT_SECTION), null, next, session, 'migrate');
+      console.log(`已将 ${key} 迁移到 Blob:`, image.url);
+      results.push({ key, url: image.url });
+    } catch (error) {
+      console.error(`迁移 ${key} 失败:`, error);
+      results.push({ key, error: error.message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  IMAGE_CONTENT_SECTION,
+  IMAGE_CONTENT_KEYS,
+  isLegacyImageContent,
+  parseImageContent,
+  collectImageContentUrls,
+  migrateImageContent
+};
@@ -0,0 +1,118 @@
+// 图片衍生版本：上传后为图片生成缩略图、中图、大图三种宽度的 AVIF 和 WebP，画廊通过 srcset 按需加载
+// 衍生文件保存在 public-videos/variants/<媒体 id>/ 下，记录在媒体项的 variants 中：
+//   [{ name: 'thumb', width, height, format: 'webp', url, size }, ...]
+// 生成失败时记录 variantsError: { message, failedAt }
+const { put, del } = require('@vercel/blob');
+const { UPLOAD_PATH_PREFIX, isBlobUrl } = require('./upload-policy');
+
+// 各尺寸的最大宽度（原图更小时不放大，相同宽度只生成一次）
+const IMAGE_VARIANTS = [
+  { name: 'thumb', width: 400 },
+  { name: 'medium', width: 1200 },
+  { name: 'full', width: 2400 }
+];
+
+// 生成的格式及编码参数
+const VARIANT_FORMATS = [
+  { format: 'avif', contentType: 'image/avif', options: { quality: 50 } },
+  { format: 'webp', contentType: 'image/webp', options: { quality: 75 } }
+];
+
+// 超过该大小的原图不处理（避免函数内存不足）
+const MAX_SOURCE_SIZE = 50 * 1024 * 1024;
+
+const BLOB_TOKEN = process.env.BLOB_READ_WRITE_TOKEN;
+
+function hasVariants(media) {
+  return Boolean(media && Array.isArray(media.variants) && media.variants.length > 0);
+}
+
+// 需要生成衍生版本的媒体项：本站 Blob 存储中的图片（data URL、外部链接、SVG、GIF 动图跳过）
+// 生成失败过的图片记录了 variantsError，补全时跳过，只能按 id 单独重新生成
+// 只下载本站存储中的文件，服务器不会替任何人请求其他地址
+function needsVariants(media) {
+  return Boolean(
+    media &&
+    media.type === 'image' &&
+    isBlobUrl(media.url) &&
+    !['image/svg+xml', 'image/gif'].includes(media.mimeType) &&
+    !hasVariants(media) &&
+    !media.variantsError
+  );
+}
+
+async function fetchSource(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch image (${response.status})`);
+  }
+  const length = parseInt(response.headers.get('content-length'), 10);
+  if (length > MAX_SOURCE_SIZE) {
+    throw new Error('Image too large to process');
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > MAX_SOURCE_SIZE) {
+    throw new Error('Image too large to process');
+  }
+  return buffer;
+}
+
+// 为一项图片生成衍生版本，返回需要记录到媒体项上的字段 { width, height, variants }
+async function generateImageVariants(media) {
+  // 只在生成时加载 sharp（原生模块，加载较慢），media.js 的其他操作不依赖它
+  const sharp = require('sharp');
+  const source = await fetchSource(media.url);
+  // rotate() 按 EXIF 方向摆正，方向为 5-8（旋转 90°）时宽高互换
+  const metadata = await sharp(source).metadata();
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const widths = new Set();
+  const sizes = IMAGE_VARIANTS
+    .map(variant => ({ ...variant, width: Math.min(variant.width, width) }))
+    .filter(variant => !widths.has(variant.width) && widths.add(variant.width));
+
+  const variants = [];
+  for (const size of sizes) {
+    for (const { format, contentType, options } of VARIANT_FORMATS) {
+      const { data, info } = await sharp(source)
+        .rotate()
+        .resize({ width: size.width, withoutEnlargement: true })
+        .toFormat(format, options)
+        .toBuffer({ resolveWithObject: true });
+
+      const blob = await put(
+        `${UPLOAD_PATH_PREFIX}variants/${media.id}/${size.name}-${info.width}.${format}`,
+        data,
+        { access: 'public', contentType, addRandomSuffix: false, token: BLOB_TOKEN }
+      );
+      variants.push({
+        name: size.name,
+        width: info.width,
+        height: info.height,
+        format,
+        url: blob.url,
+        size: data.length
+      });
+    }
+  }
+
+  return { width, height, variants };
+}
+
+// 删除一项媒体的衍生文件（失败时留给孤立文件清理）
+async function deleteImageVariants(media) {
+  if (!hasVariants(media)) {
+    return;
+  }
+  await del(media.variants.map(variant => variant.url), { token: BLOB_TOKEN });
+}
+
+module.exports = {
+  IMAGE_VARIANTS,
+  VARIANT_FORMATS,
+  needsVariants,
+  generateImageVariants,
+  deleteImageVariants
+};
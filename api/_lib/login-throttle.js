@@ -0,0 +1,59 @@
+// 登录失败限流：同一 IP 在时间窗口内密码错误达到上限后暂时拒绝登录
+// 每个 IP 一个计数键（auth:login-failures:<ip>），第一次失败时设置过期时间，窗口结束后自动删除
+const store = require('./store');
+
+// 每个时间窗口内允许的失败次数
+const MAX_LOGIN_FAILURES = 5;
+
+// 时间窗口（15 分钟，从第一次失败开始计算）
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+const failuresKey = ip => `login-failures:${ip}`;
+
+// 客户端 IP（Vercel 上由平台写入 x-forwarded-for，客户端无法伪造）
+function getClientIp(req) {
+  const headers = req.headers || {};
+  const forwarded = headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return headers['x-real-ip'] || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// 该 IP 还需要等待的秒数，没有被限制时返回 0；存储不可用时不限制
+async function getLockoutSeconds(ip) {
+  if (!(await store.isAvailable())) {
+    return 0;
+  }
+  const count = await store.auth.get(failuresKey(ip));
+  if (!count || count < MAX_LOGIN_FAILURES) {
+    return 0;
+  }
+  const ttl = await store.auth.ttl(failuresKey(ip));
+  return ttl ? Math.ceil(ttl / 1000) : 0;
+}
+
+// 记录一次密码错误（原子计数，同时失败的多个请求都会被计入）
+async function recordLoginFailure(ip) {
+  if (!(await store.isAvailable())) {
+    return;
+  }
+  await store.auth.increment(failuresKey(ip), LOGIN_FAILURE_WINDOW_MS);
+}
+
+// 登录成功后清除该 IP 的失败记录
+async function clearLoginFailures(ip) {
+  if (!(await store.isAvailable())) {
+    return;
+  }
+  await store.auth.delete(failuresKey(ip));
+}
+
+module.exports = {
+  MAX_LOGIN_FAILURES,
+  LOGIN_FAILURE_WINDOW_MS,
+  getClientIp,
+  getLockoutSeconds,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,142 @@
+// 项目媒体列表：每一项都有唯一的 id，删除、修改、预览都按 id 定位，不依赖在数组中的位置
+const crypto = require('crypto');
+const store = require('./store');
+const { seedProjectMedia } = require('./media-seed');
+
+// 允许通过接口修改的字段（url、类型、大小等由上传结果决定，不能修改）
+// poster 为视频的封面帧 { url, width, height, time }
+const EDITABLE_FIELDS = ['name', 'poster'];
+
+function createMediaId() {
+  return crypto.randomUUID();
+}
+
+// 给缺少 id（或 id 重复）的项分配新 id，没有变化时返回 null
+function assignMissingIds(mediaArray) {
+  const seen = new Set();
+  let changed = false;
+  const items = mediaArray.map(media => {
+    if (!media || typeof media !== 'object') {
+      return media;
+    }
+    if (typeof media.id !== 'string' || !media.id || seen.has(media.id)) {
+      changed = true;
+      media = { ...media, id: createMediaId() };
+    }
+    seen.add(media.id);
+    return media;
+  });
+  return changed ? items : null;
+}
+
+function withMediaIds(mediaArray) {
+  return assignMissingIds(mediaArray) || mediaArray;
+}
+
+// 读取项目媒体列表：首次读取时写入初始数据，旧数据中没有 id 的项补上 id 并保存
+async function loadProjectMedia(projectId) {
+  let mediaArray = await store.media.get(projectId);
+  if (!mediaArray) {
+    const seed = seedProjectMedia[projectId];
+    if (!seed) {
+      return [];
+    }
+    await store.media.setIfAbsent(projectId, seed);
+    mediaArray = (await store.media.get(projectId)) || seed;
+  }
+
+  if (Array.isArray(mediaArray) && assignMissingIds(mediaArray)) {
+    mediaArray = await store.media.update(projectId, current => (
+      Array.isArray(current) ? assignMissingIds(current) || undefined : undefined
+    )) || mediaArray;
+  }
+
+  return Array.isArray(mediaArray) ? mediaArray : [];
+}
+
+function findMedia(mediaArray, id) {
+  return mediaArray.find(media => media && media.id === id) || null;
+}
+
+// 原子地追加一项，返回追加后的列表
+// 沿用上传时分配的 id；没有 id 或与列表中已有的项重复时重新分配
+async function addMedia(projectId, media) {
+  await loadProjectMedia(projectId);
+  let item = null;
+  const mediaArray = await store.media.update(projectId, current => {
+    const items = Array.isArray(current) ? current : [];
+    const idTaken = typeof media.id !== 'string' || !media.id || Boolean(findMedia(items, media.id));
+    item = idTaken ? { ...media, id: createMediaId() } : media;
+    return [...items, item];
+  });
+  return { media: item, mediaArray };
+}
+
+// 原子地修改一项，找不到时返回 null；previous 为修改前的记录
+async function updateMedia(projectId, id, changes) {
+  await loadProjectMedia(projectId);
+  let previous = null;
+  let updated = null;
+  const mediaArray = await store.media.update(projectId, current => {
+    const items = Array.isArray(current) ? current : [];
+    const index = items.findIndex(media => media && media.id === id);
+    if (index === -1) {
+      updated = null;
+      return undefined;
+    }
+    previous = items[index];
+    updated = { ...previous };
+    EDITABLE_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) {
+        updated[field] = changes[field];
+      }
+    });
+    return items.map((media, i) => (i === index ? updated : media));
+  });
+  return updated ? { media: updated, previous, mediaArray } : null;
+}
+
+// 原子地记录服务器或转码脚本生成的字段（图片的尺寸和衍生版本、视频的 HLS 码流等）
+// 只修改这些字段，不受同时进行的改名等操作影响，找不到时返回 null
+async function setGeneratedFields(projectId, id, fields) {
+  await loadProjectMedia(projectId);
+  let updated = null;
+  const mediaArray = await store.media.update(projectId, current => {
+    const items = Array.isArray(current) ? current : [];
+    const index = items.findIndex(media => media && media.id === id);
+    if (index === -1) {
+      updated = null;
+      return undefined;
+    }
+    updated = { ...items[index], ...fields };
+    return items.map((media, i) => (i === index ? updated : media));
+  });
+  return updated ? { media: updated, mediaArray } : null;
+}
+
+// 原子地移除一项，找不到时返回 null
+async function removeMedia(projectId, id) {
+  await loadProjectMedia(projectId);
+  let removed = null;
+  const mediaArray = await store.media.update(projectId, current => {
+    const items = Array.isArray(current) ? current : [];
+    const index = items.findIndex(media => media && media.id === id);
+    if (index === -1) {
+      removed = null;
+      return undefined;
+    }
+    removed = items[index];
+    return items.filter((media, i) => i !== index);
+  });
+  return removed ? { media: removed, mediaArray: mediaArray || [] } : null;
+}
+
+module.exports = {
+  withMediaIds,
+  loadProjectMedia,
+  findMedia,
+  addMedia,
+  updateMedia,
+  setGeneratedFields,
+  removeMedia
+};
@@ -0,0 +1,213 @@
+// 内容修改历史：项目信息和文字内容每次写入都记录一个版本（时间、会话、改动、完整内容），可以恢复到任意版本
+// 文档 id：
+//   projects            整个项目信息
+//   text:<分区>:<键名>    一项文字内容，如 text:about:contactText、text:about:about-name_0
+const crypto = require('crypto');
+const store = require('./store');
+const { TEXT_SECTIONS } = require('./schemas');
+
+// 每个文档默认保留的版本数（可通过 REVISION_LIMIT 修改）
+const DEFAULT_REVISION_LIMIT = 20;
+
+// 内容超过该长度（如 data URL 图片）时只记录改动，不保存完整内容，该版本不能恢复
+const MAX_SNAPSHOT_LENGTH = 256 * 1024;
+
+// 每个版本最多记录的改动条数，以及每个改动值最多保留的字符数
+const MAX_DIFF_ENTRIES = 50;
+const MAX_DIFF_VALUE_LENGTH = 300;
+
+function getRevisionLimit() {
+  const limit = parseInt(process.env.REVISION_LIMIT, 10);
+  return limit > 0 ? limit : DEFAULT_REVISION_LIMIT;
+}
+
+const projectsDoc = () => ({ doc: 'projects', target: { type: 'projects' } });
+
+const textDoc = (key, section) => ({
+  doc: `text:${store.keys.textName(key, section)}`,
+  target: section ? { type: 'text', key, section } : { type: 'text', key }
+});
+
+// 文字内容中的 JSON（工作经验、技能等）按结构比较，其余按字符串比较
+function parseContent(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return parsed !== null && typeof parsed === 'object' ? parsed : value;
+  } catch (error) {
+    return value;
+  }
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function shorten(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_DIFF_VALUE_LENGTH ? `${text.slice(0, MAX_DIFF_VALUE_LENGTH)}…` : value;
+}
+
+// 列出两个值之间改动的路径 [{ path, from, to }]（from/to 为 undefined 表示新增/删除）
+function diffValues(before, after, path = '', changes = []) {
+  if (changes.length >= MAX_DIFF_ENTRIES) {
+    return changes;
+  }
+  if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => {
+      const childPath = Array.isArray(before) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+      diffValues(before[key], after[key], childPath, changes);
+    });
+    return changes;
+  }
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path: path || '(value)', from: shorten(before), to: shorten(after) });
+  }
+  return changes;
+}
+
+function buildRevision(target, value, diff, session, action, extra = {}) {
+  const snapshot = JSON.stringify(value);
+  const restorable = value !== null && value !== undefined && snapshot.length <= MAX_SNAPSHOT_LENGTH;
+  return {
+    id: crypto.randomUUID(),
+    time: new Date().toISOString(),
+    session: session ? session.sid.slice(0, 8) : null,
+    action,
+    target,
+    diff,
+    truncated: diff.length >= MAX_DIFF_ENTRIES,
+    restorable,
+    value: restorable ? value : undefined,
+    ...extra
+  };
+}
+
+// 记录一次写入：previous 为写入前的值，next 为写入后的值（null 表示已删除）
+// 文档还没有历史时，先把写入前的内容记为初始版本，这样第一次修改之后也能恢复回去
+// 记录失败只打印错误，不影响写入结果
+async function recordRevision({ doc, target }, previous, next, session, action = 'save', extra) {
+  const before = previous === undefined ? null : previous;
+  const after = next === undefined ? null : next;
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return null;
+  }
+
+  const revision = buildRevision(
+    target,
+    after,
+    diffValues(parseContent(before), parseContent(after)),
+    session,
+    action,
+    extra
+  );
+  try {
+    await store.revisions.update(doc, current => {
+      const list = Array.isArray(current) ? current : [];
+      const initial = list.length === 0 && before !== null
+        ? [buildRevision(target, before, [], null, 'initial')]
+        : [];
+      return [revision, ...initial, ...list].slice(0, getRevisionLimit());
+    });
+    console.log(`已记录 ${doc} 的修改历史 (${action})`);
+    return revision;
+  } catch (error) {
+    console.error(`记录 ${doc} 的修改历史失败:`, error);
+    return null;
+  }
+}
+
+// 列表中不返回完整内容（可能很大），需要时按 id 单独获取
+function summarize(revision) {
+  const { value, ...summary } = revision;
+  return summary;
+}
+
+async function listDocuments() {
+  const docs = await store.revisions.docs();
+  const documents = await Promise.all(docs.map(async doc => {
+    const list = await store.revisions.list(doc);
+    const latest = list[0];
+    return latest ? {
+      doc,
+      target: latest.target,
+      count: list.length,
+      latest: { time: latest.time, session: latest.session, action: latest.action }
+    } : null;
+  }));
+  return documents
+    .filter(Boolean)
+    .sort((a, b) => (a.latest.time < b.latest.time ? 1 : -1));
+}
+
+async function listRevisions(doc) {
+  return (await store.revisions.list(doc)).map(summarize);
+}
+
+async function getRevision(doc, id) {
+  return (await store.revisions.list(doc)).find(revision => revision.id === id) || null;
+}
+
+// 收集值中所有的 http(s) 地址（文字内容中的 JSON 先解析）
+function collectUrls(value, urls) {
+  if (typeof value === 'string') {
+    if (/^https?:\/\//.test(value)) {
+      urls.add(value);
+    }
+  } else if (isContainer(value)) {
+    Object.values(value).forEach(child => collectUrls(child, urls));
+  }
+  return urls;
+}
+
+// 所有历史版本引用的地址（清理孤立文件时保留，恢复到旧版本后图片等文件仍然可用）
+async function collectRevisionUrls() {
+  const urls = new Set();
+  for (const doc of await store.revisions.docs()) {
+    (await store.revisions.list(doc)).forEach(revision => collectUrls(parseContent(revision.value), urls));
+  }
+  return urls;
+}
+
+// 把文档恢复到某个版本，并把恢复操作本身记录为一个新版本；找不到或不能恢复时返回 null
+async function restoreRevision(doc, id, session) {
+  const revision = await getRevision(doc, id);
+  if (!revision || !revision.restorable) {
+    return null;
+  }
+
+  const { target, value } = revision;
+  // 旧版本中没有分区（或分区已不再接受）的文字内容不能恢复
+  if (target.type === 'text' && !TEXT_SECTIONS.includes(target.section)) {
+    return null;
+  }
+  let previous;
+  let docInfo;
+  if (target.type === 'projects') {
+    docInfo = projectsDoc();
+    ({ previous } = await store.projects.setIfMatch(value, null));
+  } else {
+    docInfo = textDoc(target.key, target.section);
+    previous = await store.text.replace(target.key, target.section, value);
+  }
+
+  await recordRevision(docInfo, previous, value, session, 'restore', { restoredFrom: revision.id });
+  return { target, value, version: target.type === 'projects' ? store.versionOf(value) : undefined };
+}
+
+module.exports = {
+  projectsDoc,
+  textDoc,
+  recordRevision,
+  listDocuments,
+  listRevisions,
+  getRevision,
+  restoreRevision,
+  collectRevisionUrls
+};
@@ -0,0 +1,175 @@
+// 声明式 JSON 校验：接口写入前按 schema 检查数据，返回所有出错的字段
+// schema 写法：
+//   { type: 'string', required, minLength, maxLength, pattern, enum }
+//   { type: 'integer' | 'number', min, max }
+//   { type: 'boolean' }
+//   { type: 'array', items, maxItems }
+//   { type: 'object', properties, additionalProperties, keyPattern, maxProperties }
+//   { type: 'json', schema }    内容是 JSON 字符串，解析后再按 schema 校验
+// type 可以是数组，表示允许其中任意一种类型
+// additionalProperties：false（默认）不允许未声明的字段，或者是一个 schema（用于以 id 为键的对象）
+// required 只对对象的属性有效：缺少 required 的属性时报错，其余属性可以省略
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  json: value => typeof value === 'string'
+};
+
+// 校验失败，details 为 [{ field, message }]
+class ValidationError extends Error {
+  constructor(details) {
+    super('Validation failed');
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+function checkValue(schema, value, path, errors) {
+  const field = path || '(body)';
+  const types = [].concat(schema.type);
+  const type = types.find(name => TYPE_CHECKS[name](value));
+  if (!type) {
+    errors.push({ field, message: `must be ${types.join(' or ')}` });
+    return;
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      const message = schema.minLength === 1
+        ? 'must not be empty'
+        : `must be at least ${schema.minLength} characters`;
+      errors.push({ field, message });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push({ field, message: schema.patternMessage || 'has an invalid format' });
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.min !== undefined && value < schema.min) {
+      errors.push({ field, message: `must be at least ${schema.min}` });
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      errors.push({ field, message: `must be at most ${schema.max}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+      return;
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(schema.items, item, joinPath(path, index), errors));
+    }
+  }
+
+  if (type === 'object') {
+    checkObject(schema, value, path, errors);
+  }
+
+  if (type === 'json') {
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+      return;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      errors.push({ field, message: 'must be valid JSON' });
+      return;
+    }
+    checkValue(schema.schema, parsed, path, errors);
+  }
+}
+
+function checkObject(schema, value, path, errors, options = {}) {
+  const properties = schema.properties || {};
+  const isDeclared = key => Object.prototype.hasOwnProperty.call(properties, key);
+  const keys = Object.keys(value);
+
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    errors.push({ field: path || '(body)', message: `must have at most ${schema.maxProperties} entries` });
+    return;
+  }
+
+  Object.keys(properties).forEach(key => {
+    const property = properties[key];
+    if (value[key] === undefined) {
+      if (property.required && !options.partial) {
+        errors.push({ field: joinPath(path, key), message: 'is required' });
+      }
+      return;
+    }
+    checkValue(property, value[key], joinPath(path, key), errors);
+  });
+
+  keys.filter(key => !isDeclared(key)).forEach(key => {
+    if (!schema.additionalProperties) {
+      errors.push({ field: joinPath(path, key), message: 'is not allowed' });
+      return;
+    }
+    if (schema.keyPattern && !schema.keyPattern.test(key)) {
+      errors.push({ field: joinPath(path, key), message: 'is not a valid key' });
+      return;
+    }
+    checkValue(schema.additionalProperties, value[key], joinPath(path, key), errors);
+  });
+}
+
+// 校验数据，返回出错的字段列表（为空表示通过）
+// partial 为 true 时不检查顶层对象缺少的 required 属性（用于只修改部分字段的请求）
+function validate(schema, value, options = {}) {
+  const errors = [];
+  if (options.partial && TYPE_CHECKS.object(value) && [].concat(schema.type).includes('object')) {
+    checkObject(schema, value, '', errors, options);
+  } else {
+    checkValue(schema, value, '', errors);
+  }
+  return errors;
+}
+
+// 校验数据，不通过时抛出 ValidationError
+function assertValid(schema, value, options) {
+  const errors = validate(schema, value, options);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return value;
+}
+
+// 校验失败的统一响应，details 为 validate 返回的字段列表
+function sendValidationError(res, details) {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation failed',
+    details
+  });
+}
+
+module.exports = {
+  ValidationError,
+  validate,
+  assertValid,
+  sendValidationError
+};
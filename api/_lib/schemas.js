@@ -0,0 +1,388 @@
+// 各接口接受的数据格式（写法见 schema.js）
+
+// id 用作对象的键，不接受 __proto__ 等会改动原型的名称
+const ID_PATTERN = /^(?!(__proto__|constructor|prototype)$)[A-Za-z0-9_-]{1,50}$/;
+const ID_MESSAGE = 'must be 1-50 letters, digits, "-" or "_" (except __proto__, constructor, prototype)';
+
+// 文字内容的键名，如 about-name_0、experiences
+const TEXT_KEY_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+
+// 普通文字内容的最大长度
+const MAX_TEXT_LENGTH = 20000;
+
+// 文字内容的分区（前端只使用 about）；其他名称不接受，避免与 projects、audit 等内部数据混淆
+const TEXT_SECTIONS = ['about'];
+
+const projectId = { type: 'string', required: true, pattern: ID_PATTERN, patternMessage: ID_MESSAGE };
+
+// 项目信息
+const project = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    description: { type: 'string', maxLength: 2000 },
+    tags: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', minLength: 1, maxLength: 30 }
+    }
+  }
+};
+
+// 新建项目的请求体
+const newProject = {
+  ...project,
+  properties: { id: projectId, ...project.properties }
+};
+
+// save-projects 保存的整个项目信息（以项目 id 为键）
+const projects = {
+  type: 'object',
+  maxProperties: 100,
+  keyPattern: ID_PATTERN,
+  additionalProperties: project
+};
+
+// 视频的封面帧（截取后作为图片上传，time 为截取位置的秒数）
+const posterFrame = {
+  type: 'object',
+  properties: {
+    url: {
+      type: 'string',
+      required: true,
+      maxLength: 2048,
+      pattern: /^https?:\/\//,
+      patternMessage: 'must be an http(s) URL'
+    },
+    width: { type: 'integer', min: 1 },
+    height: { type: 'integer', min: 1 },
+    time: { type: 'number', min: 0 }
+  }
+};
+
+// 项目媒体列表中的一项（即上传结果）
+const mediaItem = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1, maxLength: 100 },
+    type: { type: 'string', required: true, enum: ['image', 'video', 'ppt', 'pdf', 'file'] },
+    name: { type: 'string', maxLength: 255 },
+    mimeType: { type: 'string', maxLength: 100 },
+    size: { type: 'integer', min: 0 },
+    // 文件保存在 Blob 中，不接受 base64 data URL（会把文件内容存进 Redis）
+    url: {
+      type: 'string',
+      required: true,
+      maxLength: 2048,
+      pattern: /^https?:\/\//,
+      patternMessage: 'must be an http(s) URL'
+    },
+    uploadTime: { type: 'string', maxLength: 50 },
+    // 图片的尺寸和衍生版本（见 image-variants.js）
+    width: { type: 'integer', min: 1 },
+    height: { type: 'integer', min: 1 },
+    variants: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', required: true, enum: ['thumb', 'medium', 'full'] },
+          width: { type: 'integer', required: true, min: 1 },
+          height: { type: 'integer', min: 1 },
+          format: { type: 'string', required: true, enum: ['avif', 'webp'] },
+          url: {
+            type: 'string',
+            required: true,
+            maxLength: 2048,
+            pattern: /^https?:\/\//,
+            patternMessage: 'must be an http(s) URL'
+          },
+          size: { type: 'integer', min: 0 }
+        }
+      }
+    },
+    // 衍生版本生成失败的记录（补全时跳过该图片）
+    variantsError: {
+      type: 'object',
+      properties: {
+        message: { type: 'string', maxLength: 500 },
+        failedAt: { type: 'string', maxLength: 50 }
+      }
+    },
+    poster: posterFrame,
+    // 视频的 HLS 码流（见 video-streams.js）
+    hls: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          required: true,
+          maxLength: 2048,
+          pattern: /^https?:\/\//,
+          patternMessage: 'must be an http(s) URL'
+        },
+        renditions: {
+          type: 'array',
+          maxItems: 10,
+          items: {
+            type: 'object',
+            properties: {
+              width: { type: 'integer', min: 1 },
+              height: { type: 'integer', required: true, min: 1 },
+              bandwidth: { type: 'integer', min: 0 }
+            }
+          }
+        },
+        createdAt: { type: 'string', maxLength: 50 }
+      }
+    },
+    // 演示文稿转换后的 PDF（见 document-previews.js）
+    pdf: {
+      type: 'object',
+      properties: {
+        url: {
+          type: 'string',
+          required: true,
+          maxLength: 2048,
+          pattern: /^https?:\/\//,
+          patternMessage: 'must be an http(s) URL'
+        },
+        size: { type: 'integer', min: 0 },
+        createdAt: { type: 'string', maxLength: 50 }
+      }
+    },
+    // 演示文稿转换失败的记录（定时转换时跳过）
+    pdfError: {
+      type: 'object',
+      properties: {
+        message: { type: 'string', maxLength: 500 },
+        failedAt: { type: 'string', maxLength: 50 }
+      }
+    },
+    // 照片的拍摄时间和（上传时选择保留的）相机信息，来自 EXIF；位置信息不保存
+    capturedAt: {
+      type: 'string',
+      maxLength: 30,
+      pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}([+-]\d{2}:\d{2})?$/,
+      patternMessage: 'must be YYYY-MM-DDTHH:mm:ss with an optional offset'
+    },
+    camera: {
+      type: 'object',
+      properties: {
+        make: { type: 'string', maxLength: 100 },
+        model: { type: 'string', maxLength: 100 },
+        lens: { type: 'string', maxLength: 100 },
+        focalLength: { type: 'number', min: 0 },
+        fNumber: { type: 'number', min: 0 },
+        exposureTime: { type: 'string', maxLength: 20 },
+        iso: { type: 'integer', min: 0 }
+      }
+    }
+  }
+};
+
+const mediaArray = { type: 'array', maxItems: 1000, items: mediaItem };
+
+// save-project-media 的请求体
+const projectMedia = {
+  type: 'object',
+  properties: {
+    projectId,
+    mediaArray: { ...mediaArray, required: true }
+  }
+};
+
+// /api/media 追加和修改一项的请求体
+const addMedia = {
+  type: 'object',
+  properties: {
+    media: { ...mediaItem, required: true }
+  }
+};
+
+// name 和 poster 至少提供一项（在 media.js 中检查）
+const updateMedia = {
+  type: 'object',
+  properties: {
+    poster: posterFrame,
+    name: {
+      type: 'string',
+      maxLength: 255,
+      pattern: /\S/,
+      patternMessage: 'must not be empty'
+    }
+  }
+};
+
+// 工作经验
+const experience = {
+  type: 'object',
+  properties: {
+    date: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+    company: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    position: { type: 'string', maxLength: 100 },
+    description: { type: 'string', maxLength: 2000 }
+  }
+};
+
+// 技能卡片
+const skill = {
+  type: 'object',
+  properties: {
+    icon: { type: 'string', maxLength: 16 },
+    title: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+    description: { type: 'string', maxLength: 200 },
+    stars: { type: 'integer', min: 0, max: 5 }
+  }
+};
+
+// 保存在文字内容中的图片（文件在 Blob 中，内容只记录地址和尺寸）
+const imageRef = {
+  type: 'object',
+  properties: {
+    url: {
+      type: 'string',
+      required: true,
+      maxLength: 2048,
+      pattern: /^https?:\/\//,
+      patternMessage: 'must be an http(s) URL'
+    },
+    width: { type: 'integer', min: 1 },
+    height: { type: 'integer', min: 1 }
+  }
+};
+
+// 书签（作品详情页和工作经历中的书签）
+const bookmark = {
+  type: 'object',
+  properties: {
+    id: { type: ['number', 'string'], required: true },
+    title: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+    content: { type: 'string', maxLength: 10000 }
+  }
+};
+
+// 以 JSON 字符串保存在文字内容中的数据
+const TEXT_CONTENT_SCHEMAS = {
+  experiences: { type: 'json', schema: { type: 'array', maxItems: 50, items: experience } },
+  skills: { type: 'json', schema: { type: 'array', maxItems: 50, items: skill } },
+  projectBookmarks: { type: 'json', schema: { type: 'array', maxItems: 50, items: bookmark } },
+  expBookmarks: {
+    type: 'json',
+    schema: {
+      type: 'object',
+      maxProperties: 100,
+      keyPattern: /^\d+$/,
+      additionalProperties: { type: 'array', maxItems: 50, items: bookmark }
+    }
+  },
+  navText: {
+    type: 'json',
+    schema: {
+      type: 'object',
+      properties: {
+        brandName: { type: 'string', maxLength: 50 },
+        about: { type: 'string', maxLength: 50 },
+        projects: { type: 'string', maxLength: 50 },
+        contact: { type: 'string', maxLength: 50 }
+      }
+    }
+  },
+  projectOrder: {
+    type: 'json',
+    schema: { type: 'array', maxItems: 200, items: { type: 'string', maxLength: 100 } }
+  },
+  profilePhoto: { type: 'json', schema: imageRef },
+  qrCode: { type: 'json', schema: imageRef }
+};
+
+// 一项文字内容的位置（text-content 读取时的查询参数）
+const textRef = {
+  type: 'object',
+  properties: {
+    key: {
+      type: 'string',
+      required: true,
+      pattern: TEXT_KEY_PATTERN,
+      patternMessage: 'must be 1-100 letters, digits, ".", "-" or "_"'
+    },
+    section: { type: 'string', required: true, enum: TEXT_SECTIONS }
+  }
+};
+
+// text-content 保存一项内容的请求体，content 的格式由键名决定
+function textEntry(key) {
+  const content = Object.prototype.hasOwnProperty.call(TEXT_CONTENT_SCHEMAS, key)
+    ? TEXT_CONTENT_SCHEMAS[key]
+    : { type: 'string', maxLength: MAX_TEXT_LENGTH };
+  return {
+    type: 'object',
+    properties: {
+      ...textRef.properties,
+      content: { ...content, required: true }
+    }
+  };
+}
+
+// 备份文件（见 backup.js），文字内容的格式由键名决定，在导入时逐项按 textEntry 校验
+const backup = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', required: true, enum: ['portfolio-backup'] },
+    version: { type: 'integer', required: true, min: 1 },
+    exportedAt: { type: 'string', maxLength: 50 },
+    projects,
+    projectMedia: {
+      type: 'object',
+      maxProperties: 100,
+      keyPattern: ID_PATTERN,
+      additionalProperties: mediaArray
+    },
+    // 服务器上的文字内容，键为 <分区>:<键名>（如 about:contactText）
+    text: {
+      type: 'object',
+      maxProperties: 500,
+      keyPattern: new RegExp(`^(${TEXT_SECTIONS.join('|')}):[A-Za-z0-9_.-]{1,100}$`),
+      additionalProperties: { type: 'string' }
+    },
+    // 只保存在浏览器 localStorage 中的内容（如 skills、navText）
+    local: {
+      type: 'object',
+      maxProperties: 50,
+      keyPattern: TEXT_KEY_PATTERN,
+      additionalProperties: { type: 'string' }
+    },
+    // 导入时重新上传的文件：{ <备份中的地址>: <新地址> }（不包含在导出的备份中）
+    urlMap: {
+      type: 'object',
+      maxProperties: 10000,
+      additionalProperties: {
+        type: 'string',
+        maxLength: 2048,
+        pattern: /^https?:\/\//,
+        patternMessage: 'must be an http(s) URL'
+      }
+    }
+  }
+};
+
+module.exports = {
+  TEXT_SECTIONS,
+  projectId,
+  project,
+  newProject,
+  projects,
+  mediaItem,
+  mediaArray,
+  projectMedia,
+  addMedia,
+  updateMedia,
+  experience,
+  skill,
+  bookmark,
+  imageRef,
+  textRef,
+  textEntry,
+  backup
+};
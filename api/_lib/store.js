@@ -0,0 +1,492 @@
+// 统一数据存储层：项目、项目媒体、文字内容、站点设置、上传会话、审计日志、修改历史、登录状态
+// 后端选择：
+//   STORE_BACKEND=memory  使用进程内存（本地开发/测试用，不需要 Redis）
+//   配置了 REDIS_URL       使用 Redis（支持 Redis Labs 和 Vercel KV）
+//   都没有                 存储不可用，isAvailable() 返回 false
+const crypto = require('crypto');
+const { createClient, WatchError } = require('redis');
+
+// 并发修改同一个键时的最大重试次数
+const MAX_UPDATE_RETRIES = 5;
+
+// 每个审计日志最多保留的条数（超出后丢弃最早的记录）
+const MAX_AUDIT_ENTRIES = 500;
+
+// 键名
+const keys = {
+  projects: () => 'projects',
+  media: projectId => `project-media:${projectId}`,
+  // 文字内容的名称（分区:键名，如 about:contactText），用于修改历史和备份文件；也是旧版本的存储键
+  textName: (key, section) => `${section}:${key}`,
+  // 文字内容使用单独的 text: 前缀，与其他数据的键名互不重叠
+  text: (key, section) => `text:${section}:${key}`,
+  settings: name => `settings:${name}`,
+  upload: uploadId => `upload-session:${uploadId}`,
+  audit: name => `audit:${name}`,
+  revisions: docId => `revisions:${docId}`,
+  auth: name => `auth:${name}`
+};
+
+// ---------- 内存后端 ----------
+
+// 写入选项：nx 仅在键不存在时写入；px 为过期时间（毫秒），不指定时键不过期
+// 与 Redis 相同，set 会清除原来的过期时间，update 和 incr 保留原来的过期时间
+function createMemoryBackend() {
+  const data = new Map();
+  const expiresAt = new Map();
+
+  // 键是否存在（顺便删除已过期的键）
+  const has = key => {
+    if (expiresAt.has(key) && expiresAt.get(key) <= Date.now()) {
+      data.delete(key);
+      expiresAt.delete(key);
+    }
+    return data.has(key);
+  };
+
+  return {
+    name: 'memory',
+    async get(key) {
+      return has(key) ? data.get(key) : null;
+    },
+    async set(key, value, options = {}) {
+      if (options.nx && has(key)) {
+        return false;
+      }
+      data.set(key, String(value));
+      if (options.px) {
+        expiresAt.set(key, Date.now() + options.px);
+      } else {
+        expiresAt.delete(key);
+      }
+      return true;
+    },
+    async del(key) {
+      expiresAt.delete(key);
+      return data.delete(key) ? 1 : 0;
+    },
+    async scan(prefix) {
+      return [...data.keys()].filter(key => key.startsWith(prefix) && has(key));
+    },
+    // 剩余的过期时间（毫秒），键不存在或不过期时返回 null
+    async pttl(key) {
+      return has(key) && expiresAt.has(key) ? expiresAt.get(key) - Date.now() : null;
+    },
+    // 原子地加一并返回新值；键不存在时从 0 开始，并设置 ttlMs 后过期
+    async incr(key, ttlMs) {
+      if (!has(key)) {
+        await this.set(key, 0, { px: ttlMs });
+      }
+      const next = parseInt(data.get(key), 10) + 1;
+      data.set(key, String(next));
+      return next;
+    },
+    // 读取-修改-写入；updater 返回 undefined 表示不修改
+    async update(key, updater) {
+      const current = has(key) ? data.get(key) : null;
+      const next = await updater(current);
+      if (next === undefined) {
+        return current;
+      }
+      data.set(key, String(next));
+      return next;
+    }
+  };
+}
+
+// ---------- Redis 后端 ----------
+
+// 全局只保留一个连接（同一个实例内的所有处理器共享）
+let redisClientPromise = null;
+
+// 连接成功后断线自动重连，首次连接失败则直接放弃，下次请求再试
+function getRedisClient(redisUrl) {
+  if (redisClientPromise) {
+    return redisClientPromise;
+  }
+
+  let everReady = false;
+  const client = createClient({
+    url: redisUrl,
+    // 断线期间直接报错，不要把命令排队到超时
+    disableOfflineQueue: true,
+    socket: {
+      connectTimeout: 5000,
+      reconnectStrategy: retries => {
+        if (!everReady || retries > 10) {
+          return new Error('Redis reconnect attempts exhausted');
+        }
+        return Math.min(retries * 200, 2000);
+      }
+    }
+  });
+
+  client.on('error', (err) => {
+    console.error('Redis Client Error:', err);
+  });
+
+  client.on('ready', () => {
+    everReady = true;
+    console.log('Redis Client Connected');
+  });
+
+  client.on('end', () => {
+    redisClientPromise = null;
+  });
+
+  redisClientPromise = client.connect()
+    .then(() => client)
+    .catch(error => {
+      console.error('Redis Connection Error:', error);
+      redisClientPromise = null;
+      return null;
+    });
+
+  return redisClientPromise;
+}
+
+function createRedisBackend(client) {
+  return {
+    name: 'redis',
+    async get(key) {
+      return client.get(key);
+    },
+    async set(key, value, options = {}) {
+      const setOptions = {};
+      if (options.nx) {
+        setOptions.NX = true;
+      }
+      if (options.px) {
+        setOptions.PX = options.px;
+      }
+      const result = await client.set(key, String(value), setOptions);
+      return result === 'OK';
+    },
+    async del(key) {
+      return client.del(key);
+    },
+    async pttl(key) {
+      const ttl = await client.pTTL(key);
+      return ttl >= 0 ? ttl : null;
+    },
+    // 在同一个事务中创建（带过期时间）并加一，键不会在两步之间过期而变成永久键
+    async incr(key, ttlMs) {
+      const [, value] = await client.multi()
+        .set(key, '0', { NX: true, PX: ttlMs })
+        .incr(key)
+        .exec();
+      return Number(value);
+    },
+    async scan(prefix) {
+      const found = [];
+      for await (const key of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+        found.push(key);
+      }
+      return found;
+    },
+    // 读取-修改-写入（WATCH + MULTI），期间键被其他请求修改时重新读取再试
+    async update(key, updater) {
+      for (let attempt = 0; attempt < MAX_UPDATE_RETRIES; attempt++) {
+        const result = await client.executeIsolated(async isolated => {
+          await isolated.watch(key);
+          const current = await isolated.get(key);
+          const next = await updater(current);
+          if (next === undefined) {
+            await isolated.unwatch();
+            return { done: true, value: current };
+          }
+          try {
+            await isolated.multi().set(key, String(next), { KEEPTTL: true }).exec();
+            return { done: true, value: next };
+          } catch (error) {
+            if (error instanceof WatchError) {
+              return { done: false };
+            }
+            throw error;
+          }
+        });
+        if (result.done) {
+          return result.value;
+        }
+      }
+      throw new Error('Concurrent update conflict');
+    }
+  };
+}
+
+// ---------- 后端选择 ----------
+
+let memoryBackend = null;
+
+async function getBackend() {
+  if (process.env.STORE_BACKEND === 'memory') {
+    if (!memoryBackend) {
+      memoryBackend = createMemoryBackend();
+    }
+    return memoryBackend;
+  }
+
+  const redisUrl = process.env.REDIS_URL;
+  if (!redisUrl) {
+    return null;
+  }
+
+  const client = await getRedisClient(redisUrl);
+  return client ? createRedisBackend(client) : null;
+}
+
+async function requireBackend() {
+  const backend = await getBackend();
+  if (!backend) {
+    throw new Error('Store not available');
+  }
+  return backend;
+}
+
+// 存储是否可用（处理器据此决定是否提示前端使用 localStorage）
+async function isAvailable() {
+  return !!(await getBackend());
+}
+
+// 关闭 Redis 连接（只在命令行脚本结束时调用，处理器保持连接供后续请求复用）
+async function close() {
+  const client = redisClientPromise ? await redisClientPromise : null;
+  if (client) {
+    await client.quit();
+  }
+}
+
+// ---------- JSON 读写 ----------
+
+// 文档版本：内容的摘要，内容不变版本就不变；文档不存在时版本为 '0'
+function versionOf(value) {
+  if (value === null || value === undefined) {
+    return '0';
+  }
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+// 写入时文档已被其他请求修改（版本不一致）
+class VersionConflictError extends Error {
+  constructor(current) {
+    super('Version conflict');
+    this.name = 'VersionConflictError';
+    this.current = current;
+    this.version = versionOf(current);
+  }
+}
+
+async function getJSON(key) {
+  const backend = await requireBackend();
+  const value = await backend.get(key);
+  return value ? JSON.parse(value) : null;
+}
+
+async function setJSON(key, value, options) {
+  const backend = await requireBackend();
+  return backend.set(key, JSON.stringify(value), options);
+}
+
+// 原子地修改 JSON 值：updater 接收当前值（不存在时为 null），返回新值；返回 undefined 表示不修改
+async function updateJSON(key, updater) {
+  const backend = await requireBackend();
+  const value = await backend.update(key, async current => {
+    const next = await updater(current ? JSON.parse(current) : null);
+    return next === undefined ? undefined : JSON.stringify(next);
+  });
+  return value ? JSON.parse(value) : null;
+}
+
+// 读取 JSON 值及其版本
+async function getJSONVersioned(key) {
+  const value = await getJSON(key);
+  return { value, version: versionOf(value) };
+}
+
+// 仅当当前版本等于 expectedVersion 时写入，否则抛出 VersionConflictError；expectedVersion 为空时直接写入
+// 返回 { version, previous }：新版本和被覆盖的旧值
+async function setJSONIfMatch(key, value, expectedVersion) {
+  let conflict = null;
+  let previous = null;
+  await updateJSON(key, current => {
+    if (expectedVersion && versionOf(current) !== expectedVersion) {
+      conflict = { current };
+      return undefined;
+    }
+    conflict = null;
+    previous = current;
+    return value;
+  });
+  if (conflict) {
+    throw new VersionConflictError(conflict.current);
+  }
+  return { version: versionOf(value), previous };
+}
+
+async function remove(key) {
+  const backend = await requireBackend();
+  return (await backend.del(key)) > 0;
+}
+
+async function listIds(prefix) {
+  const backend = await requireBackend();
+  const found = await backend.scan(prefix);
+  return found.map(key => key.slice(prefix.length)).sort();
+}
+
+// ---------- 按数据类型划分的接口 ----------
+
+// 项目信息（整个对象存在一个键里）
+const projects = {
+  get: () => getJSON(keys.projects()),
+  getVersioned: () => getJSONVersioned(keys.projects()),
+  set: data => setJSON(keys.projects(), data),
+  setIfMatch: (data, version) => setJSONIfMatch(keys.projects(), data, version),
+  update: updater => updateJSON(keys.projects(), updater)
+};
+
+// 项目媒体列表（每个项目一个键）
+const media = {
+  get: projectId => getJSON(keys.media(projectId)),
+  getVersioned: projectId => getJSONVersioned(keys.media(projectId)),
+  set: (projectId, mediaArray) => setJSON(keys.media(projectId), mediaArray),
+  setIfMatch: (projectId, mediaArray, version) => (
+    setJSONIfMatch(keys.media(projectId), mediaArray, version)
+  ),
+  // 仅在该项目还没有媒体列表时写入，返回是否写入成功
+  setIfAbsent: (projectId, mediaArray) => setJSON(keys.media(projectId), mediaArray, { nx: true }),
+  update: (projectId, updater) => updateJSON(keys.media(projectId), updater),
+  delete: projectId => remove(keys.media(projectId)),
+  list: () => listIds(keys.media(''))
+};
+
+// 旧版本的文字内容直接保存在 <分区>:<键名> 下，第一次读取或写入时移动到新的键名
+// 只迁移前端实际使用过的分区，其他分区的旧键名可能是别的数据（如 audit:projects）
+const LEGACY_TEXT_SECTIONS = ['about'];
+
+async function migrateLegacyText(backend, key, section) {
+  if (!LEGACY_TEXT_SECTIONS.includes(section)) {
+    return null;
+  }
+  const legacyKey = keys.textName(key, section);
+  const legacy = await backend.get(legacyKey);
+  if (legacy === null) {
+    return null;
+  }
+  await backend.set(keys.text(key, section), legacy, { nx: true });
+  await backend.del(legacyKey);
+  return backend.get(keys.text(key, section));
+}
+
+// 文字内容（原样保存字符串，前端自行决定格式；分区由调用方校验，见 schemas.TEXT_SECTIONS）
+const text = {
+  async get(key, section) {
+    const backend = await requireBackend();
+    const value = await backend.get(keys.text(key, section));
+    return value !== null ? value : migrateLegacyText(backend, key, section);
+  },
+  async set(key, section, content) {
+    const backend = await requireBackend();
+    await migrateLegacyText(backend, key, section);
+    return backend.set(keys.text(key, section), content);
+  },
+  // 写入并返回被覆盖的旧内容（不存在时为 null）
+  // expectedVersion 不为空时只在当前版本一致时写入，否则抛出 VersionConflictError
+  async replace(key, section, content, expectedVersion) {
+    const backend = await requireBackend();
+    await migrateLegacyText(backend, key, section);
+    let conflict = null;
+    let previous = null;
+    await backend.update(keys.text(key, section), current => {
+      if (expectedVersion && versionOf(current) !== expectedVersion) {
+        conflict = { current };
+        return undefined;
+      }
+      conflict = null;
+      previous = current;
+      return content;
+    });
+    if (conflict) {
+      throw new VersionConflictError(conflict.current);
+    }
+    return previous;
+  },
+  async delete(key, section) {
+    const backend = await requireBackend();
+    await migrateLegacyText(backend, key, section);
+    return (await backend.del(keys.text(key, section))) > 0;
+  },
+  // 某个分区（如 about）下所有内容的键名（包括还没有迁移的旧键名）
+  async list(section) {
+    const names = new Set(await listIds(keys.text('', section)));
+    if (LEGACY_TEXT_SECTIONS.includes(section)) {
+      (await listIds(keys.textName('', section))).forEach(name => names.add(name));
+    }
+    return [...names].sort();
+  }
+};
+
+// 站点设置（JSON 值）
+const settings = {
+  get: name => getJSON(keys.settings(name)),
+  set: (name, value) => setJSON(keys.settings(name), value),
+  delete: name => remove(keys.settings(name)),
+  list: () => listIds(keys.settings(''))
+};
+
+// 分块上传会话（只保存元数据，分块本身存放在 Blob 中）；ttlMs 后自动删除
+const uploads = {
+  get: uploadId => getJSON(keys.upload(uploadId)),
+  set: (uploadId, session, ttlMs) => setJSON(keys.upload(uploadId), session, { px: ttlMs }),
+  update: (uploadId, updater) => updateJSON(keys.upload(uploadId), updater),
+  delete: uploadId => remove(keys.upload(uploadId))
+};
+
+// 审计日志（按名称分开保存，新记录在前）
+const audit = {
+  async append(name, entry) {
+    await updateJSON(keys.audit(name), current => (
+      [entry, ...(Array.isArray(current) ? current : [])].slice(0, MAX_AUDIT_ENTRIES)
+    ));
+  },
+  list: async name => (await getJSON(keys.audit(name))) || []
+};
+
+// 修改历史（每个文档一个键，新版本在前，条数由调用方限制）
+const revisions = {
+  list: async docId => (await getJSON(keys.revisions(docId))) || [],
+  update: (docId, updater) => updateJSON(keys.revisions(docId), updater),
+  docs: () => listIds(keys.revisions(''))
+};
+
+// 登录状态：会话版本、登录失败计数（不属于站点内容，不参与备份）
+const auth = {
+  get: name => getJSON(keys.auth(name)),
+  update: (name, updater) => updateJSON(keys.auth(name), updater),
+  delete: name => remove(keys.auth(name)),
+  // 计数器：原子地加一，第一次计数时设置 ttlMs 后过期；ttl 返回剩余毫秒数
+  async increment(name, ttlMs) {
+    const backend = await requireBackend();
+    return backend.incr(keys.auth(name), ttlMs);
+  },
+  async ttl(name) {
+    const backend = await requireBackend();
+    return backend.pttl(keys.auth(name));
+  }
+};
+
+module.exports = {
+  keys,
+  isAvailable,
+  close,
+  versionOf,
+  VersionConflictError,
+  projects,
+  media,
+  text,
+  settings,
+  uploads,
+  audit,
+  revisions,
+  auth
+};
@@ -0,0 +1,203 @@
+// 上传规则：所有上传方式共用同一套类型、大小和路径限制
+const crypto = require('crypto');
+const { detectFileType } = require('./file-type');
+
+// 只允许上传到该目录下
+const UPLOAD_PATH_PREFIX = 'public-videos/';
+
+// 允许的文件类型
+const ALLOWED_CONTENT_TYPES = [
+  'image/*',
+  'video/*',
+  'application/pdf',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+// 浏览器没有给出类型（file.type 为空，常见于 .ppt/.pptx）时按扩展名推断；与 upload-client.js 中的表一致
+const EXTENSION_CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  heic: 'image/heic',
+  mp4: 'video/mp4',
+  m4v: 'video/x-m4v',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  mkv: 'video/x-matroska',
+  avi: 'video/x-msvideo',
+  '3gp': 'video/3gpp',
+  pdf: 'application/pdf',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// 单个文件最大 500MB
+const MAX_UPLOAD_SIZE = 500 * 1024 * 1024;
+
+// 超过该大小使用可续传的分块上传，否则浏览器一次直传
+const MULTIPART_THRESHOLD = 20 * 1024 * 1024;
+
+// 文件名最大长度（字符数，含扩展名）
+const MAX_FILENAME_LENGTH = 100;
+
+// 上传相关的错误，status 为返回给前端的 HTTP 状态码
+class UploadError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// 检查文件类型是否在允许列表中（支持 image/* 这类通配）
+function isAllowedContentType(contentType) {
+  if (!contentType) {
+    return false;
+  }
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  return ALLOWED_CONTENT_TYPES.some(allowed => (
+    allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+  ));
+}
+
+// 声明的类型为空或为 application/octet-stream 时按文件扩展名推断，推断不出时原样返回
+function resolveContentType(filename, contentType) {
+  const type = typeof contentType === 'string' ? contentType.split(';')[0].trim().toLowerCase() : '';
+  if (type && type !== 'application/octet-stream') {
+    return contentType;
+  }
+  const match = /\.([a-z0-9]+)$/i.exec(String(filename || ''));
+  const ext = match ? match[1].toLowerCase() : '';
+  return Object.hasOwn(EXTENSION_CONTENT_TYPES, ext) ? EXTENSION_CONTENT_TYPES[ext] : contentType;
+}
+
+// 清理文件名：去掉路径、控制字符和特殊字符，过长时截断（保留扩展名）
+function sanitizeFilename(filename) {
+  let name = String(filename || '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .replace(/[<>:"|?*#%&{}$!'@+`=]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '');
+
+  const chars = Array.from(name);
+  if (chars.length > MAX_FILENAME_LENGTH) {
+    const dotIndex = name.lastIndexOf('.');
+    const ext = dotIndex > 0 ? Array.from(name.slice(dotIndex)).slice(0, 16).join('') : '';
+    const base = Array.from(dotIndex > 0 ? name.slice(0, dotIndex) : name);
+    name = base.slice(0, MAX_FILENAME_LENGTH - ext.length).join('').trim() + ext;
+  }
+
+  return name || 'file';
+}
+
+// 校验待上传文件，不通过时抛出 UploadError
+function validateUpload({ filename, size, contentType }) {
+  if (!filename || typeof filename !== 'string') {
+    throw new UploadError('Filename is required');
+  }
+  if (typeof size !== 'number' || !(size > 0)) {
+    throw new UploadError('File size is required');
+  }
+  if (size > MAX_UPLOAD_SIZE) {
+    throw new UploadError('File too large (maximum 500MB)', 413);
+  }
+  if (!isAllowedContentType(contentType)) {
+    throw new UploadError(`Unsupported file type: ${contentType || 'unknown'}`, 415);
+  }
+}
+
+// 根据文件头校验文件内容，返回识别出的 MIME 类型
+// 无法识别、不在允许列表中、或与声明的类型不一致（如把 exe 改名为 mp4）时抛出 415
+function verifyFileSignature(buffer, declaredContentType) {
+  const detected = detectFileType(buffer);
+  if (!detected || !isAllowedContentType(detected.mimeType)) {
+    throw new UploadError('Unsupported file content', 415);
+  }
+  if (declaredContentType && getMediaType(detected.mimeType) !== getMediaType(declaredContentType)) {
+    throw new UploadError(
+      `File content (${detected.mimeType}) does not match declared type (${declaredContentType})`,
+      415
+    );
+  }
+  return detected.mimeType;
+}
+
+// 生成唯一的存储路径（添加时间戳防止重复）
+function buildUploadPathname(filename) {
+  return `${UPLOAD_PATH_PREFIX}${Date.now()}-${sanitizeFilename(filename)}`;
+}
+
+// 检查上传路径：必须在指定目录下，文件名必须是清理过的（不含路径、控制字符等）
+function isAllowedPathname(pathname) {
+  if (typeof pathname !== 'string' || !pathname.startsWith(UPLOAD_PATH_PREFIX)) {
+    return false;
+  }
+  const filename = pathname.slice(UPLOAD_PATH_PREFIX.length);
+  return filename.length > 0 && !filename.includes('..') && filename === sanitizeFilename(filename);
+}
+
+// 是否为本站 Blob 存储中的文件（data URL、外部链接等都不是）
+function isBlobUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && parsed.hostname.endsWith('.blob.vercel-storage.com');
+  } catch (error) {
+    return false;
+  }
+}
+
+// 根据 MIME 类型确定媒体类型（与前端展示逻辑一致）
+function getMediaType(mimeType = '') {
+  if (mimeType.startsWith('image/')) {
+    return 'image';
+  }
+  if (mimeType.startsWith('video/')) {
+    return 'video';
+  }
+  if (mimeType.includes('powerpoint') || mimeType.includes('presentation')) {
+    return 'ppt';
+  }
+  if (mimeType.includes('pdf')) {
+    return 'pdf';
+  }
+  return 'file';
+}
+
+// 统一的上传结果（即保存到项目媒体列表中的一项），id 在上传完成时分配，之后不再改变
+function buildMediaRecord({ pathname, url, size, mimeType }) {
+  return {
+    id: crypto.randomUUID(),
+    type: getMediaType(mimeType),
+    name: pathname.startsWith(UPLOAD_PATH_PREFIX) ? pathname.slice(UPLOAD_PATH_PREFIX.length) : pathname,
+    mimeType,
+    size,
+    url,
+    uploadTime: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  UPLOAD_PATH_PREFIX,
+  ALLOWED_CONTENT_TYPES,
+  MAX_UPLOAD_SIZE,
+  MULTIPART_THRESHOLD,
+  UploadError,
+  isAllowedContentType,
+  resolveContentType,
+  sanitizeFilename,
+  validateUpload,
+  verifyFileSignature,
+  buildUploadPathname,
+  isAllowedPathname,
+  isBlobUrl,
+  getMediaType,
+  buildMediaRecord
+};
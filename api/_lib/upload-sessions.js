@@ -0,0 +1,336 @@
+// 可续传的分块上传会话
+// 会话元数据保存在 store 中，分块保存在 Blob 的 upload-parts/<uploadId>/ 下，
+// 因此冷启动、换实例都不会丢失进度，合并时也不需要把整个文件读进内存。
+// 会话在 store 中 24 小时后自动过期；过期会话留下的分块由孤立文件清理（findAbandonedParts）删除。
+const crypto = require('crypto');
+const {
+  put,
+  list,
+  del,
+  createMultipartUpload,
+  uploadPart,
+  completeMultipartUpload
+} = require('@vercel/blob');
+const store = require('./store');
+const { readRemoteHead } = require('./file-type');
+const {
+  UploadError,
+  sanitizeFilename,
+  validateUpload,
+  verifyFileSignature,
+  buildUploadPathname,
+  buildMediaRecord
+} = require('./upload-policy');
+
+// 每块最大 4MB（Vercel 函数请求体上限为 4.5MB）
+const PART_SIZE = 4 * 1024 * 1024;
+
+// Blob 分段上传要求除最后一段外每段至少 5MB，合并时按 8MB 一段写入
+const MERGE_SEGMENT_SIZE = 8 * 1024 * 1024;
+
+// 会话保留 24 小时（完成后从完成时起再保留 24 小时，供客户端重试 complete）
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// 合并中的会话在这段时间内不允许其他请求再次合并（与 vercel.json 中该函数的 maxDuration 一致），
+// 超时后视为合并请求已中断，可以重新合并
+const COMPLETE_LOCK_MS = 300 * 1000;
+
+const BLOB_TOKEN = process.env.BLOB_READ_WRITE_TOKEN;
+
+const PARTS_ROOT = 'upload-parts/';
+
+function partPrefix(uploadId) {
+  return `${PARTS_ROOT}${uploadId}/`;
+}
+
+// 分块路径补零，保证 list 结果按顺序排列
+function partPathname(uploadId, partNumber) {
+  return `${partPrefix(uploadId)}${String(partNumber).padStart(5, '0')}`;
+}
+
+// 列出会话已上传的全部分块
+async function listParts(uploadId) {
+  const parts = [];
+  let cursor;
+  do {
+    const result = await list({ prefix: partPrefix(uploadId), cursor, token: BLOB_TOKEN });
+    for (const blob of result.blobs) {
+      const partNumber = parseInt(blob.pathname.slice(partPrefix(uploadId).length), 10);
+      if (!isNaN(partNumber)) {
+        parts.push({ partNumber, size: blob.size, url: blob.url });
+      }
+    }
+    cursor = result.hasMore ? result.cursor : undefined;
+  } while (cursor);
+
+  return parts.sort((a, b) => a.partNumber - b.partNumber);
+}
+
+// 删除会话的全部分块
+async function deleteParts(uploadId) {
+  const parts = await listParts(uploadId);
+  if (parts.length > 0) {
+    await del(parts.map(part => part.url), { token: BLOB_TOKEN });
+  }
+}
+
+// 创建上传会话
+async function createSession({ filename, size, contentType }) {
+  validateUpload({ filename, size, contentType });
+
+  const uploadId = crypto.randomUUID();
+  const session = {
+    uploadId,
+    filename: sanitizeFilename(filename),
+    size,
+    contentType,
+    partSize: PART_SIZE,
+    totalParts: Math.ceil(size / PART_SIZE),
+    status: 'uploading',
+    createdAt: Date.now(),
+    expiresAt: Date.now() + SESSION_TTL_MS
+  };
+  await store.uploads.set(uploadId, session, SESSION_TTL_MS);
+  return session;
+}
+
+function isExpired(session) {
+  return session.status !== 'completed' && session.expiresAt <= Date.now();
+}
+
+// 读取会话，不存在或已过期时抛出 404
+// 过期但还留在 store 中的会话（设置过期时间之前创建的）顺便删除会话和分块
+async function getSession(uploadId) {
+  const session = uploadId ? await store.uploads.get(uploadId) : null;
+  if (session && isExpired(session)) {
+    try {
+      await abortSession(uploadId);
+    } catch (error) {
+      console.error('清理过期上传会话失败:', error);
+    }
+  }
+  if (!session || isExpired(session)) {
+    throw new UploadError('Upload session not found', 404);
+  }
+  return session;
+}
+
+// 不再需要的分块：会话已过期或已不存在（未完成就放弃的上传），或已完成但清理分块失败
+async function findAbandonedParts() {
+  const byUpload = new Map();
+  let cursor;
+  do {
+    const result = await list({ prefix: PARTS_ROOT, cursor, token: BLOB_TOKEN });
+    result.blobs.forEach(blob => {
+      const uploadId = blob.pathname.slice(PARTS_ROOT.length).split('/')[0];
+      if (!byUpload.has(uploadId)) {
+        byUpload.set(uploadId, []);
+      }
+      byUpload.get(uploadId).push(blob);
+    });
+    cursor = result.hasMore ? result.cursor : undefined;
+  } while (cursor);
+
+  const abandoned = [];
+  for (const [uploadId, blobs] of byUpload) {
+    const session = await store.uploads.get(uploadId);
+    if (!session || isExpired(session) || session.status === 'completed') {
+      abandoned.push(...blobs);
+    }
+  }
+  return abandoned;
+}
+
+// 保存单个分块（重复上传同一块会覆盖）
+async function savePart(session, partNumber, buffer) {
+  if (session.status !== 'uploading') {
+    throw new UploadError('Upload session is not accepting parts', 409);
+  }
+  if (isNaN(partNumber) || partNumber < 1 || partNumber > session.totalParts) {
+    throw new UploadError('Invalid part number');
+  }
+
+  // 除最后一块外，每块大小必须等于 partSize，合并后的文件才能和原文件一致
+  const isLastPart = partNumber === session.totalParts;
+  const expectedSize = isLastPart
+    ? session.size - (session.totalParts - 1) * session.partSize
+    : session.partSize;
+  if (buffer.length !== expectedSize) {
+    throw new UploadError(`Part ${partNumber} must be ${expectedSize} bytes`);
+  }
+
+  // 第一块包含文件头，类型不符时尽早拒绝，不用等全部上传完
+  if (partNumber === 1) {
+    verifyFileSignature(buffer, session.contentType);
+  }
+
+  await put(partPathname(session.uploadId, partNumber), buffer, {
+    access: 'public',
+    addRandomSuffix: false,
+    token: BLOB_TOKEN
+  });
+}
+
+// 查询上传进度
+async function getStatus(session) {
+  const parts = session.status === 'completed' ? [] : await listParts(session.uploadId);
+  return {
+    uploadId: session.uploadId,
+    filename: session.filename,
+    size: session.size,
+    partSize: session.partSize,
+    totalParts: session.totalParts,
+    status: session.status,
+    uploadedParts: parts.map(part => part.partNumber),
+    media: session.media || null
+  };
+}
+
+// 原子地把会话标记为合并中，同时收到的多次 complete 只有一次能够合并；返回是否标记成功
+async function claimCompletion(uploadId) {
+  let claimed = false;
+  await store.uploads.update(uploadId, current => {
+    claimed = Boolean(
+      current &&
+      (current.status === 'uploading' || (current.status === 'completing' && current.completingUntil <= Date.now()))
+    );
+    return claimed
+      ? { ...current, status: 'completing', completingUntil: Date.now() + COMPLETE_LOCK_MS }
+      : undefined;
+  });
+  return claimed;
+}
+
+// 合并失败时恢复为上传中，客户端可以补传分块后重试
+async function releaseCompletion(uploadId) {
+  await store.uploads.update(uploadId, current => {
+    if (!current || current.status !== 'completing') {
+      return undefined;
+    }
+    const { completingUntil, ...session } = current;
+    return { ...session, status: 'uploading' };
+  });
+}
+
+// 合并分块：已完成的会话直接返回结果，客户端重试 complete 不会重复合并；
+// 其他请求正在合并时返回 409（completing: true），客户端稍后重试
+async function completeSession(session) {
+  if (session.status === 'completed') {
+    return session.media;
+  }
+  if (!(await claimCompletion(session.uploadId))) {
+    const current = await getSession(session.uploadId);
+    if (current.status === 'completed') {
+      return current.media;
+    }
+    throw new UploadError('Upload is being completed', 409, { completing: true });
+  }
+
+  try {
+    return await mergeParts(session);
+  } catch (error) {
+    await releaseCompletion(session.uploadId).catch(releaseError => {
+      console.error('恢复上传会话状态失败:', releaseError);
+    });
+    throw error;
+  }
+}
+
+// 逐块下载并按 8MB 一段写入 Blob 分段上传，内存中最多只保留一段
+async function mergeParts(session) {
+  const parts = await listParts(session.uploadId);
+  const uploaded = new Set(parts.map(part => part.partNumber));
+  const missingParts = [];
+  for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+    if (!uploaded.has(partNumber)) {
+      missingParts.push(partNumber);
+    }
+  }
+  if (missingParts.length > 0) {
+    throw new UploadError('Missing parts', 409, { missingParts });
+  }
+
+  // 以文件头识别出的类型为准，不使用客户端声明的类型
+  const mimeType = verifyFileSignature(await readRemoteHead(parts[0].url), session.contentType);
+
+  const pathname = buildUploadPathname(session.filename);
+  const blobOptions = {
+    access: 'public',
+    contentType: mimeType,
+    token: BLOB_TOKEN
+  };
+
+  const multipart = await createMultipartUpload(pathname, blobOptions);
+  const uploadedSegments = [];
+  let buffered = [];
+  let bufferedBytes = 0;
+
+  const flush = async () => {
+    const segment = await uploadPart(pathname, Buffer.concat(buffered, bufferedBytes), {
+      ...blobOptions,
+      key: multipart.key,
+      uploadId: multipart.uploadId,
+      partNumber: uploadedSegments.length + 1
+    });
+    uploadedSegments.push(segment);
+    buffered = [];
+    bufferedBytes = 0;
+  };
+
+  for (const part of parts) {
+    const response = await fetch(part.url);
+    if (!response.ok) {
+      throw new Error(`Failed to read part ${part.partNumber}: ${response.status}`);
+    }
+    const chunk = Buffer.from(await response.arrayBuffer());
+    buffered.push(chunk);
+    bufferedBytes += chunk.length;
+
+    if (bufferedBytes >= MERGE_SEGMENT_SIZE) {
+      await flush();
+    }
+  }
+  if (bufferedBytes > 0) {
+    await flush();
+  }
+
+  const { url } = await completeMultipartUpload(pathname, uploadedSegments, {
+    ...blobOptions,
+    key: multipart.key,
+    uploadId: multipart.uploadId
+  });
+
+  const media = buildMediaRecord({
+    pathname,
+    url,
+    size: session.size,
+    mimeType
+  });
+  await store.uploads.set(session.uploadId, { ...session, status: 'completed', media }, SESSION_TTL_MS);
+
+  // 清理分块（失败不影响结果，最多留下一些临时文件）
+  try {
+    await deleteParts(session.uploadId);
+  } catch (error) {
+    console.error('清理分块失败:', error);
+  }
+
+  return media;
+}
+
+// 放弃上传并清理分块
+async function abortSession(uploadId) {
+  await deleteParts(uploadId);
+  await store.uploads.delete(uploadId);
+}
+
+module.exports = {
+  PART_SIZE,
+  createSession,
+  getSession,
+  savePart,
+  getStatus,
+  completeSession,
+  abortSession,
+  findAbandonedParts
+};
@@ -0,0 +1,54 @@
+// 视频自适应码流（HLS）：由 scripts/transcode-hls.js 在本地用 ffmpeg 生成
+// 文件保存在 public-videos/hls/<媒体 id>/<生成时间戳>/ 下（master.m3u8、各清晰度的播放列表和分片），
+// 记录在媒体项的 hls 中：{ url: master.m3u8 地址, renditions: [{ width, height, bandwidth }], createdAt }
+const { list, del } = require('@vercel/blob');
+const { UPLOAD_PATH_PREFIX } = require('./upload-policy');
+
+const HLS_PATH_PREFIX = `${UPLOAD_PATH_PREFIX}hls/`;
+
+const BLOB_TOKEN = process.env.BLOB_READ_WRITE_TOKEN;
+
+// 一次转码的目录（每次重新生成都使用新目录，播放中的旧版本不受影响）
+function hlsDirectory(mediaId, timestamp) {
+  return `${HLS_PATH_PREFIX}${mediaId}/${timestamp}/`;
+}
+
+// 媒体项的 HLS 文件所在目录（pathname 前缀），没有时返回 null
+function hlsDirectoryOf(media) {
+  if (!media || !media.hls || typeof media.hls.url !== 'string') {
+    return null;
+  }
+  try {
+    const pathname = decodeURIComponent(new URL(media.hls.url).pathname).replace(/^\//, '');
+    return pathname.startsWith(HLS_PATH_PREFIX) ? pathname.slice(0, pathname.lastIndexOf('/') + 1) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 删除目录下的所有文件
+async function deleteDirectory(prefix) {
+  let cursor;
+  do {
+    const result = await list({ prefix, cursor, token: BLOB_TOKEN });
+    if (result.blobs.length > 0) {
+      await del(result.blobs.map(blob => blob.url), { token: BLOB_TOKEN });
+    }
+    cursor = result.hasMore ? result.cursor : undefined;
+  } while (cursor);
+}
+
+// 删除一项媒体的 HLS 文件（失败时留给孤立文件清理）
+async function deleteVideoStream(media) {
+  const prefix = hlsDirectoryOf(media);
+  if (prefix) {
+    await deleteDirectory(prefix);
+  }
+}
+
+module.exports = {
+  HLS_PATH_PREFIX,
+  hlsDirectory,
+  hlsDirectoryOf,
+  deleteVideoStream
+};
@@ -0,0 +1,74 @@
+// 整站备份（需要登录，格式见 _lib/backup.js）
+//   GET  /api/backup                 导出服务器上的数据 { backup, files }，files 是备份引用的文件 [{ url, name, mimeType }]
+//   POST /api/backup?dryRun=1        只校验备份文件，不写入
+//   POST /api/backup                 校验并导入，返回各类数据的导入条数；重新上传过的文件在 urlMap 中给出新地址
+// 校验不通过时不会写入任何数据，返回 400 和出错的字段
+const store = require('./_lib/store');
+const { requireAuth } = require('./_lib/auth');
+const { sendValidationError } = require('./_lib/schema');
+const { exportBackup, collectBackupFiles, validateBackup, importBackup } = require('./_lib/backup');
+
+// 读取 JSON 请求体
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(new Error('Invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const session = await requireAuth(req, res);
+  if (!session) {
+    return;
+  }
+
+  if (!(await store.isAvailable())) {
+    return res.status(503).json({ success: false, error: 'Storage not configured' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const backup = await exportBackup();
+      console.log(`导出备份：${Object.keys(backup.projectMedia).length} 个媒体列表，${Object.keys(backup.text).length} 项文字内容`);
+      return res.status(200).json({ success: true, backup, files: collectBackupFiles(backup) });
+    }
+
+    let backup;
+    try {
+      backup = await readJson(req);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: 'Invalid JSON format' });
+    }
+
+    const errors = validateBackup(backup);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const { dryRun } = req.query || {};
+    if (dryRun) {
+      return res.status(200).json({ success: true, valid: true });
+    }
+
+    const imported = await importBackup(backup, session);
+    console.log('导入备份完成:', imported);
+    return res.status(200).json({ success: true, imported });
+  } catch (error) {
+    console.error('备份操作失败:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+};
@@ -1,88 +1,8 @@
-// 模拟项目媒体数据存储
-let projectMediaData = {
-  'ai-works': [
-    {
-      type: 'video',
-      name: '欧式ai.mp4',
-      mimeType: 'video/mp4',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/%E6%AC%A7%E5%BC%8Fai.mp4',
-      uploadTime: new Date().toISOString()
-    },
-    {
-      type: 'video',
-      name: 'ai1.mp4',
-      mimeType: 'video/mp4',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/ai1.mp4',
-      uploadTime: new Date().toISOString()
-    }
-  ],
-  'danmei': [
-    {
-      type: 'video',
-      name: 'danmei1.mp4',
-      mimeType: 'video/mp4',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/danmei1.mp4',
-      uploadTime: new Date().toISOString()
-    },
-    {
-      type: 'video',
-      name: 'danmei2.mp4',
-      mimeType: 'video/mp4',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/danmei2.mp4',
-      uploadTime: new Date().toISOString()
-    },
-    {
-      type: 'video',
-      name: 'DANMEI3.mp4',
-      mimeType: 'video/mp4',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/DANMEI3.mp4',
-      uploadTime: new Date().toISOString()
-    }
-  ],
-  'wansheng': [
-    {
-      type: 'video',
-      name: 'WANWUSHENG.mp4',
-      mimeType: 'video/mp4',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/WANWUSHENG.mp4',
-      uploadTime: new Date().toISOString()
-    }
-  ],
-  'guoshu': [
-    {
-      type: 'image',
-      name: '微信图片_20260207040335_7_5392.png',
-      mimeType: 'image/png',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/%E5%BE%AE%E4%BF%A1%E5%9B%BE%E7%89%87_20260207040335_7_5392.png',
-      uploadTime: new Date().toISOString()
-    },
-    {
-      type: 'image',
-      name: '微信图片_20260207040830_382_2.png',
-      mimeType: 'image/png',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/%E5%BE%AE%E4%BF%A1%E5%9B%BE%E7%89%87_20260207040830_382_2.png',
-      uploadTime: new Date().toISOString()
-    }
-  ],
-  'professor': [
-    {
-      type: 'image',
-      name: '微信图片_20260207041725_385_2.png',
-      mimeType: 'image/png',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/%E5%BE%AE%E4%BF%A1%E5%9B%BE%E7%89%87_20260207041725_385_2.png',
-      uploadTime: new Date().toISOString()
-    }
-  ]
-};
+// 从 Redis 获取项目媒体数据
+const store = require('./_lib/store');
+const { seedProjectMedia } = require('./_lib/media-seed');
+const { loadProjectMedia } = require('./_lib/media-items');
+const { setVersionHeader } = require('./_lib/etag');
 
 module.exports = async (req, res) => {
   if (req.method !== 'GET') {
@@ -92,19 +12,36 @@ module.exports = async (req, res) => {
   try {
     // 获取查询参数
     const projectId = req.query.projectId;
-    
+
     if (!projectId) {
       return res.status(400).json(
         { success: false, error: 'Project ID is required' }
       );
     }
-    
-    // 返回项目媒体数据
-    const mediaArray = projectMediaData[projectId] || [];
-    
+
+    const seed = seedProjectMedia[projectId] || [];
+
+    if (await store.isAvailable()) {
+      try {
+        // 首次读取时写入初始数据（已有数据时不会覆盖），旧数据补上 id
+        const mediaArray = await loadProjectMedia(projectId);
+        const version = store.versionOf(mediaArray);
+        setVersionHeader(res, version);
+        console.log(`从 Redis 获取项目 ${projectId} 的媒体数据成功`);
+        return res.status(200).json({
+          success: true,
+          mediaArray,
+          version
+        });
+      } catch (redisError) {
+        console.error('从 Redis 获取项目媒体数据失败:', redisError);
+      }
+    }
+
+    // 如果 Redis 不可用或没有数据，返回初始数据
     return res.status(200).json({
       success: true,
-      mediaArray: mediaArray
+      mediaArray: seed
     });
   } catch (error) {
     return res.status(500).json(
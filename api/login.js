@@ -0,0 +1,97 @@
+// 管理员登录：校验密码并签发会话 Cookie；同一 IP 密码错误过多时暂时拒绝登录
+const {
+  verifyPassword,
+  isAuthConfigured,
+  getSessionVersion,
+  createSessionToken,
+  setSessionCookie
+} = require('./_lib/auth');
+const {
+  getClientIp,
+  getLockoutSeconds,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('./_lib/login-throttle');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    // 检查服务端是否配置了密码哈希和会话密钥
+    if (!isAuthConfigured()) {
+      console.error('未配置 ADMIN_PASSWORD_HASH 或 SESSION_SECRET，无法登录');
+      return res.status(500).json(
+        { success: false, error: 'Authentication is not configured' }
+      );
+    }
+
+    // 失败次数过多时不再校验密码
+    const ip = getClientIp(req);
+    const lockoutSeconds = await getLockoutSeconds(ip);
+    if (lockoutSeconds > 0) {
+      console.log(`管理员登录被限制：${ip} 密码错误次数过多`);
+      res.setHeader('Retry-After', String(lockoutSeconds));
+      return res.status(429).json(
+        { success: false, error: 'Too many failed attempts', retryAfter: lockoutSeconds }
+      );
+    }
+
+    // 解析请求体
+    let data;
+    try {
+      data = await new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+          body += chunk.toString();
+        });
+        req.on('end', () => {
+          try {
+            resolve(JSON.parse(body));
+          } catch (err) {
+            reject(new Error('Invalid JSON'));
+          }
+        });
+        req.on('error', reject);
+      });
+    } catch (parseError) {
+      return res.status(400).json(
+        { success: false, error: 'Invalid JSON format' }
+      );
+    }
+
+    const { password } = data || {};
+
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json(
+        { success: false, error: 'Password is required' }
+      );
+    }
+
+    if (!verifyPassword(password, process.env.ADMIN_PASSWORD_HASH)) {
+      console.log('管理员登录失败：密码错误');
+      await recordLoginFailure(ip);
+      return res.status(401).json(
+        { success: false, error: 'Invalid password' }
+      );
+    }
+
+    await clearLoginFailures(ip);
+
+    // 签发会话（带上当前的会话版本）
+    const { token, session } = createSessionToken(await getSessionVersion());
+    setSessionCookie(res, token);
+    console.log('管理员登录成功');
+
+    return res.status(200).json({
+      success: true,
+      expiresAt: session.exp
+    });
+  } catch (error) {
+    console.error('登录失败:', error);
+    return res.status(500).json(
+      { success: false, error: error.message }
+    );
+  }
+};
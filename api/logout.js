@@ -0,0 +1,23 @@
+// 管理员登出：使已签发的会话全部失效并清除会话 Cookie
+const { getSession, revokeSessions, clearSessionCookie } = require('./_lib/auth');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    // 只有有效的会话可以登出所有会话，避免任何人都能把管理员踢下线
+    if (await getSession(req)) {
+      await revokeSessions();
+    }
+    clearSessionCookie(res);
+    console.log('管理员已登出');
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('登出失败:', error);
+    return res.status(500).json(
+      { success: false, error: error.message }
+    );
+  }
+};
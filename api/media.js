@@ -0,0 +1,387 @@
+// 项目媒体管理（媒体项按 id 定位，id 在上传完成加入列表时分配）
+// 修改列表的请求都返回修改后的 mediaArray 和新的 version（与 get-project-media 的 version 相同）
+//   GET    /api/media?projectId=..&id=..     读取一项
+//   POST   /api/media?projectId=..           { media } 追加一项（上传完成后的媒体记录），返回分配了 id 的记录
+//                                            演示文稿追加后触发转换为 PDF（见 _lib/document-previews.js）
+//   PATCH  /api/media?projectId=..&id=..     { name, poster } 修改显示名称或视频封面帧（poster 为已上传的截图）
+//   DELETE /api/media?projectId=..&id=..     从项目媒体列表中删除一项，并删除 Blob 中的文件
+//   GET    /api/media?action=orphans         列出没有被任何项目引用的 public-videos/ 文件，以及过期上传会话留下的分块
+//   POST   /api/media?action=sweep           删除这些孤立文件
+//   POST   /api/media?action=migrate-images  把文字内容中以 data URL 保存的个人照片、二维码上传到 Blob
+//   POST   /api/media?action=variants&projectId=..[&id=..]
+//                                            为图片生成缩略图、中图、大图（AVIF/WebP），不带 id 时补全项目中
+//                                            还没有衍生版本的图片（每次最多处理几张，返回 remaining 供继续调用；
+//                                            失败的图片记录 variantsError，补全时不再处理）
+const { list, del } = require('@vercel/blob');
+const store = require('./_lib/store');
+const { requireAuth } = require('./_lib/auth');
+const { seedProjectMedia } = require('./_lib/media-seed');
+const mediaItems = require('./_lib/media-items');
+const { UPLOAD_PATH_PREFIX, isBlobUrl } = require('./_lib/upload-policy');
+const { validate, sendValidationError } = require('./_lib/schema');
+const schemas = require('./_lib/schemas');
+const { collectImageContentUrls, migrateImageContent } = require('./_lib/image-content');
+const { collectRevisionUrls } = require('./_lib/revisions');
+const { needsVariants, generateImageVariants, deleteImageVariants } = require('./_lib/image-variants');
+const { hlsDirectoryOf, deleteVideoStream } = require('./_lib/video-streams');
+const { requestDocumentPreview, deleteDocumentPreview } = require('./_lib/document-previews');
+const { findAbandonedParts } = require('./_lib/upload-sessions');
+
+// 刚上传、还没来得及保存到媒体列表的文件不算孤立文件
+const ORPHAN_GRACE_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+// 补全衍生版本时每次请求最多处理的图片数（生成较慢，避免函数超时）
+const MAX_VARIANTS_PER_REQUEST = 3;
+
+const BLOB_TOKEN = process.env.BLOB_READ_WRITE_TOKEN;
+
+// 读取 JSON 请求体
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(new Error('Invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// 依次处理所有项目媒体列表中的每一项
+async function forEachMedia(callback) {
+  const projectIds = new Set([...Object.keys(seedProjectMedia), ...(await store.media.list())]);
+  for (const projectId of projectIds) {
+    const mediaArray = (await store.media.get(projectId)) || seedProjectMedia[projectId] || [];
+    mediaArray.filter(Boolean).forEach(callback);
+  }
+}
+
+// 收集所有项目媒体列表、个人照片、二维码以及它们的历史版本引用的地址
+async function collectReferencedUrls() {
+  const referenced = await collectImageContentUrls();
+  (await collectRevisionUrls()).forEach(url => referenced.add(url));
+  await forEachMedia(media => {
+    if (media.url) {
+      referenced.add(media.url);
+    }
+    if (Array.isArray(media.variants)) {
+      media.variants.forEach(variant => referenced.add(variant.url));
+    }
+    if (media.poster && media.poster.url) {
+      referenced.add(media.poster.url);
+    }
+    if (media.pdf && media.pdf.url) {
+      referenced.add(media.pdf.url);
+    }
+  });
+  return referenced;
+}
+
+// 视频 HLS 文件所在的目录（目录下的播放列表和分片都算被引用）
+async function collectReferencedDirectories() {
+  const directories = [];
+  await forEachMedia(media => {
+    const directory = hlsDirectoryOf(media);
+    if (directory) {
+      directories.push(directory);
+    }
+  });
+  return directories;
+}
+
+// 查找孤立文件
+async function findOrphans() {
+  const referenced = await collectReferencedUrls();
+  const directories = await collectReferencedDirectories();
+  const cutoff = Date.now() - ORPHAN_GRACE_PERIOD_MS;
+  const orphans = [];
+
+  let cursor;
+  do {
+    const result = await list({ prefix: UPLOAD_PATH_PREFIX, cursor, token: BLOB_TOKEN });
+    result.blobs.forEach(blob => {
+      const inReferencedDirectory = directories.some(directory => blob.pathname.startsWith(directory));
+      if (!referenced.has(blob.url) && !inReferencedDirectory && new Date(blob.uploadedAt).getTime() < cutoff) {
+        orphans.push({
+          url: blob.url,
+          pathname: blob.pathname,
+          size: blob.size,
+          uploadedAt: blob.uploadedAt
+        });
+      }
+    });
+    cursor = result.hasMore ? result.cursor : undefined;
+  } while (cursor);
+
+  // 放弃或过期的分块上传留下的 upload-parts/<uploadId>/ 分块
+  (await findAbandonedParts()).forEach(blob => {
+    orphans.push({
+      url: blob.url,
+      pathname: blob.pathname,
+      size: blob.size,
+      uploadedAt: blob.uploadedAt
+    });
+  });
+
+  return orphans;
+}
+
+// 追加一项媒体
+async function addMediaItem(res, projectId, body) {
+  const errors = validate(schemas.addMedia, body);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const result = await mediaItems.addMedia(projectId, body.media);
+  console.log(`项目 ${projectId} 已添加媒体: ${result.media.id}`);
+
+  // 演示文稿添加后立即开始转换为 PDF；触发失败不影响添加，由定时运行的转换补上
+  if (result.media.type === 'ppt' && !result.media.pdf && !result.media.pdfError) {
+    await requestDocumentPreview(projectId, result.media.id).catch(error => {
+      console.error(`触发演示文稿转换失败 (${result.media.id}):`, error);
+    });
+  }
+  return res.status(200).json({
+    success: true,
+    ...result,
+    version: store.versionOf(result.mediaArray)
+  });
+}
+
+// 删除不再被引用的 Blob 文件（失败时留给孤立文件清理）
+async function deleteUnreferencedBlob(url) {
+  if (!isBlobUrl(url) || (await collectReferencedUrls()).has(url)) {
+    return false;
+  }
+  try {
+    await del(url, { token: BLOB_TOKEN });
+    return true;
+  } catch (error) {
+    console.error('删除 Blob 文件失败（将作为孤立文件等待清理）:', error);
+    return false;
+  }
+}
+
+// 修改一项媒体：显示名称，或视频的封面帧
+async function updateMediaItem(res, projectId, id, changes) {
+  const errors = validate(schemas.updateMedia, changes);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  if (changes.name === undefined && changes.poster === undefined) {
+    return sendValidationError(res, [{ field: 'name', message: 'name or poster is required' }]);
+  }
+
+  const result = await mediaItems.updateMedia(projectId, id, {
+    name: changes.name !== undefined ? changes.name.trim() : undefined,
+    poster: changes.poster
+  });
+  if (!result) {
+    return res.status(404).json({ success: false, error: 'Media not found' });
+  }
+
+  // 更换封面帧后删除旧的截图
+  const { previous, ...updated } = result;
+  if (changes.poster && previous.poster && previous.poster.url !== changes.poster.url) {
+    await deleteUnreferencedBlob(previous.poster.url);
+  }
+
+  return res.status(200).json({
+    success: true,
+    ...updated,
+    version: store.versionOf(result.mediaArray)
+  });
+}
+
+// 为图片生成衍生版本：指定 id 时只处理该项（已有衍生版本时重新生成），否则补全项目中缺少衍生版本的图片
+async function generateMediaVariants(res, projectId, id) {
+  const mediaArray = await mediaItems.loadProjectMedia(projectId);
+  let pending;
+  if (id) {
+    const media = mediaItems.findMedia(mediaArray, id);
+    if (!media) {
+      return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+    if (!needsVariants({ ...media, variants: undefined, variantsError: undefined })) {
+      return res.status(400).json({ success: false, error: 'Media is not a supported image' });
+    }
+    pending = [media];
+  } else {
+    pending = mediaArray.filter(needsVariants);
+  }
+
+  const batch = pending.slice(0, MAX_VARIANTS_PER_REQUEST);
+  const generated = [];
+  const failed = [];
+  for (const media of batch) {
+    try {
+      const fields = await generateImageVariants(media);
+      // 重新生成成功后清除以前的失败记录
+      const result = await mediaItems.setGeneratedFields(projectId, media.id, { ...fields, variantsError: undefined });
+      if (!result) {
+        // 生成期间该项已被删除，衍生文件也一并删除
+        await deleteImageVariants(fields).catch(() => {});
+        continue;
+      }
+      generated.push(result.media);
+    } catch (error) {
+      console.error(`生成图片衍生版本失败 (${media.id}):`, error);
+      failed.push({ id: media.id, error: error.message });
+      // 记录失败，之后补全时跳过该项，不会每次都卡在同样的几张图片上
+      const variantsError = { message: String(error.message).slice(0, 500), failedAt: new Date().toISOString() };
+      await mediaItems.setGeneratedFields(projectId, media.id, { variantsError }).catch(markError => {
+        console.error(`记录衍生版本失败状态失败 (${media.id}):`, markError);
+      });
+    }
+  }
+
+  console.log(`项目 ${projectId} 已生成 ${generated.length} 张图片的衍生版本`);
+  const latest = await mediaItems.loadProjectMedia(projectId);
+  return res.status(200).json({
+    success: true,
+    generated,
+    failed,
+    remaining: pending.length - batch.length,
+    mediaArray: latest,
+    version: store.versionOf(latest)
+  });
+}
+
+// 删除一项媒体：先原子地从媒体列表中移除，再删除 Blob 文件
+// 顺序保证列表中不会出现指向已删除文件的记录；如果删除文件失败，文件会成为孤立文件，由清理接口处理
+async function deleteMediaItem(res, projectId, id) {
+  const result = await mediaItems.removeMedia(projectId, id);
+  if (!result) {
+    return res.status(404).json({ success: false, error: 'Media not found' });
+  }
+
+  const removed = result.media;
+  const url = removed.url;
+
+  // 其他项目（或同一列表中的其他项）仍在使用同一个文件时保留文件
+  const blobDeleted = await deleteUnreferencedBlob(url);
+  if (removed.poster) {
+    await deleteUnreferencedBlob(removed.poster.url);
+  }
+  try {
+    await deleteImageVariants(removed);
+    await deleteVideoStream(removed);
+    await deleteDocumentPreview(removed);
+  } catch (error) {
+    console.error('删除衍生文件失败（将作为孤立文件等待清理）:', error);
+  }
+
+  console.log(`项目 ${projectId} 的媒体已删除: ${id} (${url})`);
+  return res.status(200).json({
+    success: true,
+    removed,
+    blobDeleted,
+    mediaArray: result.mediaArray,
+    version: store.versionOf(result.mediaArray)
+  });
+}
+
+module.exports = async (req, res) => {
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  // 只有已登录的管理员可以管理媒体
+  const session = await requireAuth(req, res);
+  if (!session) {
+    return;
+  }
+
+  if (!(await store.isAvailable())) {
+    return res.status(503).json({ success: false, error: 'Storage not configured' });
+  }
+
+  try {
+    const { projectId, id, action } = req.query || {};
+
+    if (req.method === 'GET' && action === 'orphans') {
+      const orphans = await findOrphans();
+      return res.status(200).json({
+        success: true,
+        orphans,
+        totalSize: orphans.reduce((sum, blob) => sum + blob.size, 0)
+      });
+    }
+
+    if (req.method === 'POST' && action === 'sweep') {
+      const orphans = await findOrphans();
+      if (orphans.length > 0) {
+        await del(orphans.map(blob => blob.url), { token: BLOB_TOKEN });
+      }
+      console.log(`已清理 ${orphans.length} 个孤立文件`);
+      return res.status(200).json({
+        success: true,
+        deleted: orphans.map(blob => blob.url),
+        totalSize: orphans.reduce((sum, blob) => sum + blob.size, 0)
+      });
+    }
+
+    if (req.method === 'POST' && action === 'migrate-images') {
+      const migrated = await migrateImageContent(session);
+      return res.status(200).json({ success: true, migrated });
+    }
+
+    if (!projectId) {
+      return res.status(400).json({ success: false, error: 'Project ID is required' });
+    }
+
+    if (req.method === 'POST' && action === 'variants') {
+      return await generateMediaVariants(res, projectId, id);
+    }
+
+    if (req.method === 'POST') {
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (parseError) {
+        return res.status(400).json(
+          { success: false, error: 'Invalid JSON format' }
+        );
+      }
+      return await addMediaItem(res, projectId, body);
+    }
+
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Media ID is required' });
+    }
+
+    if (req.method === 'GET') {
+      const media = mediaItems.findMedia(await mediaItems.loadProjectMedia(projectId), id);
+      if (!media) {
+        return res.status(404).json({ success: false, error: 'Media not found' });
+      }
+      return res.status(200).json({ success: true, media });
+    }
+
+    if (req.method === 'PATCH') {
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (parseError) {
+        return res.status(400).json(
+          { success: false, error: 'Invalid JSON format' }
+        );
+      }
+      return await updateMediaItem(res, projectId, id, body);
+    }
+
+    return await deleteMediaItem(res, projectId, id);
+  } catch (error) {
+    console.error('媒体管理操作失败:', error);
+    return res.status(500).json(
+      { success: false, error: error.message }
+    );
+  }
+};
@@ -0,0 +1,290 @@
+// 项目信息的增删改查：每次只修改一个项目，不会覆盖其他项目；所有修改写入审计日志
+//   GET    /api/projects                  全部项目 { projects, version }
+//   GET    /api/projects/:id              单个项目
+//   GET    /api/projects?action=audit     审计日志（需要登录）
+//   POST   /api/projects                  { id, title, description, tags } 新建项目
+//   PATCH  /api/projects/:id              { title, description, tags } 修改项目（只修改传入的字段）
+//   DELETE /api/projects/:id              删除项目（连同项目媒体列表，列表中的文件成为孤立文件，由 /api/media?action=sweep 清理）
+// 修改类请求都需要登录，返回修改后的项目和整个项目信息的新版本（与 get-projects 的 version 相同）
+const store = require('./_lib/store');
+const { requireAuth } = require('./_lib/auth');
+const { defaultProjects } = require('./_lib/project-seed');
+const { seedProjectMedia } = require('./_lib/media-seed');
+const { validate, ValidationError, sendValidationError } = require('./_lib/schema');
+const schemas = require('./_lib/schemas');
+const { projectsDoc, recordRevision } = require('./_lib/revisions');
+
+const PROJECT_FIELDS = ['title', 'description', 'tags'];
+
+// 请求中的错误（项目不存在、已存在等），status 为返回给前端的 HTTP 状态码
+class ProjectError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// 读取 JSON 请求体
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(new Error('Invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// 去掉标题和标签两端的空白，忽略空标签（类型不对的字段原样保留，由校验报错）
+function normalizeProjectFields(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return body;
+  }
+  const fields = { ...body };
+  if (typeof fields.id === 'string') {
+    fields.id = fields.id.trim();
+  }
+  if (typeof fields.title === 'string') {
+    fields.title = fields.title.trim();
+  }
+  if (Array.isArray(fields.tags)) {
+    fields.tags = fields.tags.map(tag => (typeof tag === 'string' ? tag.trim() : tag)).filter(tag => tag !== '');
+  }
+  return fields;
+}
+
+// 读取并校验请求体，不通过时抛出 ValidationError
+async function readProjectBody(req, schema, options) {
+  const body = normalizeProjectFields(await readJson(req));
+  const errors = validate(schema, body, options);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return body;
+}
+
+// 当前的全部项目（还没有保存过时为初始数据）
+async function loadProjects() {
+  const { value, version } = await store.projects.getVersioned();
+  return { projects: value || defaultProjects, version };
+}
+
+// 记录修改了哪些字段（修改前 / 修改后）
+function diffFields(before, after) {
+  const changes = {};
+  PROJECT_FIELDS.forEach(field => {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+}
+
+// 原子地修改一个项目：mutate 接收当前项目（不存在时为 undefined），返回新项目（null 表示删除）
+// 抛出的错误原样传出，不会写入；写入后把整个项目信息记入修改历史
+async function modifyProject(session, action, projectId, mutate) {
+  let previous;
+  let before;
+  let after;
+  const projects = await store.projects.update(current => {
+    previous = current || defaultProjects;
+    const all = { ...previous };
+    before = Object.hasOwn(all, projectId) ? all[projectId] : undefined;
+    after = mutate(before);
+    if (after === null) {
+      delete all[projectId];
+    } else {
+      all[projectId] = after;
+    }
+    return all;
+  });
+  await recordRevision(projectsDoc(), previous, projects, session, action);
+  return { before, after, version: store.versionOf(projects) };
+}
+
+async function writeAudit(session, action, projectId, changes, extra = {}) {
+  const entry = {
+    time: new Date().toISOString(),
+    action,
+    projectId,
+    changes,
+    session: session.sid.slice(0, 8),
+    ...extra
+  };
+  try {
+    await store.audit.append('projects', entry);
+  } catch (error) {
+    // 审计日志写入失败不影响修改结果
+    console.error('写入审计日志失败:', error);
+  }
+  console.log(`项目 ${projectId} ${action}:`, Object.keys(changes).join(', ') || '-');
+}
+
+async function createProject(req, res, session) {
+  const { id: projectId, ...fields } = await readProjectBody(req, schemas.newProject);
+  const project = { description: '', tags: [], ...fields };
+
+  const result = await modifyProject(session, 'create', projectId, existing => {
+    if (existing) {
+      throw new ProjectError('Project already exists', 409);
+    }
+    return project;
+  });
+
+  await writeAudit(session, 'create', projectId, diffFields(undefined, result.after));
+  return res.status(201).json({
+    success: true,
+    id: projectId,
+    project: result.after,
+    version: result.version
+  });
+}
+
+async function updateProject(req, res, session, projectId) {
+  const fields = await readProjectBody(req, schemas.project, { partial: true });
+  if (Object.keys(fields).length === 0) {
+    throw new ProjectError(`Nothing to update (fields: ${PROJECT_FIELDS.join(', ')})`);
+  }
+
+  const result = await modifyProject(session, 'update', projectId, existing => {
+    if (!existing) {
+      throw new ProjectError('Project not found', 404);
+    }
+    return { ...existing, ...fields };
+  });
+
+  const changes = diffFields(result.before, result.after);
+  await writeAudit(session, 'update', projectId, changes);
+  return res.status(200).json({
+    success: true,
+    id: projectId,
+    project: result.after,
+    changes,
+    version: result.version
+  });
+}
+
+async function deleteProject(res, session, projectId) {
+  const result = await modifyProject(session, 'delete', projectId, existing => {
+    if (!existing) {
+      throw new ProjectError('Project not found', 404);
+    }
+    return null;
+  });
+
+  // 项目已经删除，媒体列表删除失败时记入审计日志，不影响删除结果
+  const audit = {};
+  try {
+    const removedMedia = await removeProjectMedia(projectId);
+    audit.removedMedia = removedMedia.map(media => ({ id: media.id, url: media.url }));
+  } catch (error) {
+    console.error(`删除项目 ${projectId} 的媒体列表失败:`, error);
+    audit.mediaError = error.message;
+  }
+  await writeAudit(session, 'delete', projectId, diffFields(result.before, undefined), audit);
+  return res.status(200).json({
+    success: true,
+    id: projectId,
+    removedMedia: audit.removedMedia ? audit.removedMedia.length : 0,
+    version: result.version
+  });
+}
+
+// 删除项目的媒体列表，返回被删除的媒体项；之后重新使用同一个 id 的项目不会带上旧的媒体
+// 有初始媒体的项目写入空列表（删除键后会重新显示初始媒体）
+// 列表中的文件不再被引用，由孤立文件清理删除（同一文件被其他项目引用时保留）
+async function removeProjectMedia(projectId) {
+  const hasSeed = Object.hasOwn(seedProjectMedia, projectId);
+  const mediaArray = (await store.media.get(projectId)) || (hasSeed ? seedProjectMedia[projectId] : []);
+  if (hasSeed) {
+    await store.media.set(projectId, []);
+  } else {
+    await store.media.delete(projectId);
+  }
+  return mediaArray.filter(Boolean);
+}
+
+module.exports = async (req, res) => {
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const { id: projectId, action } = req.query || {};
+
+  try {
+    if (req.method === 'GET' && action !== 'audit') {
+      if (!(await store.isAvailable())) {
+        return res.status(200).json({ success: true, projects: defaultProjects });
+      }
+      const { projects, version } = await loadProjects();
+      if (!projectId) {
+        return res.status(200).json({ success: true, projects, version });
+      }
+      if (!Object.hasOwn(projects, projectId)) {
+        return res.status(404).json({ success: false, error: 'Project not found' });
+      }
+      return res.status(200).json({
+        success: true,
+        id: projectId,
+        project: projects[projectId],
+        version
+      });
+    }
+
+    // 其余操作只有已登录的管理员可以执行
+    const session = await requireAuth(req, res);
+    if (!session) {
+      return;
+    }
+
+    if (!(await store.isAvailable())) {
+      return res.status(503).json({ success: false, error: 'Storage not configured' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, entries: await store.audit.list('projects') });
+    }
+
+    if (req.method === 'POST') {
+      if (projectId) {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+      }
+      return await createProject(req, res, session);
+    }
+
+    if (!projectId) {
+      return res.status(400).json({ success: false, error: 'Project ID is required' });
+    }
+
+    if (req.method === 'PATCH') {
+      return await updateProject(req, res, session, projectId);
+    }
+
+    return await deleteProject(res, session, projectId);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return sendValidationError(res, error.details);
+    }
+    if (error instanceof ProjectError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error.message === 'Invalid JSON') {
+      return res.status(400).json(
+        { success: false, error: 'Invalid JSON format' }
+      );
+    }
+    console.error('项目操作失败:', error);
+    return res.status(500).json(
+      { success: false, error: error.message }
+    );
+  }
+};
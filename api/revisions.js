@@ -0,0 +1,97 @@
+// 内容修改历史（需要登录）
+//   GET  /api/revisions                         有修改历史的文档列表
+//   GET  /api/revisions?doc=projects            某个文档的版本列表（时间、会话、改动，不含完整内容）
+//   GET  /api/revisions?doc=projects&id=<id>    某个版本的完整内容
+//   POST /api/revisions?action=restore          { doc, id } 恢复到该版本（恢复本身也会记录为新版本）
+const store = require('./_lib/store');
+const { requireAuth } = require('./_lib/auth');
+const {
+  listDocuments,
+  listRevisions,
+  getRevision,
+  restoreRevision
+} = require('./_lib/revisions');
+
+// 读取 JSON 请求体
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(new Error('Invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const session = await requireAuth(req, res);
+  if (!session) {
+    return;
+  }
+
+  if (!(await store.isAvailable())) {
+    return res.status(503).json({ success: false, error: 'Storage not configured' });
+  }
+
+  const { doc, id, action } = req.query || {};
+
+  try {
+    if (req.method === 'GET') {
+      if (!doc) {
+        return res.status(200).json({ success: true, documents: await listDocuments() });
+      }
+      if (!id) {
+        return res.status(200).json({ success: true, doc, revisions: await listRevisions(doc) });
+      }
+      const revision = await getRevision(doc, id);
+      if (!revision) {
+        return res.status(404).json({ success: false, error: 'Revision not found' });
+      }
+      return res.status(200).json({ success: true, doc, revision });
+    }
+
+    if (action !== 'restore') {
+      return res.status(400).json({ success: false, error: 'Unknown action' });
+    }
+
+    let data;
+    try {
+      data = await readJson(req);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: 'Invalid JSON format' });
+    }
+    if (!data || typeof data.doc !== 'string' || typeof data.id !== 'string') {
+      return res.status(400).json({ success: false, error: 'doc and id are required' });
+    }
+
+    const revision = await getRevision(data.doc, data.id);
+    if (!revision) {
+      return res.status(404).json({ success: false, error: 'Revision not found' });
+    }
+    if (!revision.restorable) {
+      return res.status(400).json({ success: false, error: 'Revision cannot be restored' });
+    }
+
+    // 版本中的分区已不再接受等情况下不会写入任何内容
+    const restored = await restoreRevision(data.doc, data.id, session);
+    if (!restored) {
+      return res.status(409).json({ success: false, error: 'Revision target is no longer accepted, nothing was restored' });
+    }
+    console.log(`已将 ${data.doc} 恢复到版本 ${data.id}`);
+    return res.status(200).json({ success: true, doc: data.doc, ...restored });
+  } catch (error) {
+    console.error('修改历史操作失败:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+};
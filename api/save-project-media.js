@@ -1,94 +1,26 @@
-// 模拟项目媒体数据存储
-let projectMediaData = {
-  'ai-works': [
-    {
-      type: 'video',
-      name: '欧式ai.mp4',
-      mimeType: 'video/mp4',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/%E6%AC%A7%E5%BC%8Fai.mp4',
-      uploadTime: new Date().toISOString()
-    },
-    {
-      type: 'video',
-      name: 'ai1.mp4',
-      mimeType: 'video/mp4',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/ai1.mp4',
-      uploadTime: new Date().toISOString()
-    }
-  ],
-  'danmei': [
-    {
-      type: 'video',
-      name: 'danmei1.mp4',
-      mimeType: 'video/mp4',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/danmei1.mp4',
-      uploadTime: new Date().toISOString()
-    },
-    {
-      type: 'video',
-      name: 'danmei2.mp4',
-      mimeType: 'video/mp4',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/danmei2.mp4',
-      uploadTime: new Date().toISOString()
-    },
-    {
-      type: 'video',
-      name: 'DANMEI3.mp4',
-      mimeType: 'video/mp4',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/DANMEI3.mp4',
-      uploadTime: new Date().toISOString()
-    }
-  ],
-  'wansheng': [
-    {
-      type: 'video',
-      name: 'WANWUSHENG.mp4',
-      mimeType: 'video/mp4',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/WANWUSHENG.mp4',
-      uploadTime: new Date().toISOString()
-    }
-  ],
-  'guoshu': [
-    {
-      type: 'image',
-      name: '微信图片_20260207040335_7_5392.png',
-      mimeType: 'image/png',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/%E5%BE%AE%E4%BF%A1%E5%9B%BE%E7%89%87_20260207040335_7_5392.png',
-      uploadTime: new Date().toISOString()
-    },
-    {
-      type: 'image',
-      name: '微信图片_20260207040830_382_2.png',
-      mimeType: 'image/png',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/%E5%BE%AE%E4%BF%A1%E5%9B%BE%E7%89%87_20260207040830_382_2.png',
-      uploadTime: new Date().toISOString()
-    }
-  ],
-  'professor': [
-    {
-      type: 'image',
-      name: '微信图片_20260207041725_385_2.png',
-      mimeType: 'image/png',
-      size: 0,
-      url: 'https://6qm3brhgv3zzrlyz.public.blob.vercel-storage.com/%E5%BE%AE%E4%BF%A1%E5%9B%BE%E7%89%87_20260207041725_385_2.png',
-      uploadTime: new Date().toISOString()
-    }
-  ]
-};
+// 保存项目媒体数据到 Redis
+const store = require('./_lib/store');
+const { requireAuth } = require('./_lib/auth');
+const { withMediaIds } = require('./_lib/media-items');
+const { setVersionHeader, getIfMatch, requireIfMatch } = require('./_lib/etag');
+const { validate, sendValidationError } = require('./_lib/schema');
+const schemas = require('./_lib/schemas');
 
 module.exports = async (req, res) => {
   if (req.method !== 'POST') {
     return res.status(405).json({ success: false, error: 'Method not allowed' });
   }
 
+  // 只有已登录的管理员可以写入
+  if (!(await requireAuth(req, res))) {
+    return;
+  }
+
+  // 必须带 If-Match（版本号或 *），见 etag.js
+  if (!requireIfMatch(req, res)) {
+    return;
+  }
+
   try {
     // 解析请求体
     let data;
@@ -113,22 +45,53 @@ module.exports = async (req, res) => {
       );
     }
 
-    const { projectId, mediaArray } = data;
-    
-    if (!projectId) {
-      return res.status(400).json(
-        { success: false, error: 'Project ID is required' }
-      );
+    // 校验数据格式（projectId 和每一项媒体记录）
+    const errors = validate(schemas.projectMedia, data);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
     }
+
+    const { projectId } = data;
+
+    // 没有 id 的项（旧数据）在保存时分配 id
+    const mediaArray = withMediaIds(data.mediaArray);
     
-    // 保存项目媒体数据
-    projectMediaData[projectId] = mediaArray;
-    console.log(`项目 ${projectId} 的媒体数据已保存到服务器，共 ${mediaArray.length} 个文件`);
-    
-    return res.status(200).json({
-      success: true,
-      message: '项目媒体数据保存成功'
-    });
+    if (await store.isAvailable()) {
+      // 保存到 Redis，每个项目一个键（If-Match 为版本号时只在版本一致时写入）
+      try {
+        const { version } = await store.media.setIfMatch(projectId, mediaArray, getIfMatch(req));
+        setVersionHeader(res, version);
+        console.log(`项目 ${projectId} 的媒体数据已保存到 Redis，共 ${mediaArray.length} 个文件`);
+        return res.status(200).json({
+          success: true,
+          message: '项目媒体数据保存成功',
+          mediaArray,
+          version
+        });
+      } catch (redisError) {
+        if (redisError instanceof store.VersionConflictError) {
+          console.log(`项目 ${projectId} 的媒体数据版本冲突，拒绝保存`);
+          return res.status(409).json({
+            success: false,
+            error: 'Version conflict',
+            version: redisError.version,
+            current: redisError.current || []
+          });
+        }
+        console.error('保存项目媒体数据到 Redis 失败:', redisError);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to save to Redis'
+        });
+      }
+    } else {
+      // Redis 不可用
+      console.log('Redis 不可用，项目媒体数据未保存');
+      return res.status(200).json({
+        success: true,
+        message: 'Redis not available, data not saved to server'
+      });
+    }
   } catch (error) {
     console.error('保存项目媒体数据失败:', error);
     return res.status(500).json(
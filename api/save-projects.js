@@ -1,50 +1,27 @@
 // 保存项目数据到 Redis
-const { createClient } = require('redis');
-
-// Redis 客户端实例
-let redisClient = null;
-let redisConnected = false;
-
-// 获取 Redis 客户端
-async function getRedisClient() {
-  if (redisClient && redisConnected) {
-    return redisClient;
-  }
-  
-  const redisUrl = process.env.REDIS_URL;
-  if (!redisUrl) {
-    return null;
-  }
-  
-  try {
-    redisClient = createClient({
-      url: redisUrl
-    });
-    
-    redisClient.on('error', (err) => {
-      console.error('Redis Client Error:', err);
-      redisConnected = false;
-    });
-    
-    redisClient.on('connect', () => {
-      console.log('Redis Client Connected');
-      redisConnected = true;
-    });
-    
-    await redisClient.connect();
-    return redisClient;
-  } catch (error) {
-    console.error('Redis Connection Error:', error);
-    redisConnected = false;
-    return null;
-  }
-}
+const store = require('./_lib/store');
+const { requireAuth } = require('./_lib/auth');
+const { setVersionHeader, getIfMatch, requireIfMatch } = require('./_lib/etag');
+const { validate, sendValidationError } = require('./_lib/schema');
+const schemas = require('./_lib/schemas');
+const { projectsDoc, recordRevision } = require('./_lib/revisions');
 
 module.exports = async (req, res) => {
   if (req.method !== 'POST') {
     return res.status(405).json({ success: false, error: 'Method not allowed' });
   }
 
+  // 只有已登录的管理员可以写入
+  const session = await requireAuth(req, res);
+  if (!session) {
+    return;
+  }
+
+  // 必须带 If-Match（版本号或 *），见 etag.js
+  if (!requireIfMatch(req, res)) {
+    return;
+  }
+
   try {
     // 解析请求体
     let data;
@@ -69,19 +46,34 @@ module.exports = async (req, res) => {
       );
     }
 
-    // 获取 Redis 客户端
-    const client = await getRedisClient();
-    
-    if (client) {
-      // 保存到 Redis
+    // 校验数据格式（以项目 id 为键的项目信息）
+    const errors = validate(schemas.projects, data);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (await store.isAvailable()) {
+      // 保存到 Redis（If-Match 为版本号时只在版本一致时写入，防止覆盖其他页面的修改）
       try {
-        await client.set('projects', JSON.stringify(data));
+        const { version, previous } = await store.projects.setIfMatch(data, getIfMatch(req));
+        setVersionHeader(res, version);
         console.log('项目数据已保存到 Redis');
+        await recordRevision(projectsDoc(), previous, data, session);
         return res.status(200).json({
           success: true,
-          message: '项目数据保存成功'
+          message: '项目数据保存成功',
+          version
         });
       } catch (redisError) {
+        if (redisError instanceof store.VersionConflictError) {
+          console.log('项目数据版本冲突，拒绝保存');
+          return res.status(409).json({
+            success: false,
+            error: 'Version conflict',
+            version: redisError.version,
+            current: redisError.current
+          });
+        }
         console.error('保存项目数据到 Redis 失败:', redisError);
         return res.status(500).json({
           success: false,
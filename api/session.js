@@ -0,0 +1,32 @@
+// 查询当前会话是否有效（供前端 checkLoginStatus 使用）
+const { getSession } = require('./_lib/auth');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    // 会话状态不能被缓存
+    res.setHeader('Cache-Control', 'no-store');
+
+    const session = await getSession(req);
+    if (!session) {
+      return res.status(200).json({
+        success: true,
+        authenticated: false
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      authenticated: true,
+      expiresAt: session.exp
+    });
+  } catch (error) {
+    console.error('查询会话失败:', error);
+    return res.status(500).json(
+      { success: false, error: error.message }
+    );
+  }
+};
@@ -1,61 +1,26 @@
 
 // 支持 Redis Labs 和 Vercel KV
 
-const { createClient } = require('redis');
-
-// Redis 客户端实例（全局缓存）
-let redisClient = null;
-let redisConnected = false;
-
-// 获取 Redis 客户端
-async function getRedisClient() {
-  if (redisClient && redisConnected) {
-    return redisClient;
-  }
-  
-  const redisUrl = process.env.REDIS_URL;
-  if (!redisUrl) {
-    return null;
-  }
-  
-  try {
-    redisClient = createClient({
-      url: redisUrl
-    });
-    
-    redisClient.on('error', (err) => {
-      console.error('Redis Client Error:', err);
-      redisConnected = false;
-    });
-    
-    redisClient.on('connect', () => {
-      console.log('Redis Client Connected');
-      redisConnected = true;
-    });
-    
-    await redisClient.connect();
-    return redisClient;
-  } catch (error) {
-    console.error('Redis Connection Error:', error);
-    redisConnected = false;
-    return null;
-  }
-}
+const store = require('./_lib/store');
+const { requireAuth } = require('./_lib/auth');
+const { setVersionHeader, getIfMatch, requireIfMatch } = require('./_lib/etag');
+const { validate, sendValidationError } = require('./_lib/schema');
+const schemas = require('./_lib/schemas');
+const { textDoc, recordRevision } = require('./_lib/revisions');
 
 module.exports = async (req, res) => {
   // 设置 CORS 头
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match');
 
   // 处理预检请求
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
-  // 获取 Redis 客户端
-  const client = await getRedisClient();
-  const redisAvailable = !!client;
+  // 检查存储是否可用
+  const redisAvailable = await store.isAvailable();
   
   console.log('Redis 可用:', redisAvailable);
 
@@ -67,24 +32,32 @@ module.exports = async (req, res) => {
       console.log('GET 请求:', { key, section, all, redisAvailable });
       
       // 获取单个内容
-      if (!key) {
+      if (!key || !section) {
         return res.status(400).json({ 
           success: false, 
-          error: 'Key is required' 
+          error: 'Key and section are required' 
         });
       }
+      const errors = validate(schemas.textRef, { key, section });
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
       
-      const storageKey = section ? `${section}:${key}` : key;
+      const storageKey = store.keys.textName(key, section);
       
       // 如果 Redis 可用，从 Redis 获取
       if (redisAvailable) {
         try {
-          const value = await client.get(storageKey);
+          const value = await store.text.get(key, section);
           console.log('从 Redis 获取:', storageKey, value ? '有数据' : '无数据');
+          // 保存时通过 If-Match 带回版本，防止覆盖其他页面的修改
+          const version = store.versionOf(value);
+          setVersionHeader(res, version);
           return res.status(200).json({
             success: true,
             key: storageKey,
-            content: value || ''
+            content: value || '',
+            version
           });
         } catch (redisError) {
           console.error('Redis 获取失败:', redisError);
@@ -102,6 +75,17 @@ module.exports = async (req, res) => {
     
     // POST 请求 - 保存内容
     if (req.method === 'POST') {
+      // 只有已登录的管理员可以写入
+      const session = await requireAuth(req, res);
+      if (!session) {
+        return;
+      }
+
+      // 必须带 If-Match（版本号或 *），见 etag.js
+      if (!requireIfMatch(req, res)) {
+        return;
+      }
+
       // 解析请求体
       let data;
       try {
@@ -118,34 +102,49 @@ module.exports = async (req, res) => {
         return res.status(400).json({ success: false, error: 'Invalid JSON format' });
       }
 
+      // 校验键名和内容（JSON 内容如工作经验、技能按各自的格式校验）
+      const errors = validate(schemas.textEntry(data && data.key), data);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
       const { key, content, section } = data;
       
       console.log('POST 请求:', { key, section, contentLength: content ? content.length : 0, redisAvailable });
-      
-      if (!key || content === undefined) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'Key and content are required' 
-        });
-      }
 
-      const storageKey = section ? `${section}:${key}` : key;
+      const storageKey = store.keys.textName(key, section);
       
       // 如果 Redis 可用，保存到 Redis
       if (redisAvailable) {
         try {
-          await client.set(storageKey, content);
+          // If-Match 为版本号时只在版本一致时写入，为 * 时直接覆盖
+          const previous = await store.text.replace(key, section, content, getIfMatch(req));
           console.log('保存到 Redis:', storageKey);
+          await recordRevision(textDoc(key, section), previous, content, session);
+          const version = store.versionOf(content);
+          setVersionHeader(res, version);
           return res.status(200).json({
             success: true,
             message: '内容保存成功',
-            key: storageKey
+            key: storageKey,
+            version
           });
         } catch (redisError) {
+          if (redisError instanceof store.VersionConflictError) {
+            console.log('文字内容版本冲突，拒绝保存:', storageKey);
+            return res.status(409).json({
+              success: false,
+              error: 'Version conflict',
+              key: storageKey,
+              version: redisError.version,
+              current: redisError.current || ''
+            });
+          }
+          // 返回 5xx，前端把这次保存放入离线队列稍后重试，不会当作已保存
           console.error('Redis 保存失败:', redisError);
-          return res.status(200).json({
-            success: true,
-            message: 'Redis save failed, use localStorage',
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to save to Redis',
             key: storageKey
           });
         }
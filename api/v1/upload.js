@@ -0,0 +1,275 @@
+// 统一上传接口 v1
+//
+// 1. POST   /api/v1/upload?action=prepare   { filename, size, contentType }
+//    服务器校验类型和大小（contentType 为空时按扩展名推断，推断结果在返回值的 contentType 中），并按大小选择上传方式：
+//    - strategy: 'single'     小文件，浏览器用 @vercel/blob/client 的 upload() 直传到返回的 pathname
+//                             （handleUploadUrl 指向本接口，clientPayload 中声明 { contentType, size }，
+//                             令牌只能上传到该路径、该类型和大小；上传完成回调中按文件头校验，不符时删除）
+//    - strategy: 'multipart'  大文件，已创建可续传的上传会话，返回 uploadId / partSize / totalParts
+// 2. 分块上传（仅 multipart）
+//    PUT    /api/v1/upload?uploadId=..&partNumber=N   请求体为第 N 块的原始字节（从 1 开始）
+//    GET    /api/v1/upload?uploadId=..                查询已上传的分块，用于断点续传
+//    DELETE /api/v1/upload?uploadId=..                放弃上传并清理分块
+// 3. POST   /api/v1/upload?action=complete  { url }（single）或 { uploadId }（multipart）
+//
+// 所有上传方式完成后都返回同一种结果：
+//   { success: true, media: { id, type, name, mimeType, size, url, uploadTime } }
+// media 可以直接加入项目媒体列表，其中 mimeType 是服务器根据文件头识别出的类型。
+const { head, del } = require('@vercel/blob');
+const { handleUpload } = require('@vercel/blob/client');
+const { getSession, requireAuth } = require('../_lib/auth');
+const { readRemoteHead } = require('../_lib/file-type');
+const {
+  MULTIPART_THRESHOLD,
+  UploadError,
+  validateUpload,
+  resolveContentType,
+  buildUploadPathname,
+  isAllowedPathname,
+  isAllowedContentType,
+  verifyFileSignature,
+  buildMediaRecord
+} = require('../_lib/upload-policy');
+const sessions = require('../_lib/upload-sessions');
+
+// 直传令牌有效期 10 分钟
+const TOKEN_TTL_MS = 10 * 60 * 1000;
+
+// 读取 JSON 请求体
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(new Error('Invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// 读取原始请求体（分块），超过上限直接拒绝
+async function readBuffer(req, maxBytes) {
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of req) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      throw new UploadError('Part too large', 413);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, total);
+}
+
+// 准备上传：校验并选择上传方式
+async function prepareUpload(res, { filename, size, contentType: declaredType }) {
+  const contentType = resolveContentType(filename, declaredType);
+  validateUpload({ filename, size, contentType });
+
+  if (size > MULTIPART_THRESHOLD) {
+    const session = await sessions.createSession({ filename, size, contentType });
+    return res.status(200).json({
+      success: true,
+      strategy: 'multipart',
+      contentType,
+      uploadId: session.uploadId,
+      partSize: session.partSize,
+      totalParts: session.totalParts
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    strategy: 'single',
+    contentType,
+    pathname: buildUploadPathname(filename)
+  });
+}
+
+// 直传时客户端在 clientPayload 中声明的 { contentType, size }，以及随令牌传给上传完成回调的 tokenPayload
+function parsePayload(payload) {
+  try {
+    const parsed = JSON.parse(payload || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// 按文件头校验已上传的文件，返回识别出的类型；内容不符的文件不能留在存储里，删除后抛出 UploadError
+async function verifyUploadedFile(url, declaredContentType) {
+  try {
+    return verifyFileSignature(await readRemoteHead(url), declaredContentType);
+  } catch (error) {
+    if (error instanceof UploadError) {
+      await del(url, { token: process.env.BLOB_READ_WRITE_TOKEN });
+    }
+    throw error;
+  }
+}
+
+// 浏览器直传的令牌申请 / 上传完成回调（由 @vercel/blob/client 发起）
+async function handleClientUpload(req, res, body) {
+  // 申请令牌必须已登录；上传完成回调由 Vercel 发起，签名由 handleUpload 校验
+  if (body.type === 'blob.generate-client-token' && !(await getSession(req))) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  const jsonResponse = await handleUpload({
+    body,
+    request: req,
+    token: process.env.BLOB_READ_WRITE_TOKEN,
+    // 令牌只能上传到 public-videos/ 下的这一个路径，且只接受声明的类型和大小
+    onBeforeGenerateToken: async (pathname, clientPayload) => {
+      if (!isAllowedPathname(pathname)) {
+        throw new UploadError('Invalid upload path');
+      }
+      const payload = parsePayload(clientPayload);
+      const contentType = resolveContentType(pathname, payload.contentType);
+      const { size } = payload;
+      validateUpload({ filename: pathname, size, contentType });
+      if (size > MULTIPART_THRESHOLD) {
+        throw new UploadError('File too large for direct upload', 413);
+      }
+      return {
+        allowedContentTypes: [contentType],
+        maximumSizeInBytes: size,
+        validUntil: Date.now() + TOKEN_TTL_MS,
+        tokenPayload: JSON.stringify({ contentType })
+      };
+    },
+    // 上传完成后立即按文件头校验，不依赖前端调用 complete；媒体记录由前端在 complete 之后保存
+    onUploadCompleted: async ({ blob, tokenPayload }) => {
+      console.log('客户端直传完成:', blob.pathname, blob.url);
+      try {
+        await verifyUploadedFile(blob.url, parsePayload(tokenPayload).contentType || blob.contentType);
+      } catch (error) {
+        if (!(error instanceof UploadError)) {
+          throw error;
+        }
+        console.warn('直传文件内容不符，已删除:', blob.pathname, error.message);
+      }
+    }
+  });
+
+  return res.status(200).json({ success: true, ...jsonResponse });
+}
+
+// 完成直传：按文件头校验实际内容，以 Blob 中的实际信息生成媒体记录
+async function completeSingleUpload(res, url) {
+  const token = process.env.BLOB_READ_WRITE_TOKEN;
+  let blob;
+  try {
+    blob = await head(url, { token });
+  } catch (error) {
+    throw new UploadError('Uploaded file not found', 404);
+  }
+
+  if (!isAllowedPathname(blob.pathname) || !isAllowedContentType(blob.contentType)) {
+    throw new UploadError('Invalid upload');
+  }
+
+  const mimeType = await verifyUploadedFile(blob.url, blob.contentType);
+
+  const media = buildMediaRecord({
+    pathname: blob.pathname,
+    url: blob.url,
+    size: blob.size,
+    mimeType
+  });
+  return res.status(200).json({ success: true, media });
+}
+
+module.exports = async (req, res) => {
+  const query = req.query || {};
+
+  try {
+    // 查询分块上传进度
+    if (req.method === 'GET') {
+      if (!(await requireAuth(req, res))) {
+        return;
+      }
+      const session = await sessions.getSession(query.uploadId);
+      return res.status(200).json({ success: true, ...(await sessions.getStatus(session)) });
+    }
+
+    // 上传单个分块
+    if (req.method === 'PUT') {
+      if (!(await requireAuth(req, res))) {
+        return;
+      }
+      const session = await sessions.getSession(query.uploadId);
+      const partNumber = parseInt(query.partNumber, 10);
+      const buffer = await readBuffer(req, session.partSize);
+      await sessions.savePart(session, partNumber, buffer);
+      return res.status(200).json({ success: true, partNumber });
+    }
+
+    // 放弃分块上传
+    if (req.method === 'DELETE') {
+      if (!(await requireAuth(req, res))) {
+        return;
+      }
+      if (!query.uploadId) {
+        throw new UploadError('Upload session not found', 404);
+      }
+      await sessions.abortSession(query.uploadId);
+      return res.status(200).json({ success: true, uploadId: query.uploadId });
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    // 解析请求体
+    let body;
+    try {
+      body = await readJson(req);
+    } catch (parseError) {
+      return res.status(400).json(
+        { success: false, error: 'Invalid JSON format' }
+      );
+    }
+
+    if (body && typeof body.type === 'string' && body.type.startsWith('blob.')) {
+      return await handleClientUpload(req, res, body);
+    }
+
+    // 只有已登录的管理员可以上传
+    if (!(await requireAuth(req, res))) {
+      return;
+    }
+
+    if (query.action === 'prepare') {
+      return await prepareUpload(res, body || {});
+    }
+
+    if (query.action === 'complete') {
+      if (body && body.uploadId) {
+        const session = await sessions.getSession(body.uploadId);
+        const media = await sessions.completeSession(session);
+        return res.status(200).json({ success: true, media });
+      }
+      if (body && body.url) {
+        return await completeSingleUpload(res, body.url);
+      }
+      throw new UploadError('url or uploadId is required');
+    }
+
+    throw new UploadError('Unknown action');
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({ success: false, error: error.message, ...error.details });
+    }
+    console.error('Upload error:', error);
+    return res.status(500).json(
+      { success: false, error: error.message }
+    );
+  }
+};
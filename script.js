@@ -1,4 +1,5 @@
-// 视频压缩函数（使用Canvas和MediaRecorder，支持高质量压缩）
+// 视频压缩函数（使用Canvas和MediaRecorder，支持高质量压缩），返回压缩后的 Blob（webm）
+// 实时重新录制，耗时与视频时长相同；超过最大时长的视频不压缩（直接失败，由调用方上传原文件）
 async function compressVideo(file, maxWidth = 1920, maxHeight = 1080, bitrate = 6000000, onProgress = null, fps = 30) {
     return new Promise((resolve, reject) => {
         const video = document.createElement('video');
@@ -6,9 +7,13 @@ async function compressVideo(file, maxWidth = 1920, maxHeight = 1080, bitrate =
         const ctx = canvas.getContext('2d');
         
         video.preload = 'metadata'; // 只预加载元数据，加快加载速度
-        video.muted = true; // 静音，减少音频处理开销
+        // 不能静音：静音的视频元素输出给音频上下文的也是静音，声音只接到录制流，不会从扬声器播放
         video.playsInline = true;
         
+        // 视频最长5分钟（中途停止录制会得到截断的视频）
+        const maxDuration = 300;
+        let timedOut = false;
+        
         let mediaRecorder = null;
         const chunks = [];
         let animationFrameId = null;
@@ -33,6 +38,11 @@ async function compressVideo(file, maxWidth = 1920, maxHeight = 1080, bitrate =
             startTime = Date.now();
             const totalDuration = video.duration || 0;
             console.log(`视频元数据加载完成: ${video.videoWidth}x${video.videoHeight}, 时长: ${totalDuration}秒`);
+            if (!isFinite(totalDuration) || totalDuration > maxDuration) {
+                URL.revokeObjectURL(video.src);
+                reject(new Error(`视频超过 ${maxDuration / 60} 分钟或时长未知，不压缩`));
+                return;
+            }
             try {
                 // 计算新尺寸（保持宽高比，尽量保持原始分辨率）
                 let width = video.videoWidth;
@@ -75,6 +85,9 @@ async function compressVideo(file, maxWidth = 1920, maxHeight = 1080, bitrate =
                     const destination = audioContext.createMediaStreamDestination();
                     source.connect(destination);
                     audioTracks = destination.stream.getAudioTracks();
+                    if (audioContext.state === 'suspended') {
+                        audioContext.resume().catch(err => console.warn('恢复音频上下文失败:', err));
+                    }
                 } catch (audioError) {
                     console.warn('音频处理失败，将只处理视频:', audioError);
                     // 继续执行，只处理视频
@@ -86,24 +99,23 @@ async function compressVideo(file, maxWidth = 1920, maxHeight = 1080, bitrate =
                 combinedStream.addTrack(videoTrack);
                 audioTracks.forEach(track => combinedStream.addTrack(track));
                 
-                // 优先使用vp9编码（更好的压缩比和画质）
-                let mimeType = 'video/webm;codecs=vp9';
-                if (!MediaRecorder.isTypeSupported(mimeType)) {
-                    mimeType = 'video/webm;codecs=vp8';
-                    if (!MediaRecorder.isTypeSupported(mimeType)) {
-                        mimeType = 'video/webm';
-                    }
-                }
+                // 优先使用vp9编码（更好的压缩比和画质）；Safari 不能录制 WebM，改用 MP4
+                // 都不支持时不指定格式，由浏览器选择，实际格式以 mediaRecorder.mimeType 为准
+                const requestedType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4']
+                    .find(type => MediaRecorder.isTypeSupported(type));
                 
-                console.log(`使用编码格式: ${mimeType}, 分辨率: ${width}x${height}, 比特率: ${(bitrate / 1000000).toFixed(1)}Mbps, 帧率: ${fps}fps, 包含音频: ${audioTracks.length > 0}`);
+                console.log(`使用编码格式: ${requestedType || '浏览器默认'}, 分辨率: ${width}x${height}, 比特率: ${(bitrate / 1000000).toFixed(1)}Mbps, 帧率: ${fps}fps, 包含音频: ${audioTracks.length > 0}`);
                 
                 // 配置MediaRecorder选项（高质量，包含音频）
                 const options = {
-                    mimeType: mimeType,
                     videoBitsPerSecond: bitrate,
                     audioBitsPerSecond: 128000 // 降低音频比特率，减少处理开销
                 };
                 
+                if (requestedType) {
+                    options.mimeType = requestedType;
+                }
+                
                 mediaRecorder = new MediaRecorder(combinedStream, options);
                 
                 mediaRecorder.ondataavailable = (e) => {
@@ -139,25 +151,20 @@ async function compressVideo(file, maxWidth = 1920, maxHeight = 1080, bitrate =
                         URL.revokeObjectURL(videoSrc);
                     }
                     
+                    if (timedOut) {
+                        reject(new Error('视频压缩超时'));
+                        return;
+                    }
                     if (chunks.length === 0) {
                         reject(new Error('录制失败，没有数据'));
                         return;
                     }
                     
+                    const mimeType = mediaRecorder.mimeType || requestedType || chunks[0].type;
                     const blob = new Blob(chunks, { type: mimeType });
                     const compressionTime = ((Date.now() - startTime) / 1000).toFixed(1);
                     console.log(`视频压缩完成，大小: ${(blob.size / 1024 / 1024).toFixed(2)}MB, 格式: ${mimeType}, 耗时: ${compressionTime}秒`);
-                    
-                    // 使用异步文件读取，减少主线程阻塞
-                    const reader = new FileReader();
-                    reader.onload = (e) => {
-                        resolve(e.target.result);
-                    };
-                    reader.onerror = (err) => {
-                        console.error('读取压缩视频失败:', err);
-                        reject(err);
-                    };
-                    reader.readAsDataURL(blob);
+                    resolve(blob);
                 };
                 
                 mediaRecorder.onerror = (e) => {
@@ -231,14 +238,14 @@ async function compressVideo(file, maxWidth = 1920, maxHeight = 1080, bitrate =
                     }
                 };
                 
-                // 设置超时保护（防止视频过长导致问题）
-                const maxDuration = 300; // 5分钟
+                // 设置超时保护（播放卡住时放弃压缩，不返回截断的视频）
                 setTimeout(() => {
                     if (mediaRecorder && mediaRecorder.state === 'recording') {
-                        console.log('达到最大时长，停止录制');
+                        console.log('压缩超时，停止录制');
+                        timedOut = true;
                         mediaRecorder.stop();
                     }
-                }, maxDuration * 1000);
+                }, (totalDuration + 60) * 1000);
                 
             } catch (error) {
                 reject(error);
@@ -538,14 +545,6 @@ function initPhotoUpload() {
     const photoPlaceholder = document.getElementById('photoPlaceholder');
     const aboutPhoto = document.querySelector('.about-photo');
     
-    // 从localStorage加载已保存的照片
-    const savedPhoto = localStorage.getItem('profilePhoto');
-    if (savedPhoto) {
-        profilePhoto.src = savedPhoto;
-        profilePhoto.style.display = 'block';
-        photoPlaceholder.style.display = 'none';
-    }
-    
     // 点击照片区域上传（需要登录）
     aboutPhoto.addEventListener('click', () => {
         if (isLoggedIn) {
@@ -567,12 +566,10 @@ function initPhotoUpload() {
             const reader = new FileReader();
             reader.onload = function(e) {
                 const imageUrl = e.target.result;
+                // 先显示本地预览，上传和保存由 saveProfilePhoto 完成
                 profilePhoto.src = imageUrl;
                 profilePhoto.style.display = 'block';
                 photoPlaceholder.style.display = 'none';
-                
-                // 保存到localStorage
-                localStorage.setItem('profilePhoto', imageUrl);
             };
             reader.readAsDataURL(file);
         }
@@ -588,9 +585,11 @@ function initLoginSystem() {
     const loginClose = document.querySelector('.login-close');
     const adminLoginBtn = document.getElementById('adminLoginBtn');
     const adminLogoutBtn = document.getElementById('adminLogoutBtn');
+    const adminHistoryBtn = document.getElementById('adminHistoryBtn');
+    const adminBackupBtn = document.getElementById('adminBackupBtn');
     
-    // 默认密码（可以修改）
-    const ADMIN_PASSWORD = 'admin123'; // 请修改为你自己的密码
+    // 会话到期后自动重新检查登录状态的定时器
+    let sessionExpiryTimer = null;
     
     // 打开登录模态框
     function showLoginModal() {
@@ -610,25 +609,48 @@ function initLoginSystem() {
         document.getElementById('loginError').style.display = 'none';
     }
     
-    // 检查登录状态
-    function checkLoginStatus() {
-        const loginTime = localStorage.getItem('adminLoginTime');
-        const loginExpiry = localStorage.getItem('adminLoginExpiry');
-        const now = Date.now();
-        
-        // 检查是否已登录且未过期（24小时有效期）
-        if (loginTime && loginExpiry && now < parseInt(loginExpiry)) {
-            isLoggedIn = true;
-            updateUIForLogin();
-        } else {
+    // 会话到期时重新向服务器确认登录状态
+    function scheduleSessionExpiryCheck(expiresAt) {
+        if (sessionExpiryTimer) {
+            clearTimeout(sessionExpiryTimer);
+            sessionExpiryTimer = null;
+        }
+        if (expiresAt) {
+            // setTimeout 最大延迟约24.8天，会话有效期为24小时
+            const delay = Math.max(expiresAt - Date.now(), 0) + 1000;
+            sessionExpiryTimer = setTimeout(checkLoginStatus, delay);
+        }
+    }
+    
+    // 检查登录状态（由服务器校验 HttpOnly 会话 Cookie）
+    async function checkLoginStatus() {
+        // 清除旧版前端登录遗留的本地标记
+        localStorage.removeItem('adminLoginTime');
+        localStorage.removeItem('adminLoginExpiry');
+        
+        try {
+            const response = await fetch('/api/session', {
+                credentials: 'same-origin',
+                cache: 'no-store'
+            });
+            const data = await response.json();
+            
+            if (data.success && data.authenticated) {
+                isLoggedIn = true;
+                updateUIForLogin();
+                scheduleSessionExpiryCheck(data.expiresAt);
+            } else {
+                isLoggedIn = false;
+                updateUIForLogout();
+                scheduleSessionExpiryCheck(null);
+            }
+        } catch (error) {
+            console.error('查询登录状态失败:', error);
             isLoggedIn = false;
             updateUIForLogout();
-            // 清除过期的登录信息
-            if (loginTime) {
-                localStorage.removeItem('adminLoginTime');
-                localStorage.removeItem('adminLoginExpiry');
-            }
         }
+        
+        return isLoggedIn;
     }
     
     // 更新UI显示登录状态
@@ -636,6 +658,8 @@ function initLoginSystem() {
         if (loginBtn) loginBtn.style.display = 'none';
         if (adminLoginBtn) adminLoginBtn.style.display = 'none';
         if (adminLogoutBtn) adminLogoutBtn.style.display = 'block';
+        if (adminHistoryBtn) adminHistoryBtn.style.display = 'block';
+        if (adminBackupBtn) adminBackupBtn.style.display = 'block';
         document.body.classList.add('edit-mode');
         document.body.classList.remove('not-logged-in');
         
@@ -677,6 +701,9 @@ function initLoginSystem() {
             renderExperiences();
         }
         
+        // 旧版本以 data URL 保存的个人照片、二维码迁移到 Blob
+        migrateLegacyImageContent();
+        
         // 重新渲染技能卡片（显示编辑、删除按钮）
         if (typeof renderSkills === 'function') {
             renderSkills();
@@ -895,32 +922,9 @@ function initLoginSystem() {
                                     // 保存到服务器
                                     const key = `${selector.replace('.', '')}_${index}`;
                                     console.log('正在保存到服务器:', key, '内容:', newText.substring(0, 50) + '...');
-                                    try {
-                                        const response = await fetch('/api/text-content', {
-                                            method: 'POST',
-                                            headers: {
-                                                'Content-Type': 'application/json'
-                                            },
-                                            body: JSON.stringify({
-                                                key: key,
-                                                content: newText,
-                                                section: 'about'
-                                            })
-                                        });
-                                        const result = await response.json();
-                                        console.log('服务器响应:', result);
-                                        if (result.success) {
-                                            console.log('内容已成功保存到服务器:', key);
-                                        } else {
-                                            console.error('服务器保存失败:', result.error);
-                                        }
-                                        // 同时保存到 localStorage 作为备份
-                                        localStorage.setItem(`about_${key}`, newText);
-                                    } catch (error) {
-                                        console.error('保存到服务器失败:', error);
-                                        // 如果服务器保存失败，保存到 localStorage 作为备份
-                                        localStorage.setItem(`about_${key}`, newText);
-                                    }
+                                    // 同时保存到 localStorage 作为备份（服务器保存失败时加入离线队列）
+                                    localStorage.setItem(`about_${key}`, newText);
+                                    await saveTextContent(key, 'about', newText);
                                 } else {
                                     // 如果内容为空，恢复原内容
                                     element.innerHTML = '';
@@ -1030,7 +1034,7 @@ function initLoginSystem() {
         });
         
         // 保存按钮
-        document.getElementById('saveAdd').addEventListener('click', () => {
+        document.getElementById('saveAdd').addEventListener('click', async () => {
             const projectId = document.getElementById('newProjectId').value.trim();
             const title = document.getElementById('newProjectTitle').value;
             const description = document.getElementById('newProjectDescription').value;
@@ -1052,15 +1056,14 @@ function initLoginSystem() {
                 return;
             }
             
-            // 添加新项目
-            projectData[projectId] = {
-                title,
-                description,
-                tags
-            };
-            
-            // 保存到localStorage
-            saveProjectData();
+            // 添加新项目（等待保存完成后再刷新，避免刷新中断保存）
+            try {
+                await createProject(projectId, { title, description, tags });
+            } catch (error) {
+                console.error('添加项目失败:', error);
+                alert(`添加失败：${error.message}`);
+                return;
+            }
             
             // 刷新页面
             window.location.reload();
@@ -1097,6 +1100,7 @@ function initLoginSystem() {
                     <input type="text" id="editTags" value="${project.tags.join(', ')}" style="width: 100%; padding: 8px;">
                 </div>
                 <div style="display: flex; gap: 10px; justify-content: flex-end;">
+                    <button type="button" id="deleteProjectBtn" style="padding: 8px 16px; margin-right: auto; background: #e53935; color: white; border: none; border-radius: 4px;">删除项目</button>
                     <button type="button" id="cancelEdit" style="padding: 8px 16px;">取消</button>
                     <button type="button" id="saveEdit" style="padding: 8px 16px; background: #4CAF50; color: white; border: none; border-radius: 4px;">保存</button>
                 </div>
@@ -1140,22 +1144,42 @@ function initLoginSystem() {
             document.body.style.overflow = '';
         });
         
+        // 删除按钮
+        document.getElementById('deleteProjectBtn').addEventListener('click', async () => {
+            if (!confirm(`确定要删除项目"${project.title}"吗？`)) {
+                return;
+            }
+            try {
+                await deleteProject(projectId);
+            } catch (error) {
+                console.error('删除项目失败:', error);
+                alert(`删除失败：${error.message}`);
+                return;
+            }
+            
+            // 详情页中项目已不存在，回到首页
+            if (window.location.pathname.includes('project.html')) {
+                window.location.href = 'index.html';
+            } else {
+                window.location.reload();
+            }
+        });
+        
         // 保存按钮
-        document.getElementById('saveEdit').addEventListener('click', () => {
+        document.getElementById('saveEdit').addEventListener('click', async () => {
             const title = document.getElementById('editTitle').value;
             const description = document.getElementById('editDescription').value;
             const tags = document.getElementById('editTags').value.split(',').map(tag => tag.trim()).filter(tag => tag);
             
-            // 更新项目数据
-            projectData[projectId] = {
-                ...project,
-                title,
-                description,
-                tags
-            };
-            
-            // 保存到localStorage
-            saveProjectData();
+            // 只更新这一个项目（等待保存完成后再刷新，避免刷新中断保存）
+            try {
+                await updateProject(projectId, { title, description, tags });
+            } catch (error) {
+                console.error('更新项目失败:', error);
+                alert(`保存失败：${error.message}`);
+                return;
+            }
+            const updated = projectData[projectId];
             
             // 刷新显示
             if (window.location.pathname.includes('project.html')) {
@@ -1165,11 +1189,11 @@ function initLoginSystem() {
                 // 如果在首页，更新卡片显示
                 const projectCard = document.querySelector(`.project-btn[data-project-id="${projectId}"]`).closest('.project-card');
                 if (projectCard) {
-                    projectCard.querySelector('.project-title').textContent = title;
-                    projectCard.querySelector('.project-description').textContent = description;
+                    projectCard.querySelector('.project-title').textContent = updated.title;
+                    projectCard.querySelector('.project-description').textContent = updated.description;
                     
                     const tagsContainer = projectCard.querySelector('.project-tags');
-                    tagsContainer.innerHTML = tags.map(tag => `<span class="tag">${tag}</span>`).join('');
+                    tagsContainer.innerHTML = updated.tags.map(tag => `<span class="tag">${tag}</span>`).join('');
                 }
             }
             
@@ -1194,6 +1218,8 @@ function initLoginSystem() {
         if (loginBtn) loginBtn.style.display = 'block';
         if (adminLoginBtn) adminLoginBtn.style.display = 'none';
         if (adminLogoutBtn) adminLogoutBtn.style.display = 'none';
+        if (adminHistoryBtn) adminHistoryBtn.style.display = 'none';
+        if (adminBackupBtn) adminBackupBtn.style.display = 'none';
         document.body.classList.remove('edit-mode');
         document.body.classList.add('not-logged-in');
         
@@ -1276,35 +1302,65 @@ function initLoginSystem() {
 
     }
     
-    // 登录
-    function login(password) {
-        if (password === ADMIN_PASSWORD) {
-            isLoggedIn = true;
-            const now = Date.now();
-            const expiry = now + (24 * 60 * 60 * 1000); // 24小时后过期
+    // 显示登录错误
+    function showLoginError(message) {
+        const errorDiv = document.getElementById('loginError');
+        errorDiv.textContent = message;
+        errorDiv.style.display = 'block';
+        loginPassword.value = '';
+        setTimeout(() => loginPassword.focus(), 100);
+    }
+    
+    // 登录（由服务器校验密码并签发会话 Cookie）
+    async function login(password) {
+        try {
+            const response = await fetch('/api/login', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify({ password })
+            });
+            const data = await response.json();
             
-            localStorage.setItem('adminLoginTime', now.toString());
-            localStorage.setItem('adminLoginExpiry', expiry.toString());
+            if (data.success) {
+                isLoggedIn = true;
+                updateUIForLogin();
+                scheduleSessionExpiryCheck(data.expiresAt);
+                closeLoginModal();
+                return true;
+            }
             
-            updateUIForLogin();
-            closeLoginModal();
-            return true;
-        } else {
-            const errorDiv = document.getElementById('loginError');
-            errorDiv.textContent = '密码错误，请重试';
-            errorDiv.style.display = 'block';
-            loginPassword.value = '';
-            setTimeout(() => loginPassword.focus(), 100);
+            if (response.status === 401) {
+                showLoginError('密码错误，请重试');
+            } else if (response.status === 429) {
+                showLoginError(`密码错误次数过多，请 ${Math.ceil((data.retryAfter || 60) / 60)} 分钟后再试`);
+            } else {
+                console.error('登录失败:', data.error);
+                showLoginError('登录失败，请稍后重试');
+            }
+            return false;
+        } catch (error) {
+            console.error('登录请求失败:', error);
+            showLoginError('无法连接服务器，请稍后重试');
             return false;
         }
     }
     
     // 登出
-    function logout() {
+    async function logout() {
         if (confirm('确定要退出登录吗？')) {
+            try {
+                await fetch('/api/logout', {
+                    method: 'POST',
+                    credentials: 'same-origin'
+                });
+            } catch (error) {
+                console.error('登出请求失败:', error);
+            }
             isLoggedIn = false;
-            localStorage.removeItem('adminLoginTime');
-            localStorage.removeItem('adminLoginExpiry');
+            scheduleSessionExpiryCheck(null);
             updateUIForLogout();
             // 手动移除导航编辑按钮
             const editNavButtons = document.querySelectorAll('.edit-nav-btn');
@@ -1332,6 +1388,12 @@ function initLoginSystem() {
     if (adminLogoutBtn) {
         adminLogoutBtn.addEventListener('click', logout);
     }
+    if (adminHistoryBtn) {
+        adminHistoryBtn.addEventListener('click', openRevisionHistory);
+    }
+    if (adminBackupBtn) {
+        adminBackupBtn.addEventListener('click', openBackupPanel);
+    }
     if (loginClose) {
         loginClose.addEventListener('click', closeLoginModal);
     }
@@ -1510,6 +1572,41 @@ let projectData = {
         }
 };
 
+// 服务器上项目数据的版本，以及加载时的内容（保存冲突时用于合并）
+let projectDataVersion = null;
+let projectDataBase = null;
+
+// 深拷贝 / 比较（数据都是普通 JSON）
+function cloneJSON(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function isSameJSON(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// 保存冲突时询问：合并后重新保存，或放弃本地修改
+function confirmConflictMerge(what) {
+    return confirm(`${what}已在其他页面被修改。\n\n点击"确定"载入最新数据并合并你的修改后保存；\n点击"取消"放弃你的修改，使用最新数据。`);
+}
+
+// 三方合并项目数据：本地修改过的项目使用本地内容，其余使用服务器上的最新内容
+function mergeProjectData(base, local, remote) {
+    const merged = { ...remote };
+    const ids = new Set([...Object.keys(base), ...Object.keys(local)]);
+    ids.forEach(id => {
+        if (isSameJSON(local[id], base[id])) {
+            return;
+        }
+        if (local[id] === undefined) {
+            delete merged[id];
+        } else {
+            merged[id] = local[id];
+        }
+    });
+    return merged;
+}
+
 // 从API加载项目数据
 async function loadProjectData() {
     try {
@@ -1517,6 +1614,8 @@ async function loadProjectData() {
         const data = await response.json();
         if (data.success && data.projects) {
             projectData = data.projects;
+            projectDataVersion = data.version || null;
+            projectDataBase = cloneJSON(data.projects);
             console.log('从API加载项目数据成功');
         } else {
             // API加载失败，使用默认数据并保存到localStorage作为备份
@@ -1530,241 +1629,1490 @@ async function loadProjectData() {
     }
 }
 
-// 保存项目数据到API
+// 保存项目数据到API（带上加载时的版本，服务器上的数据已被修改时返回409）
 async function saveProjectData() {
     try {
+        const headers = {
+            'Content-Type': 'application/json',
+            'If-Match': ifMatchHeader(projectDataVersion)
+        };
         const response = await fetch('/api/save-projects', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers,
             body: JSON.stringify(projectData)
         });
         const data = await response.json();
         if (data.success) {
             console.log('项目数据已保存到API');
+            if (data.version) {
+                projectDataVersion = data.version;
+                projectDataBase = cloneJSON(projectData);
+            }
             // 同时保存到localStorage作为备份
             saveProjectDataToLocal();
+        } else if (response.status === 409) {
+            await resolveProjectDataConflict(data);
         } else {
             console.error('保存项目数据到API失败:', data.error);
-            // API保存失败，保存到localStorage作为备份
+            // API保存失败，保存到localStorage作为备份；服务器暂时不可用时加入离线队列稍后重试
             saveProjectDataToLocal();
+            if (isRetryableStatus(response.status)) {
+                queueProjectDataWrite();
+            }
         }
     } catch (error) {
         console.error('保存项目数据失败:', error);
-        // 保存失败，保存到localStorage作为备份
+        // 保存失败（网络断开等），保存到localStorage作为备份并加入离线队列
         saveProjectDataToLocal();
+        queueProjectDataWrite();
     }
 }
 
-// 保存项目数据到localStorage作为备份
-function saveProjectDataToLocal() {
-    try {
-        localStorage.setItem('projectData', JSON.stringify(projectData));
-        console.log('项目数据已保存到localStorage作为备份');
-    } catch (error) {
-        console.error('保存项目数据到localStorage失败:', error);
+function queueProjectDataWrite() {
+    queueWrite('projects', 'projects', projectData, {
+        base: projectDataBase,
+        baseVersion: projectDataVersion
+    });
+}
+
+// 处理保存冲突：合并后重新保存，或放弃本地修改并重新加载页面
+async function resolveProjectDataConflict(conflict) {
+    const remote = conflict.current || {};
+    const merge = confirmConflictMerge('项目信息');
+    const local = projectData;
+    const base = projectDataBase || {};
+
+    projectDataVersion = conflict.version;
+    projectDataBase = cloneJSON(remote);
+
+    if (merge) {
+        projectData = mergeProjectData(base, local, remote);
+        // 合并后再次冲突时会再次询问
+        await saveProjectData();
+    } else {
+        projectData = cloneJSON(remote);
+        saveProjectDataToLocal();
+        window.location.reload();
     }
 }
 
-// 从localStorage加载项目数据作为备份
-function loadProjectDataFromLocal() {
-    try {
-        const savedData = localStorage.getItem('projectData');
-        if (savedData) {
-            projectData = JSON.parse(savedData);
-            console.log('从localStorage加载项目数据作为备份');
-        }
-    } catch (error) {
-        console.error('从localStorage加载项目数据失败:', error);
+// 单个项目的新建 / 修改 / 删除：服务器只修改这一个项目，不会覆盖其他页面对其他项目的修改
+// 服务器未配置存储（503）或已加入离线队列时只修改本地数据；校验失败时抛出的错误中列出有问题的字段
+async function requestProject(method, projectId, body) {
+    const url = projectId ? `/api/projects/${encodeURIComponent(projectId)}` : '/api/projects';
+    const { status, data } = await sendOrQueue('project-op', { method, url, body }, {
+        projectId: projectId || body.id
+    });
+    if (data.success || data.queued || status === 503) {
+        return data;
     }
+    const details = Array.isArray(data.details)
+        ? data.details.map(item => `${item.field} ${item.message}`).join('\n')
+        : '';
+    throw new Error(details ? `${data.error}\n${details}` : (data.error || '保存失败'));
 }
 
-// 初始化时加载项目数据
-loadProjectData();
+async function createProject(projectId, fields) {
+    const data = await requestProject('POST', null, { id: projectId, ...fields });
+    projectData[projectId] = data.success ? data.project : fields;
+    saveProjectDataToLocal();
+}
 
-// 导出函数供其他模块使用
-window.loadProjectData = loadProjectData;
-window.saveProjectData = saveProjectData;
+async function updateProject(projectId, fields) {
+    const data = await requestProject('PATCH', projectId, fields);
+    projectData[projectId] = data.success ? data.project : { ...projectData[projectId], ...fields };
+    saveProjectDataToLocal();
+}
 
-// IndexedDB 数据库管理
-const DB_NAME = 'portfolio_media_db';
-const DB_VERSION = 1;
-const STORE_NAME = 'project_media';
+// 服务器同时删除项目的媒体列表，本地缓存的媒体列表也一并删除（之后同一 id 的新项目不会显示旧的媒体）
+async function deleteProject(projectId) {
+    await requestProject('DELETE', projectId);
+    delete projectData[projectId];
+    saveProjectDataToLocal();
+    localStorage.removeItem(`project_media_${projectId}`);
+    delete projectMediaVersions[projectId];
+    delete projectMediaBases[projectId];
+}
 
-let db = null;
+// 内容修改历史：列出项目信息、文字内容的历史版本，可以恢复到任一版本
+const REVISION_ACTION_LABELS = {
+    initial: '初始内容',
+    save: '保存',
+    create: '新建项目',
+    update: '修改项目',
+    delete: '删除项目',
+    restore: '恢复',
+    import: '导入备份',
+    migrate: '迁移图片'
+};
 
-// 初始化 IndexedDB
-function initDB() {
-        return new Promise((resolve, reject) => {
-            if (db) {
-                resolve(db);
-                return;
-            }
-            
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
-            
-            request.onerror = () => {
-                console.error('IndexedDB 打开失败:', request.error);
-                reject(request.error);
-            };
-            
-            request.onsuccess = () => {
-                db = request.result;
-                console.log('IndexedDB 打开成功');
-                resolve(db);
-            };
-            
-            request.onupgradeneeded = (e) => {
-                const db = e.target.result;
-                if (!db.objectStoreNames.contains(STORE_NAME)) {
-                    const objectStore = db.createObjectStore(STORE_NAME, { keyPath: 'projectId' });
-                    objectStore.createIndex('projectId', 'projectId', { unique: true });
-                }
-            };
-        });
+function getRevisionDocLabel(doc) {
+    if (doc.target && doc.target.type === 'projects') {
+        return '项目信息';
+    }
+    return `文字内容：${doc.doc.replace(/^text:/, '')}`;
 }
 
-// 存储每个项目的媒体文件（使用API上传到Vercel Blob）
-async function getProjectMedia(projectId) {
-    try {
-        const response = await fetch(`/api/get-project-media?projectId=${projectId}`);
-        const data = await response.json();
-        if (data.success && data.mediaArray) {
-            console.log(`从API读取项目 ${projectId}，共 ${data.mediaArray.length} 个文件`);
-            return data.mediaArray;
-        } else {
-            // API读取失败，回退到localStorage（兼容旧数据）
-            try {
-                const stored = localStorage.getItem(`project_media_${projectId}`);
-                const result = stored ? JSON.parse(stored) : [];
-                console.log(`从localStorage读取项目 ${projectId}，共 ${result.length} 个文件`);
-                return result;
-            } catch (error) {
-                console.error('读取媒体数据失败:', error);
-                return [];
-            }
-        }
-    } catch (error) {
-        console.error('API读取失败，回退到localStorage:', error);
-        try {
-            const stored = localStorage.getItem(`project_media_${projectId}`);
-            return stored ? JSON.parse(stored) : [];
-        } catch (e) {
-            console.error('读取媒体数据失败:', e);
-            return [];
-        }
+function formatRevisionValue(value) {
+    if (value === undefined) {
+        return '（无）';
     }
+    return typeof value === 'string' ? value : JSON.stringify(value);
 }
 
-async function saveProjectMedia(projectId, mediaArray) {
-    try {
-        // 上传每个媒体文件到Vercel Blob
-        const uploadedMediaArray = [];
-        for (const media of mediaArray) {
-            if (media.file) {
-                // 上传文件到API
-                const formData = new FormData();
-                formData.append('file', media.file);
-                formData.append('projectId', projectId);
-                
-                const response = await fetch('/api/upload', {
-                    method: 'POST',
-                    body: formData
-                });
-                
-                const uploadData = await response.json();
-                if (uploadData.success) {
-                    uploadedMediaArray.push({
-                        type: media.type,
-                        name: uploadData.name,
-                        mimeType: media.mimeType,
-                        size: uploadData.size,
-                        url: uploadData.url,
-                        uploadTime: media.uploadTime
-                    });
-                }
-            } else {
-                // 已经是URL的文件，直接添加
-                uploadedMediaArray.push(media);
-            }
+async function requestRevisions(query, options) {
+    const response = await fetch(`/api/revisions${query}`, { credentials: 'same-origin', ...options });
+    const data = await response.json();
+    if (!data.success) {
+        if (response.status === 503) {
+            throw new Error('服务器未配置存储，没有修改历史');
         }
-        
-        // 保存媒体文件列表到API
-        const response = await fetch('/api/save-project-media', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                projectId: projectId,
-                mediaArray: uploadedMediaArray
-            })
-        });
-        
-        const data = await response.json();
-        if (data.success) {
-            console.log(`项目 ${projectId} 的媒体数据已保存到API，共 ${uploadedMediaArray.length} 个文件`);
-            // 同时保存到localStorage作为备份
-            saveProjectMediaToLocal(projectId, uploadedMediaArray);
-            return true;
-        } else {
-            console.error('保存媒体数据到API失败:', data.error);
-            // API保存失败，保存到localStorage作为备份
-            saveProjectMediaToLocal(projectId, uploadedMediaArray);
-            return false;
+        // 恢复时该版本所在的分区已不再使用，服务器没有写入任何内容
+        throw new Error(response.status === 409 ? '该版本的内容已不再使用，无法恢复' : (data.error || '请求失败'));
+    }
+    return data;
+}
+
+async function openRevisionHistory() {
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.5);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 1000;
+    `;
+
+    const modalContent = document.createElement('div');
+    modalContent.style.cssText = `
+        background: white;
+        border-radius: 8px;
+        width: 90%;
+        max-width: 800px;
+        max-height: 80vh;
+        overflow-y: auto;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        padding: 20px;
+    `;
+    modalContent.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 15px;">
+            <h3 style="margin: 0; margin-right: auto;">编辑历史</h3>
+            <select id="revisionDocSelect" style="padding: 6px;"></select>
+            <button type="button" id="closeRevisionHistory" style="padding: 6px 12px;">关闭</button>
+        </div>
+        <div id="revisionList">加载中...</div>
+    `;
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const closeModal = () => {
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+    document.getElementById('closeRevisionHistory').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeModal();
         }
+    });
+
+    const docSelect = document.getElementById('revisionDocSelect');
+    const listContainer = document.getElementById('revisionList');
+
+    let documents;
+    try {
+        documents = (await requestRevisions('')).documents;
     } catch (error) {
-        console.error('保存媒体数据失败:', error);
-        // 保存失败，保存到localStorage作为备份
-        saveProjectMediaToLocal(projectId, mediaArray);
-        return false;
+        listContainer.textContent = error.message;
+        return;
+    }
+    if (documents.length === 0) {
+        listContainer.textContent = '还没有修改记录';
+        docSelect.style.display = 'none';
+        return;
     }
+
+    documents.forEach(doc => {
+        const option = document.createElement('option');
+        option.value = doc.doc;
+        option.textContent = `${getRevisionDocLabel(doc)}（${doc.count}）`;
+        docSelect.appendChild(option);
+    });
+    docSelect.addEventListener('change', () => renderRevisionList(docSelect.value, listContainer));
+    renderRevisionList(docSelect.value, listContainer);
 }
 
-// 保存媒体数据到localStorage作为备份
-function saveProjectMediaToLocal(projectId, mediaArray) {
+async function renderRevisionList(doc, container) {
+    container.textContent = '加载中...';
+    let revisions;
     try {
-        localStorage.setItem(`project_media_${projectId}`, JSON.stringify(mediaArray));
-        console.log(`项目 ${projectId} 的媒体数据已保存到localStorage作为备份`);
+        revisions = (await requestRevisions(`?doc=${encodeURIComponent(doc)}`)).revisions;
     } catch (error) {
-        console.error('保存媒体数据到localStorage失败:', error);
+        container.textContent = error.message;
+        return;
     }
+
+    container.innerHTML = '';
+    revisions.forEach((revision, index) => {
+        const item = document.createElement('div');
+        item.style.cssText = 'border: 1px solid #eee; border-radius: 6px; padding: 10px; margin-bottom: 10px;';
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 10px; margin-bottom: 6px;';
+        const title = document.createElement('strong');
+        title.style.marginRight = 'auto';
+        const action = REVISION_ACTION_LABELS[revision.action] || revision.action;
+        const session = revision.session ? ` · 会话 ${revision.session}` : '';
+        title.textContent = `${new Date(revision.time).toLocaleString()} · ${action}${session}${index === 0 ? ' · 当前' : ''}`;
+        header.appendChild(title);
+
+        if (index > 0) {
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.textContent = revision.restorable ? '恢复到此版本' : '内容过大，无法恢复';
+            restoreBtn.disabled = !revision.restorable;
+            restoreBtn.style.cssText = 'padding: 4px 10px;';
+            restoreBtn.addEventListener('click', () => restoreRevision(doc, revision));
+            header.appendChild(restoreBtn);
+        }
+        item.appendChild(header);
+
+        const diffList = document.createElement('ul');
+        diffList.style.cssText = 'margin: 0; padding-left: 20px; font-size: 13px; color: #555; word-break: break-all;';
+        revision.diff.forEach(change => {
+            const line = document.createElement('li');
+            line.textContent = `${change.path}：${formatRevisionValue(change.from)} → ${formatRevisionValue(change.to)}`;
+            diffList.appendChild(line);
+        });
+        if (revision.truncated) {
+            const more = document.createElement('li');
+            more.textContent = '……（改动较多，只显示前面部分）';
+            diffList.appendChild(more);
+        }
+        item.appendChild(diffList);
+        container.appendChild(item);
+    });
 }
 
-// 图片压缩函数（不限制尺寸，只压缩质量）
-function compressImage(file, quality = 0.85) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+async function restoreRevision(doc, revision) {
+    if (!confirm(`确定要恢复到 ${new Date(revision.time).toLocaleString()} 的版本吗？当前内容会记录为历史版本。`)) {
+        return;
+    }
+    try {
+        await requestRevisions('?action=restore', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ doc, id: revision.id })
+        });
+    } catch (error) {
+        console.error('恢复版本失败:', error);
+        alert(`恢复失败：${error.message}`);
+        return;
+    }
+
+    alert('已恢复');
+    window.location.reload();
+}
+
+// 整站备份：导出服务器数据以及（可选）媒体文件，导入时先校验再恢复
+// 包含媒体文件时导出为 tar 归档：每个文件单独一项（files/<序号>），最后一项 backup.json 是备份数据，
+// 其中 files: { <原地址>: { name, mimeType, path } } 记录各文件在归档中的位置。文件按原样写入，不转换为 base64，
+// 浏览器支持时边下载边写入磁盘；导入时按位置切片读取，不会把整个归档读入内存
+// 不包含媒体文件时导出为 JSON；旧版本把文件以 data URL 打包在 JSON 中的备份同样可以导入
+
+const TAR_BLOCK_SIZE = 512;
+const BACKUP_MANIFEST_NAME = 'backup.json';
+
+// tar 头（ustar 格式）；名称只使用 ASCII，原文件名记录在 backup.json 中
+function createTarHeader(name, size) {
+    const header = new Uint8Array(TAR_BLOCK_SIZE);
+    const writeField = (offset, value) => {
+        for (let i = 0; i < value.length; i++) {
+            header[offset + i] = value.charCodeAt(i);
+        }
+    };
+    // 数字字段为八进制，末尾保留一个 \0
+    const octal = (value, length) => value.toString(8).padStart(length - 1, '0');
+    writeField(0, name);
+    writeField(100, octal(0o644, 8));
+    writeField(108, octal(0, 8));
+    writeField(116, octal(0, 8));
+    writeField(124, octal(size, 12));
+    writeField(136, octal(Math.floor(Date.now() / 1000), 12));
+    writeField(156, '0');
+    writeField(257, 'ustar\0');
+    writeField(263, '00');
+    // 校验和按校验和字段为 8 个空格计算
+    writeField(148, '        ');
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    writeField(148, `${octal(checksum, 7)}\0 `);
+    return header;
+}
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// 打开备份文件的写入：支持 File System Access API 时直接写入用户选择的文件，
+// 否则把各部分（下载得到的 Blob 由浏览器保存在磁盘上）在最后合成一个 Blob 下载
+async function openBackupWriter(filename, type) {
+    if (window.showSaveFilePicker) {
+        const handle = await window.showSaveFilePicker({ suggestedName: filename });
+        const writable = await handle.createWritable();
+        return {
+            write: part => writable.write(part),
+            close: () => writable.close(),
+            abort: () => writable.abort()
+        };
+    }
+    const parts = [];
+    return {
+        write: async part => {
+            parts.push(part);
+        },
+        close: async () => downloadBlob(new Blob(parts, { type }), filename),
+        abort: async () => {}
+    };
+}
+
+function createTarWriter(writer) {
+    return {
+        async add(name, blob) {
+            await writer.write(createTarHeader(name, blob.size));
+            await writer.write(blob);
+            // 每项的内容补齐到 512 字节的整数倍
+            await writer.write(new Uint8Array((TAR_BLOCK_SIZE - blob.size % TAR_BLOCK_SIZE) % TAR_BLOCK_SIZE));
+        },
+        async close() {
+            // 归档以两个全 0 的块结束
+            await writer.write(new Uint8Array(TAR_BLOCK_SIZE * 2));
+            await writer.close();
+        }
+    };
+}
+
+// 读取 tar 归档中的各项，返回 Map<名称, Blob>（Blob 是归档文件的切片，不会读入内存）
+async function readTarEntries(file) {
+    const entries = new Map();
+    let offset = 0;
+    while (offset + TAR_BLOCK_SIZE <= file.size) {
+        const header = new Uint8Array(await file.slice(offset, offset + TAR_BLOCK_SIZE).arrayBuffer());
+        if (header.every(byte => byte === 0)) {
+            break;
+        }
+        const readField = (start, length) => {
+            const field = header.subarray(start, start + length);
+            const end = field.indexOf(0);
+            return String.fromCharCode(...(end === -1 ? field : field.subarray(0, end)));
+        };
+        const name = readField(0, 100);
+        const size = parseInt(readField(124, 12).trim(), 8);
+        const start = offset + TAR_BLOCK_SIZE;
+        if (!name || Number.isNaN(size) || start + size > file.size) {
+            throw new Error('备份文件格式不正确或不完整');
+        }
+        entries.set(name, file.slice(start, start + size));
+        offset = start + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+    }
+    return entries;
+}
+
+async function requestBackup(query, options) {
+    const response = await fetch(`/api/backup${query}`, { credentials: 'same-origin', ...options });
+    const data = await response.json();
+    if (!data.success) {
+        if (response.status === 503) {
+            throw new Error('服务器未配置存储，无法备份');
+        }
+        const details = Array.isArray(data.details)
+            ? data.details.map(item => `${item.field} ${item.message}`).join('\n')
+            : '';
+        throw new Error(details ? `${data.error}\n${details}` : (data.error || '请求失败'));
+    }
+    return data;
+}
+
+// 导出备份；includeMedia 为 true 时导出为 tar 归档，逐个下载备份引用的文件（服务器给出的 files：原文件、
+// 衍生图片、封面帧、PDF、个人照片和二维码）写入归档
+async function exportSiteBackup(includeMedia, onStatus) {
+    if (!includeMedia) {
+        const { backup } = await requestBackup('');
+        downloadBlob(
+            new Blob([JSON.stringify(backup)], { type: 'application/json' }),
+            `portfolio-backup-${backup.exportedAt.slice(0, 10)}.json`
+        );
+        return { failed: 0 };
+    }
+
+    // 先选择保存位置（保存对话框只能在点击后立即打开）
+    const writer = await openBackupWriter(
+        `portfolio-backup-${new Date().toISOString().slice(0, 10)}.tar`,
+        'application/x-tar'
+    );
+    try {
+        const { backup, files } = await requestBackup('');
+        const tar = createTarWriter(writer);
+        let failed = 0;
+        backup.files = {};
+        for (const [index, file] of files.entries()) {
+            onStatus(`正在下载媒体文件 ${index + 1}/${files.length}：${file.name}`);
+            let blob;
+            try {
+                const response = await fetch(file.url);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                blob = await response.blob();
+            } catch (error) {
+                console.error('下载媒体文件失败:', file.url, error);
+                failed++;
+                continue;
+            }
+            const path = `files/${String(index + 1).padStart(5, '0')}`;
+            await tar.add(path, blob);
+            backup.files[file.url] = {
+                name: file.name,
+                mimeType: blob.type || file.mimeType || 'application/octet-stream',
+                path
+            };
+        }
+        await tar.add(BACKUP_MANIFEST_NAME, new Blob([JSON.stringify(backup)], { type: 'application/json' }));
+        await tar.close();
+        return { failed };
+    } catch (error) {
+        await writer.abort().catch(() => {});
+        throw error;
+    }
+}
+
+// 读取备份文件，返回 { manifest, files: [{ url, name, mimeType, getBlob }] }
+async function readBackupFile(file) {
+    const parseManifest = text => {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error('备份文件不是有效的 JSON');
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('备份文件格式不正确');
+        }
+        return parsed;
+    };
+
+    // JSON 备份（旧版本的文件以 data URL 保存在 files[原地址].data 中）
+    const firstByte = new Uint8Array(await file.slice(0, 1).arrayBuffer())[0];
+    if (firstByte === '{'.charCodeAt(0)) {
+        const { files, ...manifest } = parseManifest(await file.text());
+        return {
+            manifest,
+            files: Object.entries(files || {}).map(([url, entry]) => ({
+                url,
+                name: entry.name,
+                mimeType: entry.mimeType,
+                getBlob: async () => (await fetch(entry.data)).blob()
+            }))
+        };
+    }
+
+    const entries = await readTarEntries(file);
+    if (!entries.has(BACKUP_MANIFEST_NAME)) {
+        throw new Error(`备份文件中没有 ${BACKUP_MANIFEST_NAME}`);
+    }
+    const { files, ...manifest } = parseManifest(await entries.get(BACKUP_MANIFEST_NAME).text());
+    return {
+        manifest,
+        files: Object.entries(files || {}).map(([url, entry]) => {
+            if (!entries.has(entry.path)) {
+                throw new Error(`备份文件不完整：缺少 ${entry.name}`);
+            }
+            return { url, name: entry.name, mimeType: entry.mimeType, getBlob: async () => entries.get(entry.path) };
+        })
+    };
+}
+
+// 导入备份文件：先校验（不写入），确认后重新上传打包的文件，再把数据连同新旧地址的对应关系（urlMap）写入服务器，
+// 由服务器替换所有引用这些文件的字段
+async function importSiteBackup(file, onStatus) {
+    const { manifest, files } = await readBackupFile(file);
+    onStatus('正在校验备份文件...');
+    await requestBackup('?dryRun=1', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(manifest)
+    });
+
+    const message = `备份时间：${manifest.exportedAt || '未知'}\n` +
+        `媒体文件：${files.length} 个\n\n导入会覆盖服务器上的同名内容，确定继续吗？`;
+    if (!confirm(message)) {
+        return null;
+    }
+
+    const urlMap = {};
+    for (const [index, entry] of files.entries()) {
+        onStatus(`正在上传媒体文件 ${index + 1}/${files.length}：${entry.name}`);
+        const blob = await entry.getBlob();
+        const media = await window.uploadMedia(new File([blob], entry.name, { type: entry.mimeType }));
+        urlMap[entry.url] = media.url;
+    }
+
+    onStatus('正在恢复数据...');
+    const { imported } = await requestBackup('', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...manifest, urlMap })
+    });
+    return { ...imported, files: files.length };
+}
+
+function openBackupPanel() {
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.5);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 1000;
+    `;
+
+    const modalContent = document.createElement('div');
+    modalContent.style.cssText = `
+        background: white;
+        border-radius: 8px;
+        width: 90%;
+        max-width: 500px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        padding: 20px;
+    `;
+    modalContent.innerHTML = `
+        <h3 style="margin-top: 0;">备份与恢复</h3>
+        <div style="margin-bottom: 20px;">
+            <label style="display: block; margin-bottom: 10px;">
+                <input type="checkbox" id="backupIncludeMedia"> 包含媒体文件（导出为 .tar 归档，文件较多时导出较慢）
+            </label>
+            <button type="button" id="exportBackupBtn" style="padding: 8px 16px; background: #4CAF50; color: white; border: none; border-radius: 4px;">导出备份</button>
+        </div>
+        <div style="margin-bottom: 20px;">
+            <input type="file" id="backupFileInput" accept=".json,.tar,application/json,application/x-tar" style="margin-bottom: 10px;">
+            <button type="button" id="importBackupBtn" style="padding: 8px 16px;">导入备份</button>
+        </div>
+        <div id="backupStatus" style="font-size: 13px; color: #555; min-height: 20px; word-break: break-all;"></div>
+        <div style="text-align: right;">
+            <button type="button" id="closeBackupPanel" style="padding: 8px 16px;">关闭</button>
+        </div>
+    `;
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+    document.body.style.overflow = 'hidden';
+
+    const status = document.getElementById('backupStatus');
+    const setStatus = text => {
+        status.textContent = text;
+    };
+    const closeModal = () => {
+        document.body.removeChild(modal);
+        document.body.style.overflow = '';
+    };
+    document.getElementById('closeBackupPanel').addEventListener('click', closeModal);
+
+    document.getElementById('exportBackupBtn').addEventListener('click', async () => {
+        const includeMedia = document.getElementById('backupIncludeMedia').checked;
+        setStatus('正在导出...');
+        try {
+            const { failed } = await exportSiteBackup(includeMedia, setStatus);
+            setStatus(failed > 0 ? `导出完成，${failed} 个媒体文件下载失败，未包含在备份中` : '导出完成');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // 取消了保存对话框
+                setStatus('');
+                return;
+            }
+            console.error('导出备份失败:', error);
+            setStatus(`导出失败：${error.message}`);
+        }
+    });
+
+    document.getElementById('importBackupBtn').addEventListener('click', async () => {
+        const file = document.getElementById('backupFileInput').files[0];
+        if (!file) {
+            alert('请先选择备份文件');
+            return;
+        }
+        try {
+            const imported = await importSiteBackup(file, setStatus);
+            if (!imported) {
+                setStatus('');
+                return;
+            }
+            alert(`导入完成：项目 ${imported.projects} 个，媒体列表 ${imported.projectMedia} 个，` +
+                `文字内容 ${imported.text} 项，媒体文件 ${imported.files} 个`);
+            window.location.reload();
+        } catch (error) {
+            console.error('导入备份失败:', error);
+            setStatus(`导入失败：${error.message}`);
+        }
+    });
+}
+
+// 保存项目数据到localStorage作为备份
+function saveProjectDataToLocal() {
+    try {
+        localStorage.setItem('projectData', JSON.stringify(projectData));
+        console.log('项目数据已保存到localStorage作为备份');
+    } catch (error) {
+        console.error('保存项目数据到localStorage失败:', error);
+    }
+}
+
+// 从localStorage加载项目数据作为备份
+function loadProjectDataFromLocal() {
+    try {
+        const savedData = localStorage.getItem('projectData');
+        if (savedData) {
+            projectData = JSON.parse(savedData);
+            console.log('从localStorage加载项目数据作为备份');
+        }
+    } catch (error) {
+        console.error('从localStorage加载项目数据失败:', error);
+    }
+}
+
+// 初始化时加载项目数据
+loadProjectData();
+
+// 导出函数供其他模块使用
+window.loadProjectData = loadProjectData;
+window.saveProjectData = saveProjectData;
+window.openRevisionHistory = openRevisionHistory;
+window.openBackupPanel = openBackupPanel;
+
+// IndexedDB 数据库管理
+const DB_NAME = 'portfolio_media_db';
+const DB_VERSION = 2;
+const STORE_NAME = 'project_media';
+const OUTBOX_STORE_NAME = 'outbox';
+
+let db = null;
+
+// 初始化 IndexedDB
+function initDB() {
+        return new Promise((resolve, reject) => {
+            if (db) {
+                resolve(db);
+                return;
+            }
             
-            reader.onload = function(e) {
-                const img = new Image();
-                img.onload = function() {
-                    const canvas = document.createElement('canvas');
-                    // 保持原始尺寸，不限制
-                    canvas.width = img.width;
-                    canvas.height = img.height;
-                    
-                    const ctx = canvas.getContext('2d');
-                    ctx.drawImage(img, 0, 0);
-                    
-                    // 转换为 base64，只压缩质量
-                    canvas.toBlob((blob) => {
-                        const reader2 = new FileReader();
-                        reader2.onload = function(e2) {
-                            resolve(e2.target.result);
-                        };
-                        reader2.onerror = reject;
-                        reader2.readAsDataURL(blob);
-                    }, 'image/jpeg', quality);
-                };
-                img.onerror = reject;
-                img.src = e.target.result;
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            
+            request.onerror = () => {
+                console.error('IndexedDB 打开失败:', request.error);
+                reject(request.error);
             };
             
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
+            request.onsuccess = () => {
+                db = request.result;
+                console.log('IndexedDB 打开成功');
+                resolve(db);
+            };
+            
+            request.onupgradeneeded = (e) => {
+                const db = e.target.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const objectStore = db.createObjectStore(STORE_NAME, { keyPath: 'projectId' });
+                    objectStore.createIndex('projectId', 'projectId', { unique: true });
+                }
+                if (!db.objectStoreNames.contains(OUTBOX_STORE_NAME)) {
+                    db.createObjectStore(OUTBOX_STORE_NAME, { keyPath: 'key' });
+                }
+            };
+        });
+}
+
+// 离线写入队列：网络断开或服务器暂时不可用时，把保存失败的写入存入 IndexedDB，恢复联网后按顺序重放
+// 整体保存（项目信息、某个项目的媒体列表、某项文字内容）只保留最新的一次写入，
+// 单项修改（项目、媒体的新建 / 修改 / 删除）每次都单独排队，按原来的顺序重放
+// 项目信息和媒体列表带上排队时的版本重放，服务器上的数据已被修改时以排队时的内容为基准自动三方合并；
+// 文字内容无法合并，版本不一致时标记为同步失败，由用户在同步面板中决定是否覆盖
+const OUTBOX_MAX_ATTEMPTS = 5;
+const OUTBOX_RETRY_DELAY = 30000;
+
+let outboxFlushing = false;
+let outboxRetryTimer = null;
+
+function outboxTransaction(mode, operate) {
+    return initDB().then(database => new Promise((resolve, reject) => {
+        const transaction = database.transaction(OUTBOX_STORE_NAME, mode);
+        const request = operate(transaction.objectStore(OUTBOX_STORE_NAME));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+    }));
+}
+
+function getOutboxEntries() {
+    return outboxTransaction('readonly', objectStore => objectStore.getAll())
+        .then(entries => entries.sort((a, b) => a.createdAt - b.createdAt));
+}
+
+function putOutboxEntry(entry) {
+    return outboxTransaction('readwrite', objectStore => objectStore.put(entry));
+}
+
+function deleteOutboxEntry(key) {
+    return outboxTransaction('readwrite', objectStore => objectStore.delete(key));
+}
+
+// 把一次保存失败的写入加入队列（key 相同的旧写入会被替换）
+async function queueWrite(key, type, payload, extra = {}) {
+    try {
+        await putOutboxEntry({
+            key,
+            type,
+            payload: cloneJSON(payload),
+            ...extra,
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            createdAt: Date.now()
+        });
+        console.log(`写入已加入离线队列: ${key}`);
+    } catch (error) {
+        console.error('加入离线队列失败:', error);
+    }
+    updateOutboxBadge();
+    scheduleOutboxFlush();
+}
+
+// 网络错误、超时、限流和 5xx 可以重试，其余（校验失败、未登录等）重试也不会成功
+function isRetryableStatus(status) {
+    return status >= 500 || status === 408 || status === 429;
+}
+
+// 保存整份数据时服务器要求带 If-Match；从未读取到服务器版本（如加载时离线）时用 * 表示直接覆盖
+function ifMatchHeader(version) {
+    return version ? `"${version}"` : '*';
+}
+
+async function postForOutbox(url, body, version) {
+    const headers = { 'Content-Type': 'application/json', 'If-Match': ifMatchHeader(version) };
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+    const data = await response.json().catch(() => ({}));
+    if (data.success || response.status === 409) {
+        return { status: response.status, data };
+    }
+    const error = new Error(data.error || `HTTP ${response.status}`);
+    error.retryable = isRetryableStatus(response.status);
+    throw error;
+}
+
+async function sendRequest({ method, url, body }) {
+    const options = { method, headers: {} };
+    if (body) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+    const response = await fetch(url, options);
+    const data = await response.json().catch(() => ({}));
+    return { status: response.status, data };
+}
+
+// 发送单项修改，网络断开或服务器暂时不可用时加入离线队列
+// 返回 { status, data }；已加入队列时 data 为 { success: false, queued: true }
+// 503 表示服务器未配置存储，重放也不会成功，由调用方只修改本地数据
+async function sendOrQueue(type, request, extra = {}) {
+    try {
+        const result = await sendRequest(request);
+        if (!isRetryableStatus(result.status) || result.status === 503) {
+            return result;
+        }
+        console.error(`${request.method} ${request.url} 失败:`, result.data.error);
+    } catch (error) {
+        console.error(`${request.method} ${request.url} 失败:`, error);
+    }
+    const key = `op:${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await queueWrite(key, type, request, extra);
+    return { status: 0, data: { success: false, queued: true } };
+}
+
+// 重放单项修改；删除时对象已不存在视为已完成
+async function replayOperation(entry) {
+    const { status, data } = await sendRequest(entry.payload);
+    if (data.success || (entry.payload.method === 'DELETE' && status === 404)) {
+        return data;
+    }
+    const error = new Error(data.error || `HTTP ${status}`);
+    error.retryable = isRetryableStatus(status) && status !== 503;
+    throw error;
+}
+
+// 带版本重放，冲突时合并后重试；返回写入服务器的内容和新版本
+async function replayVersioned(url, toBody, entry, merge) {
+    let { payload, base, baseVersion } = entry;
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const { status, data } = await postForOutbox(url, toBody(payload), baseVersion);
+        if (status !== 409) {
+            return { payload, data };
+        }
+        payload = merge(base || data.current, payload, data.current);
+        base = data.current;
+        baseVersion = data.version;
+    }
+    const error = new Error('Version conflict');
+    error.retryable = false;
+    throw error;
+}
+
+async function replayOutboxEntry(entry) {
+    if (entry.type === 'projects') {
+        const { payload, data } = await replayVersioned(
+            '/api/save-projects', projects => projects, entry,
+            (base, local, remote) => mergeProjectData(base || {}, local, remote || {})
+        );
+        projectData = payload;
+        projectDataVersion = data.version || null;
+        projectDataBase = cloneJSON(payload);
+        saveProjectDataToLocal();
+    } else if (entry.type === 'media') {
+        const { projectId } = entry;
+        const { payload, data } = await replayVersioned(
+            '/api/save-project-media', mediaArray => ({ projectId, mediaArray }), entry,
+            (base, local, remote) => mergeProjectMedia(base || [], local, remote || [])
+        );
+        rememberProjectMediaVersion(projectId, data);
+        saveProjectMediaToLocal(projectId, data.mediaArray || payload);
+    } else if (entry.type === 'project-op') {
+        const data = await replayOperation(entry);
+        if (data.project) {
+            projectData[entry.projectId] = data.project;
+            saveProjectDataToLocal();
+        }
+    } else if (entry.type === 'media-op') {
+        const data = await replayOperation(entry);
+        if (data.mediaArray) {
+            rememberProjectMediaVersion(entry.projectId, data);
+            saveProjectMediaToLocal(entry.projectId, data.mediaArray);
+        }
+    } else {
+        await replayTextContent(entry);
+    }
+}
+
+// 带排队时的版本重放文字内容；服务器上的内容已被修改时不覆盖，标记为同步失败
+// 同时把 entry 的版本更新为服务器上的版本，用户在同步面板中点击"立即重试"时覆盖服务器上的内容
+async function replayTextContent(entry) {
+    const { key, section, content } = entry.payload;
+    const { status, data } = await postForOutbox('/api/text-content', entry.payload, entry.baseVersion);
+    if (status === 409 && data.current !== content) {
+        entry.baseVersion = data.version;
+        const error = new Error('服务器上的内容已在其他页面被修改，点击"立即重试"将用这次修改覆盖');
+        error.retryable = false;
+        throw error;
+    }
+    rememberTextContentVersion(key, section, data);
+}
+
+// 按加入顺序重放队列中待同步的写入；遇到网络错误时停止，稍后再试
+async function flushOutbox() {
+    if (outboxFlushing || !navigator.onLine) {
+        return;
+    }
+    outboxFlushing = true;
+    try {
+        const entries = (await getOutboxEntries()).filter(entry => entry.status === 'pending');
+        for (const entry of entries) {
+            try {
+                await replayOutboxEntry(entry);
+                await deleteOutboxEntry(entry.key);
+                console.log(`离线写入已同步: ${entry.key}`);
+            } catch (error) {
+                const retryable = error.retryable !== false;
+                entry.attempts += 1;
+                entry.lastError = error.message;
+                if (!retryable || entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+                    entry.status = 'failed';
+                }
+                await putOutboxEntry(entry);
+                console.error(`离线写入同步失败: ${entry.key}`, error);
+                if (retryable) {
+                    break;
+                }
+            }
+        }
+    } catch (error) {
+        console.error('读取离线队列失败:', error);
+    } finally {
+        outboxFlushing = false;
+    }
+    await updateOutboxBadge();
+    scheduleOutboxFlush();
+}
+
+async function scheduleOutboxFlush() {
+    clearTimeout(outboxRetryTimer);
+    try {
+        const entries = await getOutboxEntries();
+        if (entries.some(entry => entry.status === 'pending')) {
+            outboxRetryTimer = setTimeout(flushOutbox, OUTBOX_RETRY_DELAY);
+        }
+    } catch (error) {
+        console.error('读取离线队列失败:', error);
+    }
+}
+
+// 同步状态提示：有待同步或同步失败的写入时显示在页面右下角，点击查看详情
+async function updateOutboxBadge() {
+    let entries = [];
+    try {
+        entries = await getOutboxEntries();
+    } catch (error) {
+        return;
+    }
+
+    let badge = document.getElementById('syncStatusBadge');
+    if (entries.length === 0) {
+        if (badge) badge.remove();
+        return;
+    }
+    if (!badge) {
+        badge = document.createElement('div');
+        badge.id = 'syncStatusBadge';
+        badge.style.cssText = `
+            position: fixed;
+            right: 20px;
+            bottom: 20px;
+            padding: 8px 14px;
+            border-radius: 20px;
+            color: white;
+            font-size: 13px;
+            cursor: pointer;
+            z-index: 999;
+            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+        `;
+        badge.addEventListener('click', openOutboxPanel);
+        document.body.appendChild(badge);
+    }
+
+    const failed = entries.filter(entry => entry.status === 'failed').length;
+    const pending = entries.length - failed;
+    badge.style.background = failed > 0 ? '#e53935' : '#fb8c00';
+    badge.textContent = [
+        pending > 0 ? `⏳ ${pending} 项修改待同步` : '',
+        failed > 0 ? `⚠️ ${failed} 项修改同步失败` : ''
+    ].filter(Boolean).join(' · ');
+}
+
+const OUTBOX_OPERATION_LABELS = {
+    'project-op': { POST: '新建项目', PATCH: '修改项目', DELETE: '删除项目' },
+    'media-op': { POST: '添加作品媒体', PATCH: '修改作品媒体', DELETE: '删除作品媒体' }
+};
+
+function describeOutboxEntry(entry) {
+    if (entry.type === 'projects') return '项目信息';
+    if (entry.type === 'media') return `作品媒体：${entry.projectId}`;
+    if (OUTBOX_OPERATION_LABELS[entry.type]) {
+        return `${OUTBOX_OPERATION_LABELS[entry.type][entry.payload.method]}：${entry.projectId}`;
+    }
+    return `文字内容：${entry.payload.key}`;
+}
+
+async function openOutboxPanel() {
+    const entries = await getOutboxEntries();
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.5);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 1000;
+    `;
+
+    const modalContent = document.createElement('div');
+    modalContent.style.cssText = `
+        background: white;
+        border-radius: 8px;
+        width: 90%;
+        max-width: 500px;
+        max-height: 80vh;
+        overflow-y: auto;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        padding: 20px;
+    `;
+    modalContent.innerHTML = `
+        <h3 style="margin-top: 0;">待同步的修改</h3>
+        <div id="outboxList"></div>
+        <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 15px;">
+            <button type="button" id="closeOutboxPanel" style="padding: 8px 16px;">关闭</button>
+            <button type="button" id="retryOutbox" style="padding: 8px 16px; background: #4CAF50; color: white; border: none; border-radius: 4px;">立即重试</button>
+        </div>
+    `;
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    const closeModal = () => modal.remove();
+    const list = modalContent.querySelector('#outboxList');
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.style.cssText = 'display: flex; align-items: center; gap: 10px; padding: 8px 0; border-bottom: 1px solid #eee;';
+        const info = document.createElement('div');
+        info.style.cssText = 'margin-right: auto; font-size: 13px;';
+        const state = entry.status === 'failed' ? '同步失败' : '待同步';
+        info.textContent = `${describeOutboxEntry(entry)} · ${state} · ${new Date(entry.createdAt).toLocaleString()}` +
+            (entry.lastError ? ` · ${entry.lastError}` : '');
+        const discardBtn = document.createElement('button');
+        discardBtn.type = 'button';
+        discardBtn.textContent = '放弃';
+        discardBtn.style.cssText = 'padding: 4px 10px;';
+        discardBtn.addEventListener('click', async () => {
+            if (!confirm('放弃后这项修改不会再同步到服务器，确定吗？')) return;
+            await deleteOutboxEntry(entry.key);
+            item.remove();
+            updateOutboxBadge();
+        });
+        item.appendChild(info);
+        item.appendChild(discardBtn);
+        list.appendChild(item);
+    });
+
+    modalContent.querySelector('#closeOutboxPanel').addEventListener('click', closeModal);
+    modalContent.querySelector('#retryOutbox').addEventListener('click', async () => {
+        // 失败的写入也重新尝试（例如重新登录之后）
+        for (const entry of await getOutboxEntries()) {
+            await putOutboxEntry({ ...entry, status: 'pending', attempts: 0 });
+        }
+        closeModal();
+        await flushOutbox();
+    });
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+}
+
+window.addEventListener('online', flushOutbox);
+if (typeof indexedDB !== 'undefined') {
+    updateOutboxBadge().then(flushOutbox);
+}
+
+// 存储每个项目的媒体文件（使用API上传到Vercel Blob）
+// 各项目媒体列表在服务器上的版本，以及读取时的内容（整体保存冲突时用于合并）
+const projectMediaVersions = {};
+const projectMediaBases = {};
+
+function rememberProjectMediaVersion(projectId, data) {
+    if (data && data.version && Array.isArray(data.mediaArray)) {
+        projectMediaVersions[projectId] = data.version;
+        projectMediaBases[projectId] = cloneJSON(data.mediaArray);
+    }
+}
+
+// 按id三方合并媒体列表：保留服务器上的新增和删除，再应用本地的新增、删除和修改
+function mergeProjectMedia(base, local, remote) {
+    const baseById = new Map(base.map(media => [media.id, media]));
+    const localById = new Map(local.map(media => [media.id, media]));
+    const merged = [];
+
+    remote.forEach(media => {
+        const localItem = localById.get(media.id);
+        if (!localItem && baseById.has(media.id)) {
+            // 本地已删除
+            return;
+        }
+        merged.push(localItem && !isSameJSON(localItem, baseById.get(media.id)) ? localItem : media);
+    });
+
+    const mergedIds = new Set(merged.map(media => media.id));
+    local.forEach(media => {
+        if (!baseById.has(media.id) && !mergedIds.has(media.id)) {
+            merged.push(media);
+        }
+    });
+
+    return merged;
+}
+
+// 生成媒体 id（服务器在上传完成时分配 id，这里只用于本地保存的旧数据）
+function createMediaId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// 从localStorage读取媒体列表，没有id的旧数据补上id并写回
+function getProjectMediaFromLocal(projectId) {
+    try {
+        const stored = localStorage.getItem(`project_media_${projectId}`);
+        const result = stored ? JSON.parse(stored) : [];
+        let changed = false;
+        result.forEach(media => {
+            if (media && !media.id) {
+                media.id = createMediaId();
+                changed = true;
+            }
+        });
+        if (changed) {
+            saveProjectMediaToLocal(projectId, result);
+        }
+        console.log(`从localStorage读取项目 ${projectId}，共 ${result.length} 个文件`);
+        return result;
+    } catch (error) {
+        console.error('读取媒体数据失败:', error);
+        return [];
+    }
+}
+
+async function getProjectMedia(projectId) {
+    try {
+        const response = await fetch(`/api/get-project-media?projectId=${projectId}`);
+        const data = await response.json();
+        if (data.success && data.mediaArray) {
+            console.log(`从API读取项目 ${projectId}，共 ${data.mediaArray.length} 个文件`);
+            rememberProjectMediaVersion(projectId, data);
+            return data.mediaArray;
+        } else {
+            // API读取失败，回退到localStorage（兼容旧数据）
+            return getProjectMediaFromLocal(projectId);
+        }
+    } catch (error) {
+        console.error('API读取失败，回退到localStorage:', error);
+        return getProjectMediaFromLocal(projectId);
+    }
+}
+
+// 单项媒体的追加 / 修改 / 删除（服务器按 id 原子地修改列表）；网络断开或服务器暂时不可用时加入离线队列
+async function requestMedia(method, projectId, mediaId, body) {
+    let url = `/api/media?projectId=${encodeURIComponent(projectId)}`;
+    if (mediaId) {
+        url += `&id=${encodeURIComponent(mediaId)}`;
+    }
+    const result = await sendOrQueue('media-op', { method, url, body }, { projectId });
+    if (result.data.success) {
+        rememberProjectMediaVersion(projectId, result.data);
+        saveProjectMediaToLocal(projectId, result.data.mediaArray);
+    }
+    return result;
+}
+
+// 已加入离线队列的修改先反映到本地列表，恢复联网后由离线队列写入服务器
+async function updateLocalProjectMedia(projectId, updater) {
+    const mediaArray = await getProjectMedia(projectId);
+    saveProjectMediaToLocal(projectId, updater(mediaArray));
+}
+
+// 向项目追加一项媒体（服务器原子地追加，不会覆盖同时上传的其他文件）
+async function addProjectMedia(projectId, media) {
+    // 先分配 id，离线排队时本地列表中的记录与之后服务器上的一致
+    const item = media.id ? media : { ...media, id: createMediaId() };
+    const { status, data } = await requestMedia('POST', projectId, null, { media: item });
+
+    if (data.success) {
+        return data.media;
+    }
+    if (data.queued) {
+        await updateLocalProjectMedia(projectId, mediaArray => [...mediaArray, item]);
+        return item;
+    }
+    if (status === 503) {
+        // 服务器未配置存储，只能更新本地列表
+        const mediaArray = await getProjectMedia(projectId);
+        mediaArray.push(item);
+        await saveProjectMedia(projectId, mediaArray);
+        return item;
+    }
+    throw new Error(data.error || '保存媒体失败');
+}
+
+// 图片衍生版本：服务器为图片生成的缩略图、中图、大图（AVIF/WebP），见 api/_lib/image-variants.js
+// 画廊和项目封面的显示宽度，浏览器据此从 srcset 中选择合适的尺寸
+const GALLERY_IMAGE_SIZES = '(max-width: 600px) 100vw, (max-width: 1000px) 50vw, 340px';
+const COVER_IMAGE_SIZES = '(max-width: 700px) 100vw, (max-width: 1000px) 50vw, 340px';
+
+function hasImageVariants(media) {
+    return Boolean(media && Array.isArray(media.variants) && media.variants.length > 0);
+}
+
+// 与服务器的判断一致：本站存储中的图片，SVG 和 GIF 动图不生成
+function needsImageVariants(media) {
+    return Boolean(
+        media &&
+        media.type === 'image' &&
+        /^https:\/\/[^/]+\.blob\.vercel-storage\.com\//.test(media.url || '') &&
+        !['image/svg+xml', 'image/gif'].includes(media.mimeType) &&
+        !hasImageVariants(media) &&
+        !media.variantsError
+    );
+}
+
+function buildVariantSrcset(media, format) {
+    return media.variants
+        .filter(variant => variant.format === format)
+        .sort((a, b) => a.width - b.width)
+        .map(variant => `${variant.url} ${variant.width}w`)
+        .join(', ');
+}
+
+// 设置图片地址：有衍生版本时放进 <picture>，AVIF 优先、WebP 其次，按 sizes 选择宽度；没有时显示原图
+// 返回需要插入页面的元素（<picture> 或 img 本身），img 已在页面中时直接替换
+function setResponsiveImage(img, media, sizes) {
+    let picture = img.parentNode && img.parentNode.tagName === 'PICTURE' ? img.parentNode : null;
+    if (picture) {
+        picture.querySelectorAll('source').forEach(source => source.remove());
+    }
+
+    if (!hasImageVariants(media)) {
+        img.removeAttribute('srcset');
+        img.removeAttribute('sizes');
+        img.src = media.url;
+        return picture || img;
+    }
+
+    const avifSrcset = buildVariantSrcset(media, 'avif');
+    if (avifSrcset) {
+        if (!picture) {
+            picture = document.createElement('picture');
+            picture.style.display = 'contents';
+            if (img.parentNode) {
+                img.parentNode.replaceChild(picture, img);
+            }
+            picture.appendChild(img);
+        }
+        const source = document.createElement('source');
+        source.type = 'image/avif';
+        source.srcset = avifSrcset;
+        source.sizes = sizes;
+        picture.insertBefore(source, img);
+    }
+
+    const webpSrcset = buildVariantSrcset(media, 'webp');
+    if (webpSrcset) {
+        img.srcset = webpSrcset;
+        img.sizes = sizes;
+    }
+    // 不支持 srcset 的浏览器显示原图
+    img.src = media.url;
+    return picture || img;
+}
+
+// 请求服务器生成图片衍生版本，完成后更新本地缓存；不带 id 时补全项目中缺少衍生版本的图片
+async function requestImageVariants(projectId, id) {
+    let query = `action=variants&projectId=${encodeURIComponent(projectId)}`;
+    if (id) {
+        query += `&id=${encodeURIComponent(id)}`;
+    }
+    const response = await fetch(`/api/media?${query}`, { method: 'POST' });
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || '生成图片衍生版本失败');
+    }
+    rememberProjectMediaVersion(projectId, data);
+    saveProjectMediaToLocal(projectId, data.mediaArray);
+    return data;
+}
+
+// 管理员打开项目时补全以前上传的图片的衍生版本（每次请求只处理几张，没有进展时停止；每个项目每次访问只补一次）
+// 失败的图片由服务器记录并跳过，之后的请求继续处理其余图片
+const imageVariantBackfills = new Set();
+
+async function backfillImageVariants(projectId, mediaArray) {
+    if (!isLoggedIn || imageVariantBackfills.has(projectId) || !mediaArray.some(needsImageVariants)) {
+        return;
+    }
+    imageVariantBackfills.add(projectId);
+    try {
+        let data;
+        do {
+            data = await requestImageVariants(projectId);
+            console.log(`项目 ${projectId} 已生成 ${data.generated.length} 张图片的衍生版本，失败 ${data.failed.length} 张，剩余 ${data.remaining} 张`);
+        } while (data.remaining > 0 && data.generated.length + data.failed.length > 0);
+    } catch (error) {
+        console.warn('补全图片衍生版本失败:', error);
+    }
+}
+
+async function saveProjectMedia(projectId, mediaArray) {
+    // 上传每个媒体文件到Vercel Blob
+    const uploadedMediaArray = [];
+    try {
+        for (const media of mediaArray) {
+            if (media.file) {
+                // 上传文件，返回值即为媒体记录
+                try {
+                    uploadedMediaArray.push(await uploadMedia(media.file));
+                } catch (error) {
+                    console.error(`上传文件 "${media.file.name}" 失败:`, error);
+                }
+            } else {
+                // 已经是URL的文件，直接添加
+                uploadedMediaArray.push(media);
+            }
+        }
+        
+        // 保存媒体文件列表到API（带上读取时的版本，服务器上的列表已被修改时返回409）
+        const headers = {
+            'Content-Type': 'application/json',
+            'If-Match': ifMatchHeader(projectMediaVersions[projectId])
+        };
+        const response = await fetch('/api/save-project-media', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                projectId: projectId,
+                mediaArray: uploadedMediaArray
+            })
         });
+        
+        const data = await response.json();
+        if (data.success) {
+            console.log(`项目 ${projectId} 的媒体数据已保存到API，共 ${uploadedMediaArray.length} 个文件`);
+            rememberProjectMediaVersion(projectId, data);
+            // 同时保存到localStorage作为备份（使用服务器补上id后的列表）
+            saveProjectMediaToLocal(projectId, data.mediaArray || uploadedMediaArray);
+            return true;
+        } else if (response.status === 409) {
+            return await resolveProjectMediaConflict(projectId, uploadedMediaArray, data);
+        } else {
+            console.error('保存媒体数据到API失败:', data.error);
+            // API保存失败，保存到localStorage作为备份；服务器暂时不可用时加入离线队列稍后重试
+            saveProjectMediaToLocal(projectId, uploadedMediaArray);
+            if (isRetryableStatus(response.status)) {
+                queueProjectMediaWrite(projectId, uploadedMediaArray);
+            }
+            return false;
+        }
+    } catch (error) {
+        console.error('保存媒体数据失败:', error);
+        // 保存失败（网络断开等），保存到localStorage作为备份，已上传的文件记录加入离线队列
+        saveProjectMediaToLocal(projectId, mediaArray);
+        queueProjectMediaWrite(projectId, uploadedMediaArray);
+        return false;
+    }
+}
+
+function queueProjectMediaWrite(projectId, mediaArray) {
+    queueWrite(`media:${projectId}`, 'media', mediaArray, {
+        projectId,
+        base: projectMediaBases[projectId] || null,
+        baseVersion: projectMediaVersions[projectId] || null
+    });
+}
+
+// 各项文字内容在服务器上的版本（读取时记录，保存时通过 If-Match 带回，防止覆盖其他页面的修改）
+const textContentVersions = {};
+
+function rememberTextContentVersion(key, section, data) {
+    if (data && data.version) {
+        textContentVersions[`${section}:${key}`] = data.version;
+    }
+}
+
+// 保存文字内容，返回是否已保存到服务器；网络断开或服务器暂时不可用时加入离线队列
+async function saveTextContent(key, section, content) {
+    try {
+        const { status, data } = await postForOutbox(
+            '/api/text-content', { key, section, content }, textContentVersions[`${section}:${key}`]
+        );
+        if (status === 409) {
+            return resolveTextContentConflict(key, section, content, data);
+        }
+        rememberTextContentVersion(key, section, data);
+        console.log(`${key} 已保存到服务器`);
+        return true;
+    } catch (error) {
+        console.error(`保存 ${key} 到服务器失败:`, error);
+        if (error.retryable !== false) {
+            queueTextContentWrite(key, section, content);
+        }
+        return false;
+    }
+}
+
+// 文字内容无法自动合并：由用户选择覆盖服务器上的内容，或放弃这次修改（刷新页面后显示服务器上的内容）
+async function resolveTextContentConflict(key, section, content, conflict) {
+    rememberTextContentVersion(key, section, conflict);
+    if (conflict.current === content) {
+        return true;
+    }
+    if (confirm(`「${key}」已在其他页面被修改。\n\n点击"确定"用你的修改覆盖；\n点击"取消"放弃你的修改，刷新页面后显示最新内容。`)) {
+        // 再次冲突时会再次询问
+        return saveTextContent(key, section, content);
+    }
+    return false;
+}
+
+// 文字内容保存失败时加入离线队列（网络断开或服务器暂时不可用），带上排队时的版本
+function queueTextContentWrite(key, section, content) {
+    queueWrite(`text:${section}:${key}`, 'text', { key, section, content }, {
+        baseVersion: textContentVersions[`${section}:${key}`] || null
+    });
+}
+
+// 处理整体保存的冲突：合并后重新保存，或放弃本地修改使用服务器上的列表
+async function resolveProjectMediaConflict(projectId, localArray, conflict) {
+    const remote = conflict.current || [];
+    const base = projectMediaBases[projectId] || [];
+    rememberProjectMediaVersion(projectId, { version: conflict.version, mediaArray: remote });
+
+    if (confirmConflictMerge('作品列表')) {
+        return saveProjectMedia(projectId, mergeProjectMedia(base, localArray, remote));
+    }
+    saveProjectMediaToLocal(projectId, remote);
+    return false;
+}
+
+// 保存媒体数据到localStorage作为备份
+function saveProjectMediaToLocal(projectId, mediaArray) {
+    try {
+        localStorage.setItem(`project_media_${projectId}`, JSON.stringify(mediaArray));
+        console.log(`项目 ${projectId} 的媒体数据已保存到localStorage作为备份`);
+    } catch (error) {
+        console.error('保存媒体数据到localStorage失败:', error);
+    }
+}
+
+// 照片的拍摄时间和相机信息，如“2024-05-01 · Apple iPhone 15 Pro · 24mm f/1.8 1/120s ISO 50”
+function formatPhotoInfo(media) {
+    if (!media || media.type !== 'image') {
+        return '';
+    }
+    const parts = [];
+    if (media.capturedAt) {
+        parts.push(media.capturedAt.slice(0, 10));
+    }
+    const camera = media.camera || {};
+    // 型号中已包含厂商时（如 Canon / Canon EOS R5）只显示型号
+    const body = camera.make && camera.model && camera.model.startsWith(camera.make)
+        ? camera.model
+        : [camera.make, camera.model].filter(Boolean).join(' ');
+    if (body) parts.push(body);
+    if (camera.lens) parts.push(camera.lens);
+    const settings = [
+        camera.focalLength ? `${camera.focalLength}mm` : '',
+        camera.fNumber ? `f/${camera.fNumber}` : '',
+        camera.exposureTime || '',
+        camera.iso ? `ISO ${camera.iso}` : ''
+    ].filter(Boolean).join(' ');
+    if (settings) parts.push(settings);
+    return parts.join(' · ');
 }
 
 // 当前项目ID（全局变量）
@@ -1808,7 +3156,8 @@ let currentPreviewProjectId = null;
 let currentPreviewIndex = 0;
 let previewMediaArray = [];
 
-async function openPreview(projectId, index) {
+// 按媒体id打开预览，打开后在当时的列表快照中前后切换
+async function openPreview(projectId, mediaId) {
     const previewModal = document.getElementById('previewModal');
     const previewContent = document.getElementById('previewContent');
     
@@ -1823,12 +3172,11 @@ async function openPreview(projectId, index) {
     }
     
     currentPreviewProjectId = projectId;
-    currentPreviewIndex = index;
     previewMediaArray = await getProjectMedia(projectId);
     
     console.log('打开预览:', {
         projectId,
-        index,
+        mediaId,
         mediaCount: previewMediaArray.length
     });
     
@@ -1837,9 +3185,13 @@ async function openPreview(projectId, index) {
         return;
     }
     
-    // 确保索引有效
-    if (index < 0) index = 0;
-    if (index >= previewMediaArray.length) index = previewMediaArray.length - 1;
+    // 在最新的列表中查找（可能已被删除）
+    const index = previewMediaArray.findIndex(media => media.id === mediaId);
+    if (index === -1) {
+        console.warn('媒体不存在或已被删除:', mediaId);
+        loadProjectMedia(projectId).catch(err => console.error('刷新显示失败:', err));
+        return;
+    }
     currentPreviewIndex = index;
     
     // 更新预览内容
@@ -1869,9 +3221,11 @@ function closePreview() {
         const video = previewContent.querySelector('video');
         if (video) {
             video.pause();
+            releaseVideoSource(video);
             video.src = '';
             video.load();
         }
+        releasePdfViewer();
         previewContent.innerHTML = '';
     }
     
@@ -1905,10 +3259,13 @@ function updatePreviewContent() {
     const oldVideo = previewContent.querySelector('video');
     if (oldVideo) {
         oldVideo.pause();
+        releaseVideoSource(oldVideo);
         oldVideo.src = '';
         oldVideo.load();
     }
     
+    releasePdfViewer();
+    
     const media = previewMediaArray[currentPreviewIndex];
     previewContent.innerHTML = '';
     
@@ -1922,7 +3279,10 @@ function updatePreviewContent() {
         previewContent.appendChild(img);
     } else if (media.type === 'video') {
         const video = document.createElement('video');
-        video.src = media.url;
+        setVideoSource(video, media);
+        if (media.poster) {
+            video.poster = media.poster.url;
+        }
         video.controls = true;
         video.autoplay = false; // 改为false，让用户手动播放
         video.style.maxWidth = '95vw';
@@ -1935,14 +3295,30 @@ function updatePreviewContent() {
             console.log('视频元数据加载完成');
         });
         previewContent.appendChild(video);
+    } else if (getDocumentPdfUrl(media)) {
+        previewContent.appendChild(createPdfViewer(media));
+    } else {
+        // 还没有转换为 PDF 的演示文稿（转换中或转换失败）等，只能下载
+        const message = document.createElement('div');
+        message.className = 'pdf-message';
+        message.textContent = {
+            pending: '该演示文稿的预览正在生成，请稍后再来查看',
+            failed: '该演示文稿的预览生成失败'
+        }[getDocumentPreviewStatus(media)] || '该文件不支持预览';
+        message.appendChild(document.createElement('br'));
+        message.appendChild(createDocumentDownloadLink(media, `下载 ${media.name || '文件'}`));
+        previewContent.appendChild(message);
     }
     
     // 更新信息（只显示序号，不显示文件名）
     if (previewCounter) {
         previewCounter.textContent = `${currentPreviewIndex + 1} / ${previewMediaArray.length}`;
     }
+    // 照片显示拍摄时间和相机信息（有记录时），不显示文件名
     if (previewName) {
-        previewName.style.display = 'none'; // 隐藏文件名
+        const photoInfo = formatPhotoInfo(media);
+        previewName.textContent = photoInfo;
+        previewName.style.display = photoInfo ? '' : 'none';
     }
     
     // 更新导航按钮状态（确保即使只有一个媒体文件也显示按钮，但禁用点击）
@@ -2096,6 +3472,15 @@ function initPreviewModal() {
                 e.preventDefault();
                 e.stopPropagation();
                 previewNextItem();
+            } else if (activePdfViewer && ['PageUp', 'PageDown', '+', '=', '-', '0'].includes(e.key)) {
+                // 文档翻页和缩放
+                e.preventDefault();
+                e.stopPropagation();
+                if (e.key === 'PageUp' || e.key === 'PageDown') {
+                    goToPdfPage(activePdfViewer.pageNumber + (e.key === 'PageDown' ? 1 : -1));
+                } else {
+                    zoomPdf(e.key === '0' ? null : e.key === '-' ? 1 / PDF_ZOOM_STEP : PDF_ZOOM_STEP);
+                }
             }
         }
     };
@@ -2106,6 +3491,349 @@ function initPreviewModal() {
     console.log('预览模态框事件监听已初始化');
 }
 
+// 按需加载第三方脚本（hls.js、pdf.js），加载完成后返回脚本提供的全局对象；失败时下次重新加载
+// integrity 为文件的 SRI 哈希，CDN 返回的内容与固定版本不一致时浏览器拒绝执行
+const externalScriptPromises = {};
+
+function loadExternalScript(url, globalName, integrity) {
+    if (window[globalName]) {
+        return Promise.resolve(window[globalName]);
+    }
+    if (!externalScriptPromises[url]) {
+        externalScriptPromises[url] = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            if (integrity) {
+                script.integrity = integrity;
+                script.crossOrigin = 'anonymous';
+            }
+            script.async = true;
+            script.onload = () => (window[globalName] ? resolve(window[globalName]) : reject(new Error(`${globalName} 不可用`)));
+            script.onerror = () => reject(new Error(`${url} 加载失败`));
+            document.head.appendChild(script);
+        }).catch(error => {
+            delete externalScriptPromises[url];
+            throw error;
+        });
+    }
+    return externalScriptPromises[url];
+}
+
+// ==================== 视频自适应码流（HLS） ====================
+// 由 scripts/transcode-hls.js 生成的视频记录在 media.hls 中，播放时优先使用：
+// Safari 等原生支持 HLS 的浏览器直接播放，其他浏览器按需加载 hls.js；加载或播放失败时回退到原视频
+// 升级版本时需同时更新哈希：openssl dgst -sha384 -binary hls.min.js | openssl base64 -A
+const HLS_JS_URL = 'https://cdn.jsdelivr.net/npm/hls.js@1.5.17/dist/hls.min.js';
+const HLS_JS_INTEGRITY = 'sha384-9v3HcdYrO3D+OPDTjZ40RXocgE4GtXVCd3/mCS62JsM93JXgI1afJVuwjFvsu6ni';
+
+function hasVideoStream(media) {
+    return Boolean(media && media.hls && typeof media.hls.url === 'string' && /^https?:\/\//.test(media.hls.url));
+}
+
+// 回退到原视频
+function useOriginalVideoSource(video, media) {
+    releaseVideoSource(video);
+    if (video.src !== media.url) {
+        video.src = media.url;
+    }
+}
+
+// 设置视频地址：有 HLS 码流时优先使用，否则直接播放原视频
+function setVideoSource(video, media) {
+    if (!hasVideoStream(media)) {
+        video.src = media.url;
+        return;
+    }
+
+    if (video.canPlayType('application/vnd.apple.mpegurl')) {
+        // 原生播放失败时改用原视频（在其他 error 处理之前执行，避免显示加载失败）
+        const onStreamError = event => {
+            video.removeEventListener('error', onStreamError);
+            event.stopImmediatePropagation();
+            console.warn('HLS 播放失败，改用原视频:', media.name);
+            video.src = media.url;
+        };
+        video.addEventListener('error', onStreamError);
+        video.src = media.hls.url;
+        return;
+    }
+
+    loadExternalScript(HLS_JS_URL, 'Hls', HLS_JS_INTEGRITY).then(Hls => {
+        if (!Hls.isSupported()) {
+            throw new Error('浏览器不支持 Media Source Extensions');
+        }
+        const hls = new Hls();
+        video.hls = hls;
+        hls.on(Hls.Events.ERROR, (event, data) => {
+            if (data.fatal) {
+                console.warn('HLS 播放失败，改用原视频:', media.name, data.details);
+                useOriginalVideoSource(video, media);
+            }
+        });
+        hls.loadSource(media.hls.url);
+        hls.attachMedia(video);
+    }).catch(error => {
+        console.warn('无法使用 HLS，播放原视频:', error.message);
+        useOriginalVideoSource(video, media);
+    });
+}
+
+// 释放 hls.js 实例（移除视频元素前调用）
+function releaseVideoSource(video) {
+    if (video.hls) {
+        video.hls.destroy();
+        video.hls = null;
+    }
+}
+
+// ==================== 文档预览（pdf.js） ====================
+// PDF 直接预览原文件；PPT/PPTX 上传后由 scripts/convert-ppt.js 转换为 PDF 并记录在 media.pdf 中，
+// 转换完成前显示“预览生成中”（失败时服务器记录 media.pdfError），只能下载
+// 升级版本时需同时更新两个文件的哈希（计算方法同 hls.js）
+const PDF_JS_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.min.js';
+const PDF_JS_INTEGRITY = 'sha384-/1qUCSGwTur9vjf/z9lmu/eCUYbpOTgSjmpbMQZ1/CtX2v/WcAIKqRv+U1DUCG6e';
+const PDF_JS_WORKER_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js';
+const PDF_JS_WORKER_INTEGRITY = 'sha384-SnzOobpRMLXZ52iJvZm/C0fYw0OQemTXzTjIsdsfMcrCtCEe9qgzxTd3RSklO5x2';
+const PDF_MIN_SCALE = 0.25;
+const PDF_MAX_SCALE = 4;
+const PDF_ZOOM_STEP = 1.25;
+
+// 预览中正在显示的文档（同一时间只有一个）
+let activePdfViewer = null;
+
+let pdfJsPromise = null;
+
+// worker 由 pdf.js 自己创建，无法设置 integrity：先用 fetch 按哈希校验下载，再以 blob: 地址交给 pdf.js
+function loadPdfJsWorker() {
+    return fetch(PDF_JS_WORKER_URL, { integrity: PDF_JS_WORKER_INTEGRITY, mode: 'cors' }).then(response => {
+        if (!response.ok) {
+            throw new Error(`${PDF_JS_WORKER_URL} 加载失败`);
+        }
+        return response.text();
+    }).then(source => URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+}
+
+function loadPdfJs() {
+    if (!pdfJsPromise) {
+        pdfJsPromise = Promise.all([
+            loadExternalScript(PDF_JS_URL, 'pdfjsLib', PDF_JS_INTEGRITY),
+            loadPdfJsWorker()
+        ]).then(([pdfjsLib, workerSrc]) => {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
+            return pdfjsLib;
+        }).catch(error => {
+            pdfJsPromise = null;
+            throw error;
+        });
+    }
+    return pdfJsPromise;
+}
+
+// 可以在预览中显示的 PDF 地址，没有时返回 null
+function getDocumentPdfUrl(media) {
+    if (!media) {
+        return null;
+    }
+    if (media.type === 'pdf') {
+        return media.url;
+    }
+    if (media.type === 'ppt' && media.pdf && media.pdf.url) {
+        return media.pdf.url;
+    }
+    return null;
+}
+
+// 演示文稿的预览状态：'ready' 已转换，'pending' 正在转换，'failed' 转换失败；其他文件返回 null
+function getDocumentPreviewStatus(media) {
+    if (!media || media.type !== 'ppt') {
+        return null;
+    }
+    if (getDocumentPdfUrl(media)) {
+        return 'ready';
+    }
+    return media.pdfError ? 'failed' : 'pending';
+}
+
+function createDocumentDownloadLink(media, text) {
+    const link = document.createElement('a');
+    link.href = media.url;
+    link.download = media.name || '';
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = text;
+    return link;
+}
+
+// 创建文档预览：工具栏（翻页、缩放、下载）和逐页绘制的画布；默认缩放到整页可见
+function createPdfViewer(media) {
+    releasePdfViewer();
+
+    const viewer = document.createElement('div');
+    viewer.className = 'pdf-viewer';
+    viewer.innerHTML = `
+        <div class="pdf-toolbar">
+            <button type="button" class="pdf-prev" title="上一页 (PageUp)" disabled>‹</button>
+            <span class="pdf-page-info">加载中...</span>
+            <button type="button" class="pdf-next" title="下一页 (PageDown)" disabled>›</button>
+            <span class="pdf-toolbar-divider"></span>
+            <button type="button" class="pdf-zoom-out" title="缩小 (-)" disabled>−</button>
+            <button type="button" class="pdf-zoom-fit" title="适合页面 (0)" disabled>适合</button>
+            <button type="button" class="pdf-zoom-in" title="放大 (+)" disabled>+</button>
+            <span class="pdf-toolbar-divider"></span>
+        </div>
+        <div class="pdf-page-area"><canvas class="pdf-canvas"></canvas></div>
+    `;
+    viewer.querySelector('.pdf-toolbar').appendChild(createDocumentDownloadLink(media, '下载'));
+
+    const state = {
+        viewer,
+        pdf: null,
+        loadingTask: null,
+        renderTask: null,
+        renderId: 0,
+        pageNumber: 1,
+        scale: null, // null 表示适合页面
+        released: false
+    };
+    activePdfViewer = state;
+
+    viewer.querySelector('.pdf-prev').addEventListener('click', () => goToPdfPage(state.pageNumber - 1));
+    viewer.querySelector('.pdf-next').addEventListener('click', () => goToPdfPage(state.pageNumber + 1));
+    viewer.querySelector('.pdf-zoom-out').addEventListener('click', () => zoomPdf(1 / PDF_ZOOM_STEP));
+    viewer.querySelector('.pdf-zoom-in').addEventListener('click', () => zoomPdf(PDF_ZOOM_STEP));
+    viewer.querySelector('.pdf-zoom-fit').addEventListener('click', () => zoomPdf(null));
+
+    loadPdfJs()
+        .then(pdfjsLib => {
+            if (state.released) {
+                return null;
+            }
+            state.loadingTask = pdfjsLib.getDocument(getDocumentPdfUrl(media));
+            return state.loadingTask.promise;
+        })
+        .then(pdf => {
+            if (!pdf || state.released) {
+                return;
+            }
+            state.pdf = pdf;
+            return renderPdfPage(state);
+        })
+        .catch(error => {
+            if (state.released) {
+                return;
+            }
+            console.error('文档加载失败:', media.name, error);
+            const pageArea = viewer.querySelector('.pdf-page-area');
+            pageArea.innerHTML = '<div class="pdf-message">文档加载失败</div>';
+            pageArea.firstChild.appendChild(document.createElement('br'));
+            pageArea.firstChild.appendChild(createDocumentDownloadLink(media, '下载原文件'));
+            viewer.querySelector('.pdf-page-info').textContent = '';
+        });
+
+    return viewer;
+}
+
+// 绘制当前页（切换页面或缩放时取消还没画完的上一次绘制）
+async function renderPdfPage(state) {
+    const renderId = ++state.renderId;
+    if (state.renderTask) {
+        state.renderTask.cancel();
+        state.renderTask = null;
+    }
+
+    const page = await state.pdf.getPage(state.pageNumber);
+    if (state.released || renderId !== state.renderId) {
+        return;
+    }
+
+    const pageArea = state.viewer.querySelector('.pdf-page-area');
+    const canvas = state.viewer.querySelector('.pdf-canvas');
+    const pageSize = page.getViewport({ scale: 1 });
+    const fitScale = Math.min(
+        (pageArea.clientWidth - 16) / pageSize.width,
+        (pageArea.clientHeight - 16) / pageSize.height
+    );
+    const scale = state.scale || Math.min(Math.max(fitScale, PDF_MIN_SCALE), PDF_MAX_SCALE);
+    const viewport = page.getViewport({ scale });
+
+    // 按设备像素比绘制，高分屏上文字清晰
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.floor(viewport.width * ratio);
+    canvas.height = Math.floor(viewport.height * ratio);
+    canvas.style.width = `${Math.floor(viewport.width)}px`;
+    canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+    state.renderTask = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+    });
+    try {
+        await state.renderTask.promise;
+    } catch (error) {
+        if (error && error.name === 'RenderingCancelledException') {
+            return;
+        }
+        throw error;
+    } finally {
+        if (renderId === state.renderId) {
+            state.renderTask = null;
+        }
+    }
+
+    updatePdfToolbar(state, scale);
+}
+
+function updatePdfToolbar(state, scale) {
+    const viewer = state.viewer;
+    const pageCount = state.pdf.numPages;
+    viewer.querySelector('.pdf-page-info').textContent = `${state.pageNumber} / ${pageCount} · ${Math.round(scale * 100)}%`;
+    viewer.querySelector('.pdf-prev').disabled = state.pageNumber <= 1;
+    viewer.querySelector('.pdf-next').disabled = state.pageNumber >= pageCount;
+    viewer.querySelector('.pdf-zoom-out').disabled = scale <= PDF_MIN_SCALE;
+    viewer.querySelector('.pdf-zoom-in').disabled = scale >= PDF_MAX_SCALE;
+    viewer.querySelector('.pdf-zoom-fit').disabled = state.scale === null;
+    state.currentScale = scale;
+}
+
+function goToPdfPage(pageNumber) {
+    const state = activePdfViewer;
+    if (!state || !state.pdf || pageNumber < 1 || pageNumber > state.pdf.numPages || pageNumber === state.pageNumber) {
+        return;
+    }
+    state.pageNumber = pageNumber;
+    state.viewer.querySelector('.pdf-page-area').scrollTop = 0;
+    renderPdfPage(state).catch(error => console.error('绘制页面失败:', error));
+}
+
+// 按倍数缩放，factor 为 null 时恢复适合页面
+function zoomPdf(factor) {
+    const state = activePdfViewer;
+    if (!state || !state.pdf || !state.currentScale) {
+        return;
+    }
+    state.scale = factor === null
+        ? null
+        : Math.min(Math.max(state.currentScale * factor, PDF_MIN_SCALE), PDF_MAX_SCALE);
+    renderPdfPage(state).catch(error => console.error('绘制页面失败:', error));
+}
+
+// 释放正在显示的文档（切换或关闭预览时调用）
+function releasePdfViewer() {
+    const state = activePdfViewer;
+    if (!state) {
+        return;
+    }
+    state.released = true;
+    if (state.renderTask) {
+        state.renderTask.cancel();
+    }
+    if (state.loadingTask) {
+        state.loadingTask.destroy();
+    }
+    activePdfViewer = null;
+}
+
 // 加载项目媒体（带懒加载）
 async function loadProjectMedia(projectId) {
     const galleryGrid = document.getElementById('galleryGrid');
@@ -2116,7 +3844,10 @@ async function loadProjectMedia(projectId) {
     
     const mediaArray = await getProjectMedia(projectId);
     console.log(`加载项目 ${projectId} 的媒体，共 ${mediaArray.length} 个文件`);
+    galleryGrid.querySelectorAll('video').forEach(releaseVideoSource);
     galleryGrid.innerHTML = '';
+    backfillImageVariants(projectId, mediaArray);
+    backfillVideoPosters(projectId, mediaArray);
     
     if (mediaArray.length === 0) {
         const emptyMsg = document.createElement('div');
@@ -2134,10 +3865,10 @@ async function loadProjectMedia(projectId) {
     // 创建媒体项但延迟加载
     const mediaItems = [];
     
-    mediaArray.forEach((media, index) => {
+    mediaArray.forEach(media => {
         const item = document.createElement('div');
         item.className = 'gallery-item';
-        item.setAttribute('data-index', index);
+        item.setAttribute('data-id', media.id);
         
         // 创建占位符
         const placeholder = document.createElement('div');
@@ -2156,7 +3887,7 @@ async function loadProjectMedia(projectId) {
         
         item.appendChild(placeholder);
         galleryGrid.appendChild(item);
-        mediaItems.push({ item, media, index });
+        mediaItems.push({ item, media });
     });
     
     // 延迟加载媒体，分批处理
@@ -2171,7 +3902,7 @@ async function lazyLoadMediaItems(mediaItems, projectId) {
     for (let i = 0; i < mediaItems.length; i += batchSize) {
         const batch = mediaItems.slice(i, i + batchSize);
         await Promise.all(batch.map(async (mediaItem) => {
-            await loadSingleMediaItem(mediaItem.item, mediaItem.media, mediaItem.index, projectId);
+            await loadSingleMediaItem(mediaItem.item, mediaItem.media, projectId);
         }));
         
         if (i + batchSize < mediaItems.length) {
@@ -2181,7 +3912,7 @@ async function lazyLoadMediaItems(mediaItems, projectId) {
 }
 
 // 加载单个媒体项
-async function loadSingleMediaItem(item, media, index, projectId) {
+async function loadSingleMediaItem(item, media, projectId) {
     return new Promise((resolve) => {
         // 移除占位符
         const placeholder = item.querySelector('.media-placeholder');
@@ -2193,7 +3924,6 @@ async function loadSingleMediaItem(item, media, index, projectId) {
         
         if (media.type === 'image') {
             const img = document.createElement('img');
-            img.src = media.url;
             img.alt = '作品图片';
             img.style.cssText = 'width: 100%; height: 200px; object-fit: cover; display: block;';
             img.onerror = function() {
@@ -2212,17 +3942,17 @@ async function loadSingleMediaItem(item, media, index, projectId) {
             // 添加点击预览事件
             img.addEventListener('click', (e) => {
                 e.stopPropagation();
-                openPreview(projectId, index);
+                openPreview(projectId, media.id);
             });
-            item.appendChild(img);
+            item.appendChild(setResponsiveImage(img, media, GALLERY_IMAGE_SIZES));
             
             const deleteBtn = document.createElement('button');
             deleteBtn.className = 'delete-btn';
             deleteBtn.textContent = '×';
-            deleteBtn.setAttribute('data-index', index);
+            deleteBtn.setAttribute('data-id', media.id);
             item.appendChild(deleteBtn);
         } else if (media.type === 'video') {
-            console.log(`创建视频元素 ${index}:`, {
+            console.log(`创建视频元素 ${media.id}:`, {
                 name: media.name,
                 mimeType: media.mimeType,
                 urlLength: media.url ? media.url.length : 0,
@@ -2246,8 +3976,11 @@ async function loadSingleMediaItem(item, media, index, projectId) {
                 return;
             }
             
-            // 直接设置src，不使用source元素（更兼容）
-            videoElement.src = media.url;
+            // 直接设置src，不使用source元素（更兼容）；有 HLS 码流时优先使用
+            setVideoSource(videoElement, media);
+            if (media.poster) {
+                videoElement.poster = media.poster.url;
+            }
             
             // 如果指定了mimeType，尝试设置type属性
             if (media.mimeType) {
@@ -2297,22 +4030,47 @@ async function loadSingleMediaItem(item, media, index, projectId) {
                 // 如果点击在视频下方20%区域（通常是控制栏），不触发预览
                 if (clickY < videoHeight * 0.8) {
                     e.stopPropagation();
-                    openPreview(projectId, index);
+                    openPreview(projectId, media.id);
                 }
             });
             
             // 双击全屏预览
             videoElement.addEventListener('dblclick', (e) => {
                 e.stopPropagation();
-                openPreview(projectId, index);
+                openPreview(projectId, media.id);
             });
             
             item.appendChild(videoElement);
             
+            // 编辑模式下可以把当前播放位置设为封面帧
+            const posterBtn = document.createElement('button');
+            posterBtn.className = 'poster-btn';
+            posterBtn.textContent = '设为封面';
+            posterBtn.title = '把当前画面设为视频封面';
+            posterBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                posterBtn.disabled = true;
+                posterBtn.textContent = '保存中...';
+                try {
+                    const updated = await createVideoPoster(projectId, media, videoElement.currentTime);
+                    media.poster = updated.poster;
+                    videoElement.poster = updated.poster.url;
+                    posterBtn.textContent = '已设为封面';
+                    updateProjectCover(projectId).catch(err => console.error('更新封面失败:', err));
+                } catch (error) {
+                    console.error('设置封面帧失败:', error);
+                    alert(`设置封面帧失败：${error.message}`);
+                    posterBtn.textContent = '设为封面';
+                } finally {
+                    posterBtn.disabled = false;
+                }
+            });
+            item.appendChild(posterBtn);
+            
             const deleteBtn = document.createElement('button');
             deleteBtn.className = 'delete-btn';
             deleteBtn.textContent = '×';
-            deleteBtn.setAttribute('data-index', index);
+            deleteBtn.setAttribute('data-id', media.id);
             item.appendChild(deleteBtn);
         } else if (media.type === 'ppt' || media.type === 'pdf') {
             // 创建文件显示区域
@@ -2337,9 +4095,25 @@ async function loadSingleMediaItem(item, media, index, projectId) {
             fileSize.textContent = `${(media.size / 1024 / 1024).toFixed(2)} MB`;
             fileContainer.appendChild(fileSize);
             
-            // 添加点击下载事件
+            // 还没有转换完成的演示文稿显示预览状态
+            const previewStatus = getDocumentPreviewStatus(media);
+            if (previewStatus === 'pending' || previewStatus === 'failed') {
+                const statusLabel = document.createElement('div');
+                statusLabel.style.cssText = 'font-size: 0.8rem; color: var(--text-secondary); margin-top: 0.25rem;';
+                statusLabel.textContent = previewStatus === 'pending' ? '预览生成中' : '预览生成失败';
+                fileContainer.appendChild(statusLabel);
+            }
+            
+            // 可以预览的文档（PDF、已转换的演示文稿）点击打开预览，其他点击下载
+            const previewable = Boolean(getDocumentPdfUrl(media));
+            fileContainer.style.cursor = 'pointer';
+            fileContainer.title = previewable ? '点击预览' : (previewStatus === 'pending' ? '预览生成中，点击下载' : '点击下载');
             fileContainer.addEventListener('click', (e) => {
                 e.stopPropagation();
+                if (previewable) {
+                    openPreview(projectId, media.id);
+                    return;
+                }
                 // 创建下载链接
                 const link = document.createElement('a');
                 link.href = media.url;
@@ -2352,8 +4126,9 @@ async function loadSingleMediaItem(item, media, index, projectId) {
             const deleteBtn = document.createElement('button');
             deleteBtn.className = 'delete-btn';
             deleteBtn.textContent = '×';
-            deleteBtn.setAttribute('data-index', index);
+            deleteBtn.setAttribute('data-id', media.id);
             item.appendChild(deleteBtn);
+            resolve();
         }
         
         // 删除按钮事件（显示由CSS控制）
@@ -2361,7 +4136,7 @@ async function loadSingleMediaItem(item, media, index, projectId) {
         if (deleteBtn) {
             deleteBtn.addEventListener('click', async (e) => {
                 e.stopPropagation();
-                await deleteMedia(projectId, index);
+                await deleteMedia(projectId, media.id);
             });
         }
         
@@ -2372,8 +4147,8 @@ async function loadSingleMediaItem(item, media, index, projectId) {
     });
 }
 
-// 删除媒体
-async function deleteMedia(projectId, index) {
+// 删除媒体（按id删除，列表在此期间被其他上传或删除改变也不会删错）
+async function deleteMedia(projectId, mediaId) {
     if (!isLoggedIn) {
         alert('请先登录才能删除作品');
         if (window.showLoginModal) {
@@ -2383,14 +4158,66 @@ async function deleteMedia(projectId, index) {
     }
     
     if (confirm('确定要删除这个作品吗？')) {
-        const mediaArray = await getProjectMedia(projectId);
-        mediaArray.splice(index, 1);
-        await saveProjectMedia(projectId, mediaArray);
+        try {
+            // 服务器同时删除媒体记录和 Blob 中的文件
+            const { status, data } = await requestMedia('DELETE', projectId, mediaId);
+            
+            if (data.queued) {
+                await updateLocalProjectMedia(projectId, mediaArray => mediaArray.filter(media => media.id !== mediaId));
+            } else if (status === 503) {
+                // 服务器未配置存储，只能更新本地列表
+                const mediaArray = await getProjectMedia(projectId);
+                await saveProjectMedia(projectId, mediaArray.filter(media => media.id !== mediaId));
+            } else if (!data.success) {
+                throw new Error(data.error || '删除失败');
+            }
+        } catch (error) {
+            console.error('删除媒体失败:', error);
+            alert(`删除失败：${error.message}`);
+        }
+        
         await loadProjectMedia(projectId);
     }
 }
 
 // 上传文件
+// 视频上传前的压缩预设（original 不压缩），在上传区域的下拉框中选择，选择保存在 localStorage
+const VIDEO_QUALITY_PRESETS = {
+    original: null,
+    '1080p': { maxWidth: 1920, maxHeight: 1080, bitrate: 6000000, fps: 30 },
+    '720p': { maxWidth: 1280, maxHeight: 720, bitrate: 3000000, fps: 30 },
+    'web-light': { maxWidth: 854, maxHeight: 480, bitrate: 1200000, fps: 24 }
+};
+const VIDEO_QUALITY_STORAGE_KEY = 'videoQualityPreset';
+
+function getVideoQualityPreset() {
+    const select = document.getElementById('videoQuality');
+    const preset = select ? select.value : localStorage.getItem(VIDEO_QUALITY_STORAGE_KEY);
+    return Object.prototype.hasOwnProperty.call(VIDEO_QUALITY_PRESETS, preset) ? preset : 'original';
+}
+
+// 按预设压缩视频，返回要上传的文件；不压缩、压缩失败或压缩后反而更大时返回原文件
+async function prepareVideoForUpload(file, presetName, onProgress) {
+    const preset = VIDEO_QUALITY_PRESETS[presetName];
+    if (!preset || !file.type.startsWith('video/')) {
+        return file;
+    }
+    try {
+        const blob = await compressVideo(file, preset.maxWidth, preset.maxHeight, preset.bitrate, onProgress, preset.fps);
+        if (blob.size >= file.size) {
+            console.log(`压缩后文件更大（${(blob.size / 1024 / 1024).toFixed(2)}MB），上传原文件: ${file.name}`);
+            return file;
+        }
+        // 扩展名按录制出的实际格式（Safari 录制的是 MP4）
+        const type = blob.type.split(';')[0];
+        const baseName = file.name.replace(/\.[^.]+$/, '');
+        return new File([blob], `${baseName}.${type === 'video/mp4' ? 'mp4' : 'webm'}`, { type });
+    } catch (error) {
+        console.warn(`视频压缩失败，上传原文件: ${file.name}`, error);
+        return file;
+    }
+}
+
 async function uploadFiles(files) {
     // 检查登录状态
     if (!isLoggedIn) {
@@ -2421,12 +4248,12 @@ async function uploadFiles(files) {
     progressFill.style.width = '0%';
     progressText.textContent = '准备上传...';
     
-    // 获取当前项目的媒体数组（每次重新获取，确保是最新的）
-    let mediaArray = await getProjectMedia(currentProjectId);
     let completedCount = 0;
     let errorCount = 0;
     const totalFiles = files.length;
     const fileArray = Array.from(files);
+    const videoQuality = getVideoQualityPreset();
+    const keepCameraInfo = shouldKeepCameraInfo();
     
     console.log(`开始上传 ${totalFiles} 个文件`);
     
@@ -2441,27 +4268,6 @@ async function uploadFiles(files) {
         for (let index = 0; index < fileArray.length; index++) {
             const file = fileArray[index];
             
-            // 检查文件类型
-            if (!file.type.startsWith('image/') && !file.type.startsWith('video/') && !file.type.includes('powerpoint') && !file.type.includes('presentation') && !file.type.includes('pdf')) {
-                console.warn(`文件 "${file.name}" 类型不支持`);
-                errorCount++;
-                completedCount++;
-                checkAllCompleted();
-                continue;
-            }
-            
-            // 检查文件大小（限制为500MB，使用客户端 SDK 后可以上传更大的文件）
-                    const maxFileSize = 500 * 1024 * 1024; // 500MB
-                    if (file.size > maxFileSize) {
-                        console.warn(`文件 "${file.name}" 大小超过限制（最大500MB）`);
-                        errorCount++;
-                        completedCount++;
-                        checkAllCompleted();
-                        // 显示明确的错误消息
-                        alert(`文件 "${file.name}" 大小超过限制（最大500MB）`);
-                        continue;
-                    }
-            
             // 处理文件上传
             await (async () => {
                 try {
@@ -2470,83 +4276,55 @@ async function uploadFiles(files) {
                     progressFill.style.width = fileProgress + '%';
                     progressText.textContent = `上传中... ${index + 1}/${totalFiles} - ${file.name.substring(0, 20)}...`;
                     
-                    // 使用客户端 SDK 直接上传大文件
-                    // 绕过服务器端的请求大小限制
-                    const timestamp = Date.now();
-                    const uniqueFilename = `${timestamp}-${file.name}`;
-                    const filePath = `public-videos/${uniqueFilename}`;
+                    // 视频按所选预设先压缩：压缩占该文件进度的前一半，上传占后一半
+                    const compressing = Boolean(VIDEO_QUALITY_PRESETS[videoQuality]) && file.type.startsWith('video/');
+                    let uploadFile = compressing
+                        ? await prepareVideoForUpload(file, videoQuality, percent => {
+                            const fileProgress = ((index + percent / 200) / totalFiles) * 100;
+                            progressFill.style.width = fileProgress + '%';
+                            progressText.textContent = `压缩视频中... ${index + 1}/${totalFiles} - ${Math.round(percent)}%`;
+                        })
+                        : file;
                     
-                    console.log(`开始上传: ${file.name} (${file.size} 字节)`);
-                    
-                    try {
-                        // 确保 Vercel Blob SDK 可用
-                        let putBlobFunction;
-                        
-                        // 检查是否已经加载了 SDK
-                        if (typeof put === 'function') {
-                            putBlobFunction = put;
-                            console.log('使用全局 put 函数上传');
-                        } else if (window.putBlob) {
-                            putBlobFunction = window.putBlob;
-                            console.log('使用 window.putBlob 上传');
-                        } else {
-                            // 动态加载 SDK
-                            console.log('动态加载 Vercel Blob SDK');
-                            const { put } = await import('https://esm.sh/@vercel/blob');
-                            putBlobFunction = put;
+                    // 图片先读取 EXIF，再重新编码（摆正方向、去掉位置和设备等全部元数据）
+                    // 无法重新编码的图片（浏览器不能解码的 HEIC、GIF 动图等）只有确认不含元数据时才上传原文件，避免泄露拍摄地点
+                    const exif = await readExif(file);
+                    if (file.type.startsWith('image/')) {
+                        let processed = false;
+                        if (isProcessableImage(file)) {
+                            try {
+                                uploadFile = (await processImageFile(file, 'gallery')).file;
+                                processed = true;
+                            } catch (error) {
+                                console.warn(`图片处理失败: ${file.name}`, error);
+                            }
                         }
-                        
-                        if (!putBlobFunction) {
-                            throw new Error('Vercel Blob SDK 未加载');
+                        if (!processed && !(await hasNoImageMetadata(file))) {
+                            throw new Error('图片无法重新编码，且无法确认原图不含拍摄位置等信息，已取消上传（可以先转换为 JPEG 或 PNG 再上传）');
                         }
-                        
-                        // 直接上传文件到 Vercel Blob
-                        const blob = await putBlobFunction(filePath, file, {
-                            access: 'public',
-                            contentType: file.type || 'application/octet-stream'
+                    }
+                    if (compressing) {
+                        progressText.textContent = `上传中... ${index + 1}/${totalFiles} - ${file.name.substring(0, 20)}...`;
+                    }
+                    
+                    console.log(`开始上传: ${uploadFile.name} (${uploadFile.size} 字节)`);
+                    
+                    // 上传到 Vercel Blob（服务器按大小选择直传或可续传的分块上传）
+                    // 文件类型和大小也由服务器统一校验，不通过时会抛出错误
+                    let mediaItem;
+                    try {
+                        mediaItem = await uploadMedia(uploadFile, {
+                            onProgress: ratio => {
+                                const done = compressing ? 0.5 + ratio / 2 : ratio;
+                                const fileProgress = ((index + done) / totalFiles) * 100;
+                                progressFill.style.width = fileProgress + '%';
+                            }
                         });
-                        
-                        console.log('文件上传成功:', blob);
-                        
-                        const result = {
-                            success: true,
-                            name: uniqueFilename,
-                            url: blob.url,
-                            size: file.size
-                        };
+                        console.log('文件上传成功:', mediaItem);
                     } catch (error) {
                         console.error('上传失败:', error);
                         throw new Error('上传失败: ' + error.message);
                     }
-                    
-                    // 上传完成后，构建默认结果对象（作为 fallback）
-                    const result = {
-                        success: true,
-                        name: uniqueFilename,
-                        url: `https://public.blob.vercel-storage.com/public-videos/${uniqueFilename}`,
-                        size: file.size
-                    };
-
-                    // 确定文件类型
-                    let mediaType = 'file';
-                    if (file.type.startsWith('image/')) {
-                        mediaType = 'image';
-                    } else if (file.type.startsWith('video/')) {
-                        mediaType = 'video';
-                    } else if (file.type.includes('powerpoint') || file.type.includes('presentation')) {
-                        mediaType = 'ppt';
-                    } else if (file.type.includes('pdf')) {
-                        mediaType = 'pdf';
-                    }
-
-                    const mediaItem = {
-                        type: mediaType,
-                        url: result.url,
-                        name: result.name,
-                        mimeType: file.type,
-                        size: result.size,
-                        uploadTime: new Date().toISOString(),
-                    };
 
                     console.log('保存媒体项:', {
                         type: mediaItem.type,
@@ -2556,20 +4334,32 @@ async function uploadFiles(files) {
                         size: mediaItem.size
                     });
 
-                    // 重新获取最新的媒体数组（防止并发问题）
-                    mediaArray = await getProjectMedia(currentProjectId);
+                    // 追加到媒体列表（服务器原子追加，防止并发问题），照片附上拍摄时间等信息
+                    const savedItem = await addProjectMedia(currentProjectId, {
+                        ...mediaItem,
+                        ...getPhotoMetadataFields(exif, keepCameraInfo)
+                    });
 
-                    // 保存文件
-                    mediaArray.push(mediaItem);
-                    const saveResult = await saveProjectMedia(currentProjectId, mediaArray);
+                    // 图片在后台生成缩略图等衍生版本，完成前画廊显示原图
+                    if (needsImageVariants(savedItem)) {
+                        requestImageVariants(currentProjectId, savedItem.id)
+                            .catch(err => console.warn('生成图片衍生版本失败:', err));
+                    }
+                    // 视频随机截取一帧作为封面帧（之后可以在编辑模式下重新选择）
+                    if (savedItem.type === 'video') {
+                        const projectId = currentProjectId;
+                        createVideoPoster(projectId, savedItem)
+                            .then(() => updateProjectCover(projectId))
+                            .catch(err => console.warn('生成视频封面帧失败:', err));
+                    }
                     
                     completedCount++;
                     console.log(`文件 ${completedCount}/${totalFiles} 上传完成: ${file.name}`, {
-                        type: mediaItem.type,
-                        mimeType: mediaItem.mimeType,
-                        url: mediaItem.url,
-                        size: mediaItem.size,
-                        saveResult: saveResult
+                        id: savedItem.id,
+                        type: savedItem.type,
+                        mimeType: savedItem.mimeType,
+                        url: savedItem.url,
+                        size: savedItem.size
                     });
                     
                     // 立即刷新显示（每个文件上传完成后）
@@ -2611,9 +4401,8 @@ async function uploadFiles(files) {
         if (completedCount >= totalFiles) {
             // 所有文件处理完成
             if (errorCount < totalFiles) {
-                // 至少有一个文件成功，保存数据
+                // 至少有一个文件成功（每个文件完成时已经保存），刷新显示
                 try {
-                    await saveProjectMedia(currentProjectId, mediaArray);
                     await loadProjectMedia(currentProjectId);
                     // 更新项目封面
                     await updateProjectCover(currentProjectId);
@@ -2732,8 +4521,25 @@ function initProjectModalEventListeners() {
         }
     });
 
+    // 视频压缩预设：恢复上次的选择
+    const videoQualitySelect = document.getElementById('videoQuality');
+    const savedVideoQuality = localStorage.getItem(VIDEO_QUALITY_STORAGE_KEY);
+    if (videoQualitySelect && Object.prototype.hasOwnProperty.call(VIDEO_QUALITY_PRESETS, savedVideoQuality)) {
+        videoQualitySelect.value = savedVideoQuality;
+    }
+    const keepCameraInfoCheckbox = document.getElementById('keepCameraInfo');
+    if (keepCameraInfoCheckbox) {
+        keepCameraInfoCheckbox.checked = localStorage.getItem(KEEP_CAMERA_INFO_STORAGE_KEY) === 'true';
+    }
+
     // 文件输入变化（使用事件委托）
     document.addEventListener('change', (e) => {
+        if (e.target.id === 'videoQuality') {
+            localStorage.setItem(VIDEO_QUALITY_STORAGE_KEY, e.target.value);
+        }
+        if (e.target.id === 'keepCameraInfo') {
+            localStorage.setItem(KEEP_CAMERA_INFO_STORAGE_KEY, String(e.target.checked));
+        }
         if (e.target.id === 'fileInput') {
             const files = e.target.files;
             if (files && files.length > 0) {
@@ -2788,8 +4594,8 @@ function initProjectModalEventListeners() {
     });
 }
 
-// 从视频 URL 随机截取一帧，返回 base64 图片（用于封面）
-function captureVideoFrameAsImage(videoUrl) {
+// 从视频 URL 截取一帧，返回 { canvas, time }；time 不指定时随机选取
+function captureVideoFrame(videoUrl, time) {
     return new Promise((resolve, reject) => {
         const video = document.createElement('video');
         video.muted = true;
@@ -2818,7 +4624,9 @@ function captureVideoFrameAsImage(videoUrl) {
 
         function onMeta() {
             const duration = video.duration;
-            if (!isFinite(duration) || duration <= 0) {
+            if (typeof time === 'number') {
+                video.currentTime = isFinite(duration) && duration > 0 ? Math.min(time, duration) : time;
+            } else if (!isFinite(duration) || duration <= 0) {
                 video.currentTime = 0.5;
             } else {
                 const maxTime = Math.max(0.5, duration - 0.5);
@@ -2840,9 +4648,9 @@ function captureVideoFrameAsImage(videoUrl) {
                 }
                 const ctx = canvas.getContext('2d');
                 ctx.drawImage(video, 0, 0);
-                const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
+                const frameTime = video.currentTime;
                 cleanup();
-                resolve(dataUrl);
+                resolve({ canvas, time: frameTime });
             } catch (err) {
                 cleanup();
                 reject(err);
@@ -2857,12 +4665,67 @@ function captureVideoFrameAsImage(videoUrl) {
     });
 }
 
-// 获取项目封面：优先第一张图片，否则从第一个视频随机截取一帧
+// 从视频 URL 随机截取一帧，返回 base64 图片（还没有封面帧的旧视频临时使用）
+async function captureVideoFrameAsImage(videoUrl) {
+    const { canvas } = await captureVideoFrame(videoUrl);
+    return canvas.toDataURL('image/jpeg', 0.85);
+}
+
+// 视频封面帧：截取一帧上传为图片，记录在媒体项的 poster 中 { url, width, height, time }
+// 封面、画廊和 <video poster> 都使用它，不再在每次访问时截帧
+async function createVideoPoster(projectId, media, time) {
+    const frame = await captureVideoFrame(media.url, time);
+    const blob = await new Promise((resolve, reject) => {
+        frame.canvas.toBlob(result => (result ? resolve(result) : reject(new Error('封面帧编码失败'))), 'image/jpeg', 0.85);
+    });
+    const baseName = (media.name || 'video').replace(/\.[^.]+$/, '');
+    const uploaded = await uploadMedia(new File([blob], `${baseName}-poster.jpg`, { type: 'image/jpeg' }));
+
+    const poster = {
+        url: uploaded.url,
+        width: frame.canvas.width,
+        height: frame.canvas.height,
+        time: Math.round(frame.time * 100) / 100
+    };
+    const { data } = await requestMedia('PATCH', projectId, media.id, { poster });
+    if (data.queued) {
+        const updated = { ...media, poster };
+        await updateLocalProjectMedia(projectId, mediaArray => mediaArray.map(item => (item.id === media.id ? updated : item)));
+        return updated;
+    }
+    if (!data.success) {
+        throw new Error(data.error || '保存封面帧失败');
+    }
+    return data.media;
+}
+
+// 管理员打开项目时为以前上传的视频补上封面帧（每个项目每次访问只补一次）
+const videoPosterBackfills = new Set();
+
+async function backfillVideoPosters(projectId, mediaArray) {
+    const pending = mediaArray.filter(m => m.type === 'video' && /^https?:\/\//.test(m.url || '') && !m.poster);
+    if (!isLoggedIn || videoPosterBackfills.has(projectId) || pending.length === 0) {
+        return;
+    }
+    videoPosterBackfills.add(projectId);
+    for (const media of pending) {
+        try {
+            await createVideoPoster(projectId, media);
+            console.log(`视频 ${media.name} 已生成封面帧`);
+        } catch (error) {
+            console.warn(`视频 ${media.name} 生成封面帧失败:`, error);
+        }
+    }
+    updateProjectCover(projectId).catch(err => console.error('更新封面失败:', err));
+}
+
+// 获取项目封面：优先第一张图片，其次第一个视频的封面帧；旧视频还没有封面帧时临时随机截取一帧
 async function getProjectCoverUrl(mediaArray) {
     const firstImage = mediaArray.find(m => m.type === 'image');
     if (firstImage && firstImage.url) return firstImage.url;
 
     const firstVideo = mediaArray.find(m => m.type === 'video');
+    if (firstVideo && firstVideo.poster) return firstVideo.poster.url;
     if (firstVideo && firstVideo.url) {
         try {
             return await captureVideoFrameAsImage(firstVideo.url);
@@ -2874,6 +4737,11 @@ async function getProjectCoverUrl(mediaArray) {
     return null;
 }
 
+// 封面对应的媒体项（有衍生版本时按尺寸加载），视频截帧等没有对应项时只有地址
+function findCoverImage(mediaArray, coverUrl) {
+    return mediaArray.find(m => m.type === 'image' && m.url === coverUrl) || { url: coverUrl };
+}
+
 // 加载项目封面（图片或视频随机一帧）
 async function loadProjectCovers() {
     const projectCards = document.querySelectorAll('.project-card');
@@ -2903,7 +4771,7 @@ async function loadProjectCovers() {
                     projectImage.insertBefore(coverImg, projectImage.firstChild);
                 }
 
-                coverImg.src = coverUrl;
+                setResponsiveImage(coverImg, findCoverImage(mediaArray, coverUrl), COVER_IMAGE_SIZES);
 
                 coverImg.onerror = function() {
                     if (emoji) emoji.style.display = '';
@@ -2947,7 +4815,7 @@ async function updateProjectCover(projectId) {
                     coverImg.alt = (projectData[projectId] && projectData[projectId].title) ? projectData[projectId].title : '作品封面';
                     projectImage.insertBefore(coverImg, projectImage.firstChild);
                 }
-                coverImg.src = coverUrl;
+                setResponsiveImage(coverImg, findCoverImage(mediaArray, coverUrl), COVER_IMAGE_SIZES);
                 coverImg.onerror = function() {
                     if (emoji) emoji.style.display = '';
                     coverImg.style.display = 'none';
@@ -2990,6 +4858,58 @@ window.addEventListener('scroll', () => {
 // 工作经验管理功能
 let experiences = [];
 
+// 每项内容在本页面中保存过的次数，用来判断加载期间用户是否已经修改过
+const siteContentSaveCounts = {};
+
+// 保存在服务器文字内容中的 JSON 数据（技能、导航文字、书签、作品顺序）
+// 与工作经验相同：优先从服务器加载并同步到 localStorage，服务器没有数据时使用 localStorage 中的内容
+async function loadSiteContent(key) {
+    const saveCount = siteContentSaveCounts[key] || 0;
+    try {
+        const response = await fetch(`/api/text-content?key=${encodeURIComponent(key)}&section=about`);
+        const data = await response.json();
+        rememberTextContentVersion(key, 'about', data);
+        if (data.success && data.content) {
+            // 加载期间已保存过时，localStorage 中是更新的内容，不覆盖
+            if ((siteContentSaveCounts[key] || 0) === saveCount) {
+                localStorage.setItem(key, data.content);
+            }
+            console.log(`从服务器加载 ${key} 成功`);
+            return JSON.parse(data.content);
+        }
+    } catch (error) {
+        console.error(`从服务器加载 ${key} 失败:`, error);
+    }
+    
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : null;
+}
+
+// 加载后交给 apply 使用；加载期间本页面已保存过这项内容（如拖动排序、编辑）时不再使用加载结果，
+// 避免较晚返回的旧数据覆盖刚做的修改。返回是否已使用加载结果
+async function loadSiteContentInto(key, apply) {
+    const saveCount = siteContentSaveCounts[key] || 0;
+    const value = await loadSiteContent(key);
+    if ((siteContentSaveCounts[key] || 0) !== saveCount) {
+        console.log(`${key} 在加载期间已被修改，忽略加载结果`);
+        return false;
+    }
+    apply(value);
+    return true;
+}
+
+// 保存到 localStorage 和服务器，返回是否已保存到服务器（保存失败时加入离线队列，恢复联网后重试）
+async function saveSiteContent(key, value) {
+    siteContentSaveCounts[key] = (siteContentSaveCounts[key] || 0) + 1;
+    const content = JSON.stringify(value);
+    localStorage.setItem(key, content);
+    return saveTextContent(key, 'about', content);
+}
+
+window.loadSiteContent = loadSiteContent;
+window.loadSiteContentInto = loadSiteContentInto;
+window.saveSiteContent = saveSiteContent;
+
 // 加载工作经验
 async function loadExperiences() {
     try {
@@ -2999,6 +4919,7 @@ async function loadExperiences() {
         try {
             const response = await fetch('/api/text-content?key=experiences&section=about');
             const data = await response.json();
+            rememberTextContentVersion('experiences', 'about', data);
             if (data.success && data.content) {
                 experiences = JSON.parse(data.content);
                 console.log('从服务器加载工作经验成功');
@@ -3064,27 +4985,7 @@ async function saveExperiences() {
         localStorage.setItem('experiences', JSON.stringify(experiences));
         
         // 保存到 Redis 服务器
-        try {
-            const response = await fetch('/api/text-content', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    key: 'experiences',
-                    content: JSON.stringify(experiences),
-                    section: 'about'
-                })
-            });
-            const result = await response.json();
-            if (result.success) {
-                console.log('工作经验已保存到服务器');
-            } else {
-                console.error('保存工作经验到服务器失败:', result.error);
-            }
-        } catch (error) {
-            console.error('保存工作经验到服务器失败:', error);
-        }
+        await saveTextContent('experiences', 'about', JSON.stringify(experiences));
     } catch (error) {
         console.error('保存工作经验失败:', error);
     }
@@ -3280,6 +5181,59 @@ function moveExperienceDown(index) {
     }
 }
 
+// 文字内容中的图片（个人照片、二维码）：{ url, width, height }，文件保存在 Blob 中
+// 旧版本保存的是 base64 data URL，解析为 { url, legacy: true }，管理员登录后自动迁移
+function parseImageContent(content) {
+    if (!content) {
+        return null;
+    }
+    if (content.startsWith('data:')) {
+        return { url: content, legacy: true };
+    }
+    try {
+        const image = JSON.parse(content);
+        return image && typeof image.url === 'string' ? image : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// 处理图片并上传到 Blob，返回保存到内容中的 { url, width, height }（key 同时是处理预设名）
+async function uploadContentImage(key, file) {
+    const processed = await processImageFile(file, key, key);
+    const media = await uploadMedia(processed.file);
+    return { url: media.url, width: processed.width, height: processed.height };
+}
+
+// 把旧版本以 data URL 保存的图片迁移到 Blob（需要登录），迁移后重新加载图片
+async function migrateLegacyImageContent() {
+    const hasLegacy = ['profilePhoto', 'qrCode'].some(key => {
+        const image = parseImageContent(localStorage.getItem(key));
+        return image && image.legacy;
+    });
+    if (!hasLegacy) {
+        return;
+    }
+    try {
+        const response = await fetch('/api/media?action=migrate-images', {
+            method: 'POST',
+            credentials: 'same-origin'
+        });
+        const data = await response.json();
+        if (!data.success) {
+            console.error('迁移图片失败:', data.error);
+            return;
+        }
+        console.log('图片迁移结果:', data.migrated);
+        loadProfilePhoto();
+        if (typeof window.loadQrCode === 'function') {
+            window.loadQrCode();
+        }
+    } catch (error) {
+        console.error('迁移图片失败:', error);
+    }
+}
+
 // 加载个人照片
 async function loadProfilePhoto() {
     try {
@@ -3290,6 +5244,7 @@ async function loadProfilePhoto() {
         try {
             const response = await fetch('/api/text-content?key=profilePhoto&section=about');
             const data = await response.json();
+            rememberTextContentVersion('profilePhoto', 'about', data);
             if (data.success && data.content) {
                 photoData = data.content;
                 console.log('从服务器加载个人照片成功');
@@ -3311,12 +5266,13 @@ async function loadProfilePhoto() {
         }
         
         // 显示照片
-        if (photoData) {
+        const photo = parseImageContent(photoData);
+        if (photo) {
             const profilePhoto = document.getElementById('profilePhoto');
             const photoPlaceholder = document.getElementById('photoPlaceholder');
             
             if (profilePhoto && photoPlaceholder) {
-                profilePhoto.src = photoData;
+                profilePhoto.src = photo.url;
                 profilePhoto.style.display = 'block';
                 photoPlaceholder.style.display = 'none';
             }
@@ -3362,6 +5318,7 @@ async function loadAboutData() {
                     const response = await fetch(`/api/text-content?key=${encodeURIComponent(key)}&section=about`);
                     const data = await response.json();
                     console.log('服务器响应:', key, data);
+                    rememberTextContentVersion(key, 'about', data);
                     if (data.success && data.content) {
                         savedText = data.content;
                         console.log('从服务器加载内容:', key, savedText.substring(0, 50) + '...');
@@ -3403,34 +5360,16 @@ async function loadAboutData() {
     }
 }
 
-// 保存个人照片
-async function saveProfilePhoto(photoData) {
+// 保存个人照片（photo 为 uploadContentImage 返回的 { url, width, height }）
+async function saveProfilePhoto(photo) {
     try {
+        const photoData = JSON.stringify(photo);
+        
         // 保存到 localStorage
         localStorage.setItem('profilePhoto', photoData);
         
         // 保存到 Redis 服务器
-        try {
-            const response = await fetch('/api/text-content', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    key: 'profilePhoto',
-                    content: photoData,
-                    section: 'about'
-                })
-            });
-            const result = await response.json();
-            if (result.success) {
-                console.log('个人照片已保存到服务器');
-            } else {
-                console.error('保存个人照片到服务器失败:', result.error);
-            }
-        } catch (error) {
-            console.error('保存个人照片到服务器失败:', error);
-        }
+        await saveTextContent('profilePhoto', 'about', photoData);
         
         loadProfilePhoto();
         alert('照片上传成功！📷');
@@ -3440,57 +5379,366 @@ async function saveProfilePhoto(photoData) {
     }
 }
 
-// 压缩图片
-function compressImage(file, maxWidth = 800, maxHeight = 800, quality = 0.8) {
+// 图片处理：所有上传图片的地方（作品、个人照片、二维码）都通过 processImage 压缩后再上传
+// options：
+//   maxWidth / maxHeight  最大尺寸，超过时等比缩小（不放大），默认不限制
+//   format                'jpeg' | 'webp' | 'png' | 'auto'（默认）；auto 时带透明像素的图片保存为 PNG，其余为 JPEG
+//   quality               JPEG / WebP 的压缩质量（0-1），默认 0.85
+// 按 EXIF 方向摆正后重新编码，不保留 EXIF 等元数据；转为 JPEG 时透明部分填充白色
+// 返回 { blob, width, height, mimeType, ext }
+const IMAGE_FORMATS = {
+    jpeg: { mimeType: 'image/jpeg', ext: 'jpg' },
+    webp: { mimeType: 'image/webp', ext: 'webp' },
+    png: { mimeType: 'image/png', ext: 'png' }
+};
+
+// 各上传入口的处理参数
+const IMAGE_PROCESS_PRESETS = {
+    gallery: { maxWidth: 3840, maxHeight: 3840, quality: 0.9 },
+    profilePhoto: { maxWidth: 800, maxHeight: 800, quality: 0.85 },
+    // 二维码保持无损，JPEG 的压缩痕迹会影响扫描
+    qrCode: { maxWidth: 800, maxHeight: 800, format: 'png' }
+};
+
+// 不重新编码的图片（动图、矢量图）
+function isProcessableImage(file) {
+    return Boolean(file && file.type.startsWith('image/') && !['image/gif', 'image/svg+xml'].includes(file.type));
+}
+
+// 解码图片，返回 { image, oriented }：oriented 表示浏览器已按 EXIF 方向摆正
+// createImageBitmap 可以明确指定摆正；不支持时用 Image，支持 image-orientation 的浏览器默认也会摆正
+async function decodeImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return { image: await createImageBitmap(file, { imageOrientation: 'from-image' }), oriented: true };
+        } catch (error) {
+            console.warn('createImageBitmap 解码失败，改用 Image:', error);
+        }
+    }
+    const oriented = Boolean(window.CSS && CSS.supports && CSS.supports('image-orientation', 'from-image'));
     return new Promise((resolve, reject) => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
         const img = new Image();
-        
-        img.onload = function() {
-            let width = img.width;
-            let height = img.height;
-            
-            if (width > height) {
-                if (width > maxWidth) {
-                    height = (height * maxWidth) / width;
-                    width = maxWidth;
-                }
-            } else {
-                if (height > maxHeight) {
-                    width = (width * maxHeight) / height;
-                    height = maxHeight;
-                }
-            }
-            
-            canvas.width = width;
-            canvas.height = height;
-            
-            ctx.drawImage(img, 0, 0, width, height);
-            
-            canvas.toBlob(
-                (blob) => {
-                    if (blob) {
-                        const reader = new FileReader();
-                        reader.onloadend = function() {
-                            resolve(reader.result);
-                        };
-                        reader.readAsDataURL(blob);
-                    } else {
-                        reject(new Error('压缩失败'));
-                    }
-                },
-                'image/jpeg',
-                quality
-            );
+        const url = URL.createObjectURL(file);
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve({ image: img, oriented });
         };
-        
-        img.onerror = function() {
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
             reject(new Error('图片加载失败'));
         };
-        
-        img.src = URL.createObjectURL(file);
+        img.src = url;
+    });
+}
+
+// EXIF 方向 2-8 对应的画布变换（参数为输出的宽高）
+const EXIF_ORIENTATION_TRANSFORMS = {
+    2: (w, h) => [-1, 0, 0, 1, w, 0],
+    3: (w, h) => [-1, 0, 0, -1, w, h],
+    4: (w, h) => [1, 0, 0, -1, 0, h],
+    5: (w, h) => [0, 1, 1, 0, 0, 0],
+    6: (w, h) => [0, 1, -1, 0, w, 0],
+    7: (w, h) => [0, -1, -1, 0, w, h],
+    8: (w, h) => [0, -1, 1, 0, 0, h]
+};
+
+// 是否有透明像素（按最多约 100 万个像素抽样检查）
+function hasTransparentPixels(ctx, width, height) {
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const step = Math.max(1, Math.floor((width * height) / 1000000)) * 4;
+    for (let i = 3; i < data.length; i += step) {
+        if (data[i] < 255) {
+            return true;
+        }
+    }
+    return false;
+}
+
+async function processImage(file, options = {}) {
+    const {
+        maxWidth = Infinity,
+        maxHeight = Infinity,
+        format = 'auto',
+        quality = 0.85
+    } = options;
+
+    const { image, oriented } = await decodeImage(file);
+    // 浏览器没有摆正时按 EXIF 方向自己旋转/翻转（5-8 为旋转 90°，宽高互换）
+    const exif = oriented ? null : await readExif(file);
+    const orientation = exif ? exif.orientation : 1;
+    const swap = orientation >= 5 && orientation <= 8;
+    const sourceWidth = swap ? image.height : image.width;
+    const sourceHeight = swap ? image.width : image.height;
+
+    const scale = Math.min(1, maxWidth / sourceWidth, maxHeight / sourceHeight);
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const transform = EXIF_ORIENTATION_TRANSFORMS[orientation];
+    if (transform) {
+        ctx.setTransform(...transform(width, height));
+    }
+    ctx.drawImage(image, 0, 0, swap ? height : width, swap ? width : height);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    if (image.close) {
+        image.close();
+    }
+
+    let outputFormat = format;
+    if (outputFormat === 'auto') {
+        const mayHaveAlpha = ['image/png', 'image/webp'].includes(file.type);
+        outputFormat = mayHaveAlpha && hasTransparentPixels(ctx, width, height) ? 'png' : 'jpeg';
+    }
+    if (outputFormat === 'jpeg') {
+        // JPEG 没有透明通道，透明部分填充白色（否则会变成黑色）
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    const target = IMAGE_FORMATS[outputFormat] || IMAGE_FORMATS.jpeg;
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => {
+            if (result) {
+                resolve(result);
+            } else {
+                reject(new Error('压缩失败'));
+            }
+        }, target.mimeType, quality);
     });
+
+    // 不支持 WebP 编码的浏览器会返回 PNG
+    const actual = Object.values(IMAGE_FORMATS).find(item => item.mimeType === blob.type) || target;
+    return { blob, width, height, mimeType: actual.mimeType, ext: actual.ext };
+}
+
+// 读取 JPEG 的 EXIF（只读取文件开头部分），返回 { orientation, capturedAt, camera, hasGps }，没有 EXIF 时返回 null
+// capturedAt 为拍摄时间（YYYY-MM-DDTHH:mm:ss，照片带时区时附上时区）；camera 为相机和镜头信息
+const EXIF_READ_LENGTH = 256 * 1024;
+
+const EXIF_TAGS = {
+    0x010f: 'make',
+    0x0110: 'model',
+    0x0112: 'orientation',
+    0x8769: 'exifIfd',
+    0x8825: 'gpsIfd',
+    0x829a: 'exposureTime',
+    0x829d: 'fNumber',
+    0x8827: 'iso',
+    0x9003: 'dateTimeOriginal',
+    0x9011: 'offsetTimeOriginal',
+    0x920a: 'focalLength',
+    0xa434: 'lensModel'
+};
+
+// 读取一个 IFD 中需要的标签（ASCII、SHORT、LONG、RATIONAL）
+function readExifIfd(view, tiffStart, ifdOffset, littleEndian) {
+    const tags = {};
+    const entryCount = view.getUint16(tiffStart + ifdOffset, littleEndian);
+    for (let i = 0; i < entryCount; i++) {
+        const entry = tiffStart + ifdOffset + 2 + i * 12;
+        const name = EXIF_TAGS[view.getUint16(entry, littleEndian)];
+        if (!name) {
+            continue;
+        }
+        const type = view.getUint16(entry + 2, littleEndian);
+        const count = view.getUint32(entry + 4, littleEndian);
+        const valueOffset = view.getUint32(entry + 8, littleEndian);
+        if (type === 2) {
+            const start = count > 4 ? tiffStart + valueOffset : entry + 8;
+            let text = '';
+            for (let j = 0; j < count && start + j < view.byteLength; j++) {
+                const code = view.getUint8(start + j);
+                if (code === 0) break;
+                text += String.fromCharCode(code);
+            }
+            tags[name] = text.trim();
+        } else if (type === 3) {
+            tags[name] = view.getUint16(entry + 8, littleEndian);
+        } else if (type === 4) {
+            tags[name] = valueOffset;
+        } else if (type === 5 && tiffStart + valueOffset + 8 <= view.byteLength) {
+            const numerator = view.getUint32(tiffStart + valueOffset, littleEndian);
+            const denominator = view.getUint32(tiffStart + valueOffset + 4, littleEndian);
+            tags[name] = denominator ? { numerator, denominator } : null;
+        }
+    }
+    return tags;
+}
+
+function formatExposureTime(value) {
+    if (!value) return undefined;
+    const seconds = value.numerator / value.denominator;
+    return seconds >= 1 ? `${Math.round(seconds * 10) / 10}s` : `1/${Math.round(1 / seconds)}s`;
+}
+
+function formatRational(value, digits) {
+    return value ? Math.round((value.numerator / value.denominator) * 10 ** digits) / 10 ** digits : undefined;
+}
+
+async function readExif(file) {
+    if (file.type !== 'image/jpeg') {
+        return null;
+    }
+    try {
+        const view = new DataView(await file.slice(0, EXIF_READ_LENGTH).arrayBuffer());
+        if (view.getUint16(0) !== 0xffd8) {
+            return null;
+        }
+        // 找到 APP1（Exif）段
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+            if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+                break;
+            }
+            if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) {
+                return null;
+            }
+            offset += 2 + length;
+        }
+        const tiffStart = offset + 10;
+        if (tiffStart + 8 > view.byteLength) {
+            return null;
+        }
+        const littleEndian = view.getUint16(tiffStart) === 0x4949;
+        const ifd0 = readExifIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+        const exif = ifd0.exifIfd ? readExifIfd(view, tiffStart, ifd0.exifIfd, littleEndian) : {};
+
+        let capturedAt;
+        const dateMatch = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(exif.dateTimeOriginal || '');
+        if (dateMatch && dateMatch[1] !== '0000') {
+            const [, year, month, day, hour, minute, second] = dateMatch;
+            const zone = /^[+-]\d{2}:\d{2}$/.test(exif.offsetTimeOriginal || '') ? exif.offsetTimeOriginal : '';
+            capturedAt = `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+        }
+
+        const camera = {
+            make: ifd0.make || undefined,
+            model: ifd0.model || undefined,
+            lens: exif.lensModel || undefined,
+            focalLength: formatRational(exif.focalLength, 1),
+            fNumber: formatRational(exif.fNumber, 1),
+            exposureTime: formatExposureTime(exif.exposureTime),
+            iso: exif.iso || undefined
+        };
+        Object.keys(camera).forEach(key => camera[key] === undefined && delete camera[key]);
+
+        return {
+            orientation: ifd0.orientation || 1,
+            capturedAt,
+            camera: Object.keys(camera).length > 0 ? camera : undefined,
+            hasGps: Boolean(ifd0.gpsIfd)
+        };
+    } catch (error) {
+        console.warn('读取 EXIF 失败:', error);
+        return null;
+    }
+}
+
+// 确认图片中没有 EXIF、XMP 等元数据（其中可能带有拍摄位置）：无法重新编码的图片只有确认没有时才上传原文件
+// 按各格式的结构查找元数据块，无法确认的格式（HEIC、AVIF、TIFF 等）一律返回 false
+async function hasNoImageMetadata(file) {
+    const type = file.type;
+    if (type === 'image/svg+xml' || type === 'image/bmp') {
+        return true;
+    }
+    let view;
+    try {
+        view = new DataView(await file.arrayBuffer());
+    } catch (error) {
+        return false;
+    }
+    const fourCC = offset => String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+
+    try {
+        if (type === 'image/jpeg') {
+            // APP1 段保存 EXIF 和 XMP，到图像数据（SOS）之前都没有 APP1 才算没有
+            if (view.getUint16(0) !== 0xffd8) return false;
+            let offset = 2;
+            while (offset + 4 <= view.byteLength) {
+                const marker = view.getUint16(offset);
+                if ((marker & 0xff00) !== 0xff00 || marker === 0xffe1) return false;
+                if (marker === 0xffda) return true;
+                offset += 2 + view.getUint16(offset + 2);
+            }
+            return false;
+        }
+        if (type === 'image/png') {
+            // eXIf 为 EXIF，XMP 和其他文字信息保存在 tEXt、iTXt、zTXt 中
+            if (view.getUint32(0) !== 0x89504e47) return false;
+            let offset = 8;
+            while (offset + 8 <= view.byteLength) {
+                const chunkType = fourCC(offset + 4);
+                if (['eXIf', 'tEXt', 'iTXt', 'zTXt'].includes(chunkType)) return false;
+                if (chunkType === 'IEND') return true;
+                offset += 12 + view.getUint32(offset);
+            }
+            return false;
+        }
+        if (type === 'image/webp') {
+            if (fourCC(0) !== 'RIFF' || fourCC(8) !== 'WEBP') return false;
+            let offset = 12;
+            while (offset + 8 <= view.byteLength) {
+                const chunkType = fourCC(offset);
+                if (chunkType === 'EXIF' || chunkType === 'XMP ') return false;
+                const size = view.getUint32(offset + 4, true);
+                offset += 8 + size + (size % 2);
+            }
+            return offset === view.byteLength;
+        }
+        if (type === 'image/gif') {
+            // GIF 只能在 XMP 应用扩展中携带元数据
+            const bytes = new Uint8Array(view.buffer);
+            const signature = [...'XMP DataXMP'].map(char => char.charCodeAt(0));
+            for (let i = 0; i + signature.length <= bytes.length; i++) {
+                if (bytes[i] === 0x58 && signature.every((code, j) => bytes[i + j] === code)) {
+                    return false;
+                }
+            }
+            return true;
+        }
+    } catch (error) {
+        console.warn('检查图片元数据失败:', error);
+    }
+    return false;
+}
+
+// 上传照片时是否在媒体记录中保留相机和镜头信息（管理员在上传区域勾选，默认不保留）
+const KEEP_CAMERA_INFO_STORAGE_KEY = 'keepCameraInfo';
+
+function shouldKeepCameraInfo() {
+    const checkbox = document.getElementById('keepCameraInfo');
+    return checkbox ? checkbox.checked : localStorage.getItem(KEEP_CAMERA_INFO_STORAGE_KEY) === 'true';
+}
+
+// 从 EXIF 中取出要记录到媒体项上的字段：拍摄时间，以及（勾选时）相机信息；位置信息从不记录
+function getPhotoMetadataFields(exif, keepCameraInfo) {
+    if (!exif) {
+        return {};
+    }
+    return {
+        ...(exif.capturedAt ? { capturedAt: exif.capturedAt } : {}),
+        ...(keepCameraInfo && exif.camera ? { camera: exif.camera } : {})
+    };
+}
+
+// 按预设处理图片，返回可以直接上传的 File（文件名的扩展名与输出格式一致）及其尺寸
+async function processImageFile(file, presetName, baseName) {
+    const result = await processImage(file, IMAGE_PROCESS_PRESETS[presetName]);
+    const name = `${baseName || file.name.replace(/\.[^.]+$/, '')}.${result.ext}`;
+    return {
+        file: new File([result.blob], name, { type: result.mimeType }),
+        width: result.width,
+        height: result.height
+    };
 }
 
 // 添加页面切换时的特殊效果
@@ -3606,10 +5854,10 @@ document.addEventListener('DOMContentLoaded', async () => {
                 
                 if (file.type.startsWith('image/')) {
                     try {
-                        // 压缩图片
-                        const compressedData = await compressImage(file);
+                        // 压缩并上传图片
+                        const photo = await uploadContentImage('profilePhoto', file);
                         // 保存照片
-                        saveProfilePhoto(compressedData);
+                        saveProfilePhoto(photo);
                     } catch (error) {
                         console.error('照片处理失败:', error);
                         alert('照片处理失败，请重试');
@@ -3634,6 +5882,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             try {
                 const response = await fetch('/api/text-content?key=qrCode&section=about');
                 const data = await response.json();
+                rememberTextContentVersion('qrCode', 'about', data);
                 if (data.success && data.content) {
                     qrData = data.content;
                     console.log('从服务器加载二维码成功');
@@ -3655,13 +5904,14 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
             
             // 显示二维码
-            if (qrData) {
+            const qrImage = parseImageContent(qrData);
+            if (qrImage) {
                 const qrCode = document.getElementById('qrCode');
                 const qrPlaceholder = document.getElementById('qrPlaceholder');
                 const qrContainer = document.getElementById('qrContainer');
                 
                 if (qrCode && qrPlaceholder && qrContainer) {
-                    qrCode.src = qrData;
+                    qrCode.src = qrImage.url;
                     qrCode.style.display = 'block';
                     qrPlaceholder.style.display = 'none';
                     
@@ -3694,34 +5944,16 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
     
-    // 保存二维码
-    async function saveQrCode(qrData) {
+    // 保存二维码（qrImage 为 uploadContentImage 返回的 { url, width, height }）
+    async function saveQrCode(qrImage) {
         try {
+            const qrData = JSON.stringify(qrImage);
+            
             // 保存到 localStorage
             localStorage.setItem('qrCode', qrData);
             
             // 保存到 Redis 服务器
-            try {
-                const response = await fetch('/api/text-content', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        key: 'qrCode',
-                        content: qrData,
-                        section: 'about'
-                    })
-                });
-                const result = await response.json();
-                if (result.success) {
-                    console.log('二维码已保存到服务器');
-                } else {
-                    console.error('保存二维码到服务器失败:', result.error);
-                }
-            } catch (error) {
-                console.error('保存二维码到服务器失败:', error);
-            }
+            await saveTextContent('qrCode', 'about', qrData);
             
             loadQrCode();
             alert('二维码上传成功！📱');
@@ -3741,6 +5973,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             try {
                 const response = await fetch('/api/text-content?key=contactText&section=about');
                 const data = await response.json();
+                rememberTextContentVersion('contactText', 'about', data);
                 if (data.success && data.content) {
                     textData = data.content;
                     console.log('从服务器加载联系文字成功');
@@ -3785,27 +6018,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             localStorage.setItem('contactText', text);
             
             // 保存到 Redis 服务器
-            try {
-                const response = await fetch('/api/text-content', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        key: 'contactText',
-                        content: text,
-                        section: 'about'
-                    })
-                });
-                const result = await response.json();
-                if (result.success) {
-                    console.log('联系文字已保存到服务器');
-                } else {
-                    console.error('保存联系文字到服务器失败:', result.error);
-                }
-            } catch (error) {
-                console.error('保存联系文字到服务器失败:', error);
-            }
+            await saveTextContent('contactText', 'about', text);
             
             const contactText = document.getElementById('contactText');
             if (contactText) {
@@ -3844,6 +6057,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
     
+    window.loadQrCode = loadQrCode;
+    
     // 加载二维码和联系文字
     await loadQrCode();
     await loadContactText();
@@ -3894,10 +6109,10 @@ document.addEventListener('DOMContentLoaded', async () => {
                 
                 if (file.type.startsWith('image/')) {
                     try {
-                        // 压缩图片
-                        const compressedData = await compressImage(file);
+                        // 压缩并上传图片
+                        const qrImage = await uploadContentImage('qrCode', file);
                         // 保存二维码
-                        saveQrCode(compressedData);
+                        saveQrCode(qrImage);
                     } catch (error) {
                         console.error('二维码处理失败:', error);
                         alert('二维码处理失败，请重试');
@@ -3956,18 +6171,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     let draggedElement = null;
     
     // 加载保存的作品顺序
-    function loadProjectOrder() {
-        try {
-            const savedOrder = localStorage.getItem('projectOrder');
-            if (savedOrder) {
-                return JSON.parse(savedOrder);
-            }
-        } catch (error) {
-            console.error('加载作品顺序失败:', error);
-        }
-        return null;
-    }
-    
     // 保存作品顺序
     function saveProjectOrder() {
         try {
@@ -3976,15 +6179,18 @@ document.addEventListener('DOMContentLoaded', async () => {
                 // 使用卡片标题作为唯一标识
                 return card.querySelector('.project-title').textContent;
             });
-            localStorage.setItem('projectOrder', JSON.stringify(order));
+            saveSiteContent('projectOrder', order);
         } catch (error) {
             console.error('保存作品顺序失败:', error);
         }
     }
     
     // 应用保存的作品顺序
-    function applyProjectOrder() {
-        const savedOrder = loadProjectOrder();
+    async function applyProjectOrder() {
+        await loadSiteContentInto('projectOrder', applySavedProjectOrder);
+    }
+    
+    function applySavedProjectOrder(savedOrder) {
         if (savedOrder && projectsGrid) {
             const projectCards = projectsGrid.querySelectorAll('.project-card');
             const cardMap = new Map();
@@ -4007,7 +6213,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     if (projectsGrid) {
         // 应用保存的作品顺序
-        applyProjectOrder();
+        applyProjectOrder().catch(err => console.error('加载作品顺序失败:', err));
         
         // 为所有卡片添加拖拽事件监听器
         function addDragListeners() {
@@ -4121,33 +6327,35 @@ document.addEventListener('DOMContentLoaded', async () => {
     let editingSkillIndex = undefined;
 
     // 加载技能数据
-    function loadSkills() {
+    async function loadSkills() {
         try {
-            const savedSkills = localStorage.getItem('skills');
-            if (savedSkills) {
-                skills = JSON.parse(savedSkills);
-            } else {
-                // 默认技能数据
-                skills = [
-                    { icon: '✂️', title: '视频剪辑', description: '剪映、PR、达芬奇', stars: 5 },
-                    { icon: '🎨', title: '美编排版', description: 'PS、AI、ID、Canva', stars: 5 },
-                    { icon: '🤖', title: 'AI技术应用', description: '可灵、即梦、豆包、通义、海螺、Sora', stars: 5 },
-                    { icon: '📊', title: '数据分析', description: 'MySQL、数据运营分析', stars: 4 },
-                    { icon: '📝', title: '内容运营', description: '公众号、视频号、社群运营', stars: 5 },
-                    { icon: '💼', title: '办公软件', description: 'Word、Excel、PPT', stars: 5 }
-                ];
-                saveSkills();
+            const applied = await loadSiteContentInto('skills', savedSkills => {
+                skills = savedSkills || defaultSkills();
+            });
+            if (applied) {
+                renderSkills();
             }
-            renderSkills();
         } catch (error) {
             console.error('加载技能数据失败:', error);
         }
     }
 
+    // 默认技能数据（没有保存过技能时使用）
+    function defaultSkills() {
+        return [
+            { icon: '✂️', title: '视频剪辑', description: '剪映、PR、达芬奇', stars: 5 },
+            { icon: '🎨', title: '美编排版', description: 'PS、AI、ID、Canva', stars: 5 },
+            { icon: '🤖', title: 'AI技术应用', description: '可灵、即梦、豆包、通义、海螺、Sora', stars: 5 },
+            { icon: '📊', title: '数据分析', description: 'MySQL、数据运营分析', stars: 4 },
+            { icon: '📝', title: '内容运营', description: '公众号、视频号、社群运营', stars: 5 },
+            { icon: '💼', title: '办公软件', description: 'Word、Excel、PPT', stars: 5 }
+        ];
+    }
+
     // 保存技能数据
     function saveSkills() {
         try {
-            localStorage.setItem('skills', JSON.stringify(skills));
+            saveSiteContent('skills', skills);
         } catch (error) {
             console.error('保存技能数据失败:', error);
         }
@@ -4330,7 +6538,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     window.addSkill = addSkill;
 
     // 初始化技能数据
-    loadSkills();
+    loadSkills().catch(err => console.error('加载技能数据失败:', err));
 
     // 编辑作品图标功能
     let editingEmojiElement = null;
@@ -4483,38 +6691,42 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // 导航栏管理功能
     // 加载导航文字
-    function loadNavText() {
+    async function loadNavText() {
         try {
-            const savedNavText = localStorage.getItem('navText');
-            if (savedNavText) {
-                const navText = JSON.parse(savedNavText);
-                
-                // 更新品牌名称
-                const navBrand = document.querySelector('.nav-brand');
-                if (navBrand) {
-                    navBrand.textContent = navText.brandName;
+            await loadSiteContentInto('navText', navText => {
+                if (navText) {
+                    applyNavText(navText);
                 }
-                
-                // 更新导航链接
-                const navLinks = document.querySelectorAll('.nav-link');
-                navLinks.forEach(link => {
-                    const page = link.getAttribute('data-page');
-                    if (page && navText[page]) {
-                        link.textContent = navText[page];
-                    }
-                });
-            }
+            });
         } catch (error) {
             console.error('加载导航文字失败:', error);
         }
     }
 
+    // 显示导航文字
+    function applyNavText(navText) {
+        // 更新品牌名称
+        const navBrand = document.querySelector('.nav-brand');
+        if (navBrand) {
+            navBrand.textContent = navText.brandName;
+        }
+        
+        // 更新导航链接
+        const navLinks = document.querySelectorAll('.nav-link');
+        navLinks.forEach(link => {
+            const page = link.getAttribute('data-page');
+            if (page && navText[page]) {
+                link.textContent = navText[page];
+            }
+        });
+    }
+
     // 保存导航文字
-    function saveNavText(navText) {
+    async function saveNavText(navText) {
         try {
-            localStorage.setItem('navText', JSON.stringify(navText));
-            loadNavText();
-            alert('导航文字更新成功！🔄');
+            applyNavText(navText);
+            const saved = await saveSiteContent('navText', navText);
+            alert(saved ? '导航文字更新成功！🔄' : '导航文字已保存到本地，但同步到服务器失败');
         } catch (error) {
             console.error('保存导航文字失败:', error);
             alert('导航文字更新失败，请重试');
@@ -4684,7 +6896,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     // 初始化导航文字
-    loadNavText();
+    loadNavText().catch(err => console.error('加载导航文字失败:', err));
 
     // 初始化小玩偶苹果功能
     initAppleDoll();
@@ -4736,29 +6948,29 @@ document.addEventListener('DOMContentLoaded', async () => {
         return window.isLoggedIn && typeof window.isLoggedIn === 'function' ? window.isLoggedIn() : false;
     }
     
-    // 从localStorage加载工作经历书签
-    function loadExpBookmarks() {
+    // 加载工作经历书签（优先从服务器加载）
+    async function loadExpBookmarks() {
         try {
-            const saved = localStorage.getItem('expBookmarks');
-            if (saved) {
-                const data = JSON.parse(saved);
-                Object.keys(data).forEach(key => {
-                    expBookmarksData.set(parseInt(key), data[key]);
-                });
-            }
+            await loadSiteContentInto('expBookmarks', data => {
+                if (data) {
+                    Object.keys(data).forEach(key => {
+                        expBookmarksData.set(parseInt(key), data[key]);
+                    });
+                }
+            });
         } catch (error) {
             console.error('加载工作经历书签失败:', error);
         }
     }
     
-    // 保存工作经历书签到localStorage
+    // 保存工作经历书签到服务器和localStorage
     function saveExpBookmarks() {
         try {
             const data = {};
             expBookmarksData.forEach((value, key) => {
                 data[key] = value;
             });
-            localStorage.setItem('expBookmarks', JSON.stringify(data));
+            saveSiteContent('expBookmarks', data);
         } catch (error) {
             console.error('保存工作经历书签失败:', error);
         }
@@ -4988,8 +7200,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     };
     
     // 初始化工作经历书签
-    function initExpBookmarks() {
-        loadExpBookmarks();
+    async function initExpBookmarks() {
+        await loadExpBookmarks();
         
         console.log('初始化工作经历书签...');
         
@@ -5009,24 +7221,28 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
     
+    function refreshExpBookmarks() {
+        initExpBookmarks().catch(err => console.error('初始化工作经历书签失败:', err));
+    }
+    
     // 页面加载完成后初始化
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initExpBookmarks);
+        document.addEventListener('DOMContentLoaded', refreshExpBookmarks);
     } else {
-        initExpBookmarks();
+        refreshExpBookmarks();
     }
     
     // 监听登录状态变化
     const expBookmarkOriginalUpdateUIForLogin = window.updateUIForLogin;
     window.updateUIForLogin = function() {
         if (expBookmarkOriginalUpdateUIForLogin) expBookmarkOriginalUpdateUIForLogin();
-        setTimeout(initExpBookmarks, 100);
+        setTimeout(refreshExpBookmarks, 100);
     };
     
     const expBookmarkOriginalUpdateUIForLogout = window.updateUIForLogout;
     window.updateUIForLogout = function() {
         if (expBookmarkOriginalUpdateUIForLogout) expBookmarkOriginalUpdateUIForLogout();
-        setTimeout(initExpBookmarks, 100);
+        setTimeout(refreshExpBookmarks, 100);
     };
 })();
 
@@ -5043,31 +7259,28 @@ document.addEventListener('DOMContentLoaded', async () => {
         return window.isLoggedIn && typeof window.isLoggedIn === 'function' ? window.isLoggedIn() : false;
     }
     
-    // 从localStorage加载书签
-    function loadBookmarks() {
+    // 加载书签（优先从服务器加载）
+    async function loadBookmarks() {
         try {
-            const saved = localStorage.getItem('projectBookmarks');
-            if (saved) {
-                bookmarks = JSON.parse(saved);
-            } else {
-                // 默认书签
-                bookmarks = [
+            return await loadSiteContentInto('projectBookmarks', saved => {
+                // 没有保存过时使用默认书签
+                bookmarks = saved || [
                     { id: 1, title: '项目一', content: '点击编辑内容...\n\n支持多行换行排版。' },
                     { id: 2, title: '项目二', content: '点击编辑内容...\n\n支持多行换行排版。' },
                     { id: 3, title: '项目三', content: '点击编辑内容...\n\n支持多行换行排版。' }
                 ];
-                saveBookmarks();
-            }
+            });
         } catch (error) {
             console.error('加载书签失败:', error);
             bookmarks = [];
+            return true;
         }
     }
     
-    // 保存书签到localStorage
+    // 保存书签到服务器和localStorage
     function saveBookmarks() {
         try {
-            localStorage.setItem('projectBookmarks', JSON.stringify(bookmarks));
+            saveSiteContent('projectBookmarks', bookmarks);
         } catch (error) {
             console.error('保存书签失败:', error);
         }
@@ -5294,19 +7507,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     };
     
     // 初始化书签系统
-    function initBookmarks() {
-        loadBookmarks();
-        if (bookmarks.length > 0) {
+    // 加载期间已修改过书签时保留当前选中的书签
+    async function initBookmarks() {
+        if (await loadBookmarks() && bookmarks.length > 0) {
             activeBookmarkId = bookmarks[0].id;
         }
         renderBookmarks();
     }
     
+    function refreshBookmarks() {
+        initBookmarks().catch(err => console.error('初始化书签失败:', err));
+    }
+    
     // 页面加载完成后初始化
     function initAfterLoginSystem() {
         // 确保登录系统已经初始化
         if (window.isLoggedIn && typeof window.isLoggedIn === 'function') {
-            initBookmarks();
+            refreshBookmarks();
         } else {
             // 如果登录系统还未初始化，延迟执行
             setTimeout(initAfterLoginSystem, 100);
@@ -5323,13 +7540,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     const originalUpdateUIForLogin = window.updateUIForLogin;
     window.updateUIForLogin = function() {
         if (originalUpdateUIForLogin) originalUpdateUIForLogin();
-        setTimeout(initBookmarks, 100);
+        setTimeout(refreshBookmarks, 100);
     };
     
     const originalUpdateUIForLogout = window.updateUIForLogout;
     window.updateUIForLogout = function() {
         if (originalUpdateUIForLogout) originalUpdateUIForLogout();
-        setTimeout(initBookmarks, 100);
+        setTimeout(refreshBookmarks, 100);
     };
     
     // 导出函数供全局使用
@@ -0,0 +1,128 @@
+// 本地脚本共用的流程：解析参数，逐项处理项目媒体并把结果记录到媒体项上
+// 各脚本提供：
+//   needs(media, options)    该项是否需要处理
+//   process(media)           处理一项，返回记录到媒体项上的字段
+//   discard(fields)          处理期间该项已被删除时，删除刚生成的文件
+//   replace(media)           --force 重新生成后，删除该项原来的文件
+//   failed(error)            （可选）处理失败时记录到媒体项上的字段
+// 通用选项：--project <id>、--id <媒体 id>、--force、--dry-run
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { put } = require('@vercel/blob');
+const store = require('../../api/_lib/store');
+const mediaItems = require('../../api/_lib/media-items');
+
+const BLOB_TOKEN = process.env.BLOB_READ_WRITE_TOKEN;
+
+function parseArgs(argv) {
+  const options = { force: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--project' || arg === '--id') {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function download(url, filePath) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download file (${response.status})`);
+  }
+  await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(filePath));
+}
+
+// 上传到固定路径（路径中已包含媒体 id 和时间戳，不再添加随机后缀）
+async function upload(pathname, filePath, contentType) {
+  const blob = await put(pathname, fs.createReadStream(filePath), {
+    access: 'public',
+    contentType,
+    addRandomSuffix: false,
+    token: BLOB_TOKEN
+  });
+  return blob.url;
+}
+
+// 处理单项前的筛选：本站存储中的文件、--id 指定的项、没有结果或 --force
+function selectMedia(media, options, task) {
+  return Boolean(
+    media &&
+    /^https?:\/\//.test(media.url || '') &&
+    (!options.id || media.id === options.id) &&
+    task.needs(media, options)
+  );
+}
+
+async function runMediaTask(task) {
+  const options = parseArgs(process.argv.slice(2));
+  if (!(await store.isAvailable())) {
+    throw new Error('Storage not configured (set REDIS_URL)');
+  }
+  if (!options.dryRun && !BLOB_TOKEN) {
+    throw new Error('BLOB_READ_WRITE_TOKEN is required');
+  }
+
+  const projectIds = options.project ? [options.project] : await store.media.list();
+  let processed = 0;
+  let failed = 0;
+
+  for (const projectId of projectIds) {
+    const pending = (await mediaItems.loadProjectMedia(projectId)).filter(media => selectMedia(media, options, task));
+    for (const media of pending) {
+      console.log(`项目 ${projectId} ${path.basename(media.name || media.id)}`);
+      if (options.dryRun) {
+        continue;
+      }
+      try {
+        const fields = await task.process(media);
+        const result = await mediaItems.setGeneratedFields(projectId, media.id, fields);
+        if (!result) {
+          // 处理期间该项已被删除
+          await task.discard(fields);
+          console.log('  媒体已被删除，丢弃处理结果');
+          continue;
+        }
+        await task.replace(media).catch(error => console.warn('  删除原来的文件失败:', error.message));
+        console.log('  完成');
+        processed++;
+      } catch (error) {
+        console.error(`  处理失败: ${error.message}`);
+        failed++;
+        if (task.failed) {
+          await mediaItems.setGeneratedFields(projectId, media.id, task.failed(error))
+            .catch(markError => console.warn('  记录失败状态失败:', markError.message));
+        }
+      }
+    }
+  }
+
+  console.log(`完成 ${processed} 项，失败 ${failed} 项`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// 运行脚本，结束时断开存储连接
+function run(task) {
+  runMediaTask(task)
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => store.close());
+}
+
+module.exports = {
+  download,
+  upload,
+  run
+};
@@ -0,0 +1,83 @@
+// 演示文稿转换为 PDF（需要安装 LibreOffice；上传后由 GitHub Actions 自动运行，也可以在本地运行）
+// 把项目媒体中的 PPT/PPTX 转换为 PDF，上传到 Blob 并记录到媒体项的 pdf 中（格式见 api/_lib/document-previews.js），
+// 作品预览中用 pdf.js 逐页显示；转换失败时记录 pdfError，之后不指定 --id 运行时跳过该文件
+//
+// 用法（环境变量与线上相同，可以先用 vercel env pull 取得）：
+//   REDIS_URL=... BLOB_READ_WRITE_TOKEN=... node scripts/convert-ppt.js [选项]
+//     --project <id>   只处理该项目
+//     --id <媒体 id>    只处理该文件（转换失败过的也重新转换）
+//     --force          已有 PDF 或转换失败过的文件也重新转换（完成后删除旧版本）
+//     --dry-run        只列出需要处理的文件
+// LibreOffice 不在 PATH 中时用 SOFFICE 指定，如 SOFFICE=/Applications/LibreOffice.app/Contents/MacOS/soffice
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { documentPathname, deleteDocumentPreview } = require('../api/_lib/document-previews');
+const { download, upload, run } = require('./_lib/media-task');
+
+const execFileAsync = promisify(execFile);
+
+const SOFFICE = process.env.SOFFICE || 'soffice';
+
+// 单个文件的转换时间上限
+const CONVERT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// LibreOffice 按扩展名识别格式
+function extensionOf(media) {
+  return media.mimeType === 'application/vnd.ms-powerpoint' ? 'ppt' : 'pptx';
+}
+
+// 转换并上传一个演示文稿，返回记录到媒体项上的字段
+async function convertPresentation(media) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ppt-'));
+  try {
+    const input = path.join(workDir, `source.${extensionOf(media)}`);
+    console.log(`  下载 ${media.url}`);
+    await download(media.url, input);
+
+    console.log('  转换为 PDF');
+    // 使用独立的用户配置目录，避免与正在运行的 LibreOffice 冲突
+    await execFileAsync(SOFFICE, [
+      `-env:UserInstallation=file://${path.join(workDir, 'profile')}`,
+      '--headless',
+      '--convert-to', 'pdf',
+      '--outdir', workDir,
+      input
+    ], { timeout: CONVERT_TIMEOUT_MS });
+
+    const output = path.join(workDir, 'source.pdf');
+    if (!fs.existsSync(output)) {
+      throw new Error('LibreOffice did not produce a PDF');
+    }
+
+    const timestamp = Date.now();
+    const url = await upload(documentPathname(media.id, timestamp), output, 'application/pdf');
+    return {
+      pdf: {
+        url,
+        size: fs.statSync(output).size,
+        createdAt: new Date(timestamp).toISOString()
+      },
+      // 重新转换成功后清除以前的失败记录
+      pdfError: undefined
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+run({
+  needs: (media, options) => (
+    media.type === 'ppt' &&
+    (options.force || (!media.pdf && (!media.pdfError || Boolean(options.id))))
+  ),
+  process: convertPresentation,
+  failed: error => ({
+    pdfError: { message: String(error.message).slice(0, 500), failedAt: new Date().toISOString() }
+  }),
+  discard: deleteDocumentPreview,
+  // 重新转换时删除旧版本
+  replace: deleteDocumentPreview
+});
@@ -0,0 +1,191 @@
+// 视频 HLS 转码（在本地运行，需要安装 ffmpeg 和 ffprobe）
+// 为项目媒体中的视频生成多种清晰度的 HLS 码流，上传到 Blob 并记录到媒体项的 hls 中（格式见 api/_lib/video-streams.js）；
+// 还没有封面帧的视频同时截取一帧作为 poster
+//
+// 用法（环境变量与线上相同，可以先用 vercel env pull 取得）：
+//   REDIS_URL=... BLOB_READ_WRITE_TOKEN=... node scripts/transcode-hls.js [选项]
+//     --project <id>   只处理该项目
+//     --id <媒体 id>    只处理该视频
+//     --force          已有 HLS 的视频也重新生成（完成后删除旧版本）
+//     --dry-run        只列出需要处理的视频
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { buildUploadPathname } = require('../api/_lib/upload-policy');
+const { hlsDirectory, deleteVideoStream } = require('../api/_lib/video-streams');
+const { download, upload, run } = require('./_lib/media-task');
+
+const execFileAsync = promisify(execFile);
+
+// 各清晰度（高于原视频的不生成，最低一档总是生成）
+const RENDITIONS = [
+  { height: 360, videoBitrate: 800000, audioBitrate: 96000 },
+  { height: 720, videoBitrate: 2800000, audioBitrate: 128000 },
+  { height: 1080, videoBitrate: 5000000, audioBitrate: 160000 }
+];
+
+// 每个分片的秒数
+const SEGMENT_SECONDS = 6;
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.jpg': 'image/jpeg'
+};
+
+// 读取视频的尺寸和是否有音轨
+async function probe(filePath) {
+  const { stdout } = await execFileAsync('ffprobe', [
+    '-v', 'error',
+    '-show_entries', 'stream=codec_type,width,height',
+    '-of', 'json',
+    filePath
+  ]);
+  const streams = JSON.parse(stdout).streams || [];
+  const video = streams.find(stream => stream.codec_type === 'video');
+  if (!video) {
+    throw new Error('No video stream');
+  }
+  return {
+    width: video.width,
+    height: video.height,
+    hasAudio: streams.some(stream => stream.codec_type === 'audio')
+  };
+}
+
+// 原视频需要生成的清晰度
+function selectRenditions(source) {
+  const selected = RENDITIONS.filter(rendition => rendition.height <= source.height);
+  const renditions = selected.length > 0 ? selected : [RENDITIONS[0]];
+  return renditions.map(rendition => {
+    const height = Math.min(rendition.height, source.height - (source.height % 2));
+    const width = Math.round((source.width * height) / source.height / 2) * 2;
+    return { ...rendition, width, height };
+  });
+}
+
+// 转码一种清晰度，生成 <高度>.m3u8 和 <高度>_000.ts ...
+async function transcodeRendition(input, outputDir, rendition, hasAudio) {
+  const name = String(rendition.height);
+  const args = [
+    '-y', '-v', 'error',
+    '-i', input,
+    '-map', '0:v:0',
+    ...(hasAudio ? ['-map', '0:a:0'] : []),
+    '-vf', `scale=${rendition.width}:${rendition.height}`,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-profile:v', 'main',
+    '-b:v', String(rendition.videoBitrate),
+    '-maxrate', String(Math.round(rendition.videoBitrate * 1.2)),
+    '-bufsize', String(rendition.videoBitrate * 2),
+    // 固定关键帧间隔，保证各清晰度的分片对齐、可以无缝切换
+    '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+    ...(hasAudio ? ['-c:a', 'aac', '-b:a', String(rendition.audioBitrate), '-ac', '2'] : ['-an']),
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(outputDir, `${name}_%03d.ts`),
+    path.join(outputDir, `${name}.m3u8`)
+  ];
+  await execFileAsync('ffmpeg', args, { maxBuffer: 10 * 1024 * 1024 });
+  return `${name}.m3u8`;
+}
+
+function buildMasterPlaylist(renditions) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  renditions.forEach(rendition => {
+    const bandwidth = rendition.videoBitrate + (rendition.hasAudio ? rendition.audioBitrate : 0);
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`);
+    lines.push(rendition.playlist);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// 截取一帧作为封面帧（1 秒处，视频更短时取第一帧）
+async function capturePoster(input, outputDir, source) {
+  const posterPath = path.join(outputDir, 'poster.jpg');
+  const capture = seek => execFileAsync('ffmpeg', [
+    '-y', '-v', 'error', '-ss', String(seek), '-i', input, '-frames:v', '1', '-q:v', '3', posterPath
+  ]);
+  let time = 1;
+  await capture(time).catch(() => {});
+  if (!fs.existsSync(posterPath)) {
+    time = 0;
+    await capture(time);
+  }
+  return { path: posterPath, width: source.width, height: source.height, time };
+}
+
+function contentTypeOf(filePath) {
+  return CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+}
+
+// 转码并上传一个视频，返回记录到媒体项上的字段
+async function processVideo(media) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-'));
+  try {
+    const input = path.join(workDir, 'source');
+    console.log(`  下载 ${media.url}`);
+    await download(media.url, input);
+
+    const source = await probe(input);
+    const outputDir = path.join(workDir, 'hls');
+    fs.mkdirSync(outputDir);
+
+    const renditions = [];
+    for (const rendition of selectRenditions(source)) {
+      console.log(`  转码 ${rendition.width}x${rendition.height}`);
+      const playlist = await transcodeRendition(input, outputDir, rendition, source.hasAudio);
+      renditions.push({ ...rendition, playlist, hasAudio: source.hasAudio });
+    }
+    fs.writeFileSync(path.join(outputDir, 'master.m3u8'), buildMasterPlaylist(renditions));
+
+    // 先上传分片和各清晰度的播放列表，最后上传主播放列表
+    const timestamp = Date.now();
+    const directory = hlsDirectory(media.id, timestamp);
+    const files = fs.readdirSync(outputDir).filter(file => file !== 'master.m3u8');
+    files.sort((a, b) => (a.endsWith('.ts') === b.endsWith('.ts') ? a.localeCompare(b) : a.endsWith('.ts') ? -1 : 1));
+    for (const file of files) {
+      await upload(`${directory}${file}`, path.join(outputDir, file), contentTypeOf(file));
+    }
+    const url = await upload(`${directory}master.m3u8`, path.join(outputDir, 'master.m3u8'), contentTypeOf('master.m3u8'));
+
+    const fields = {
+      hls: {
+        url,
+        renditions: renditions.map(({ width, height, videoBitrate, audioBitrate, hasAudio }) => ({
+          width,
+          height,
+          bandwidth: videoBitrate + (hasAudio ? audioBitrate : 0)
+        })),
+        createdAt: new Date(timestamp).toISOString()
+      }
+    };
+
+    if (!media.poster) {
+      const poster = await capturePoster(input, workDir, source);
+      const baseName = (media.name || 'video').replace(/\.[^.]+$/, '');
+      fields.poster = {
+        url: await upload(buildUploadPathname(`${baseName}-poster.jpg`), poster.path, contentTypeOf(poster.path)),
+        width: poster.width,
+        height: poster.height,
+        time: poster.time
+      };
+    }
+
+    return fields;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+run({
+  needs: (media, options) => media.type === 'video' && (options.force || !media.hls),
+  process: processVideo,
+  discard: deleteVideoStream,
+  // 重新生成时删除旧版本
+  replace: deleteVideoStream
+});
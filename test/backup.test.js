@@ -0,0 +1,140 @@
+// 整站备份的导出 / 导入往返：重新上传后所有引用文件的字段都换成新地址（使用内存存储，不需要 Redis）
+process.env.STORE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const store = require('../api/_lib/store');
+const { exportBackup, collectBackupFiles, validateBackup, importBackup } = require('../api/_lib/backup');
+
+const OLD_HOST = 'https://old.public.blob.vercel-storage.com';
+const NEW_HOST = 'https://new.public.blob.vercel-storage.com';
+
+const session = { sid: 'test' };
+
+const photo = {
+  id: 'photo',
+  type: 'image',
+  name: '照片.png',
+  mimeType: 'image/png',
+  url: `${OLD_HOST}/photo.png`,
+  width: 800,
+  height: 600,
+  variants: [
+    { name: 'thumb', width: 400, height: 300, format: 'avif', url: `${OLD_HOST}/variants/photo/thumb-400.avif`, size: 10 },
+    { name: 'thumb', width: 400, height: 300, format: 'webp', url: `${OLD_HOST}/variants/photo/thumb-400.webp`, size: 12 }
+  ]
+};
+
+const video = {
+  id: 'video',
+  type: 'video',
+  name: 'demo.mp4',
+  mimeType: 'video/mp4',
+  url: `${OLD_HOST}/demo.mp4`,
+  poster: { url: `${OLD_HOST}/demo-poster.jpg`, width: 1280, height: 720, time: 3 },
+  hls: { url: `${OLD_HOST}/hls/video/1/master.m3u8`, renditions: [{ height: 720 }] }
+};
+
+const slides = {
+  id: 'slides',
+  type: 'ppt',
+  name: 'slides.pptx',
+  mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  url: `${OLD_HOST}/slides.pptx`,
+  pdf: { url: `${OLD_HOST}/documents/slides/1.pdf`, size: 100 }
+};
+
+const external = { id: 'external', type: 'image', url: 'https://example.com/image.png' };
+
+async function seed() {
+  await store.projects.set({ p1: { title: '项目' } });
+  await store.media.set('p1', [photo, video, slides, external]);
+  await store.text.set('profilePhoto', 'about', JSON.stringify({ url: `${OLD_HOST}/profile.jpg`, width: 400, height: 400 }));
+  await store.text.set('contactText', 'about', '联系方式');
+}
+
+// 模拟导入时的重新上传：备份列出的每个文件都得到一个新地址
+function reupload(files) {
+  const urlMap = {};
+  files.forEach(file => {
+    urlMap[file.url] = file.url.replace(OLD_HOST, NEW_HOST).replace('https://example.com', NEW_HOST);
+  });
+  return urlMap;
+}
+
+test('备份列出所有引用的文件（HLS 目录除外）', async () => {
+  await seed();
+  const urls = collectBackupFiles(await exportBackup()).map(file => file.url).sort();
+  assert.deepStrictEqual(urls, [
+    'https://example.com/image.png',
+    `${OLD_HOST}/demo-poster.jpg`,
+    `${OLD_HOST}/demo.mp4`,
+    `${OLD_HOST}/documents/slides/1.pdf`,
+    `${OLD_HOST}/photo.png`,
+    `${OLD_HOST}/profile.jpg`,
+    `${OLD_HOST}/slides.pptx`,
+    `${OLD_HOST}/variants/photo/thumb-400.avif`,
+    `${OLD_HOST}/variants/photo/thumb-400.webp`
+  ]);
+});
+
+test('导入时替换所有引用文件的字段', async () => {
+  await seed();
+  const backup = await exportBackup();
+  const urlMap = reupload(collectBackupFiles(backup));
+
+  const data = JSON.parse(JSON.stringify({ ...backup, urlMap }));
+  assert.deepStrictEqual(validateBackup(data), []);
+  await importBackup(data, session);
+
+  const [importedPhoto, importedVideo, importedSlides, importedExternal] = await store.media.get('p1');
+  assert.strictEqual(importedPhoto.url, `${NEW_HOST}/photo.png`);
+  assert.deepStrictEqual(importedPhoto.variants.map(variant => variant.url), [
+    `${NEW_HOST}/variants/photo/thumb-400.avif`,
+    `${NEW_HOST}/variants/photo/thumb-400.webp`
+  ]);
+  assert.strictEqual(importedVideo.url, `${NEW_HOST}/demo.mp4`);
+  assert.deepStrictEqual(importedVideo.poster, { ...video.poster, url: `${NEW_HOST}/demo-poster.jpg` });
+  // HLS 目录没有打包，原视频换了地址后去掉，需要重新转码
+  assert.strictEqual(importedVideo.hls, undefined);
+  assert.strictEqual(importedSlides.url, `${NEW_HOST}/slides.pptx`);
+  assert.deepStrictEqual(importedSlides.pdf, { ...slides.pdf, url: `${NEW_HOST}/documents/slides/1.pdf` });
+  assert.strictEqual(importedExternal.url, `${NEW_HOST}/image.png`);
+
+  const profilePhoto = JSON.parse(await store.text.get('profilePhoto', 'about'));
+  assert.deepStrictEqual(profilePhoto, { url: `${NEW_HOST}/profile.jpg`, width: 400, height: 400 });
+  assert.strictEqual(await store.text.get('contactText', 'about'), '联系方式');
+
+  // 新数据中不再引用旧存储
+  const remaining = JSON.stringify([await store.media.get('p1'), profilePhoto]);
+  assert.ok(!remaining.includes(OLD_HOST), remaining);
+});
+
+test('没有打包的衍生文件在原文件换地址后去掉，原文件没有换地址时保持不变', async () => {
+  await seed();
+  const backup = await exportBackup();
+  await importBackup({ ...backup, urlMap: { [photo.url]: `${NEW_HOST}/photo.png` } }, session);
+
+  const [importedPhoto, importedVideo, importedSlides] = await store.media.get('p1');
+  assert.strictEqual(importedPhoto.url, `${NEW_HOST}/photo.png`);
+  assert.strictEqual(importedPhoto.variants, undefined);
+  assert.deepStrictEqual(importedVideo, video);
+  assert.deepStrictEqual(importedSlides, slides);
+});
+
+test('不带 urlMap 导入时数据保持不变', async () => {
+  await seed();
+  const backup = await exportBackup();
+  await importBackup(backup, session);
+  assert.deepStrictEqual(await store.media.get('p1'), [photo, video, slides, external]);
+});
+
+test('urlMap 中的新地址必须是 http(s) 地址', () => {
+  const errors = validateBackup({
+    format: 'portfolio-backup',
+    version: 1,
+    urlMap: { [photo.url]: 'javascript:alert(1)' }
+  });
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0].field, /^urlMap\./);
+});
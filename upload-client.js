@@ -0,0 +1,209 @@
+// 统一上传客户端：所有页面都通过 uploadMedia(file) 上传文件
+// 对应服务端接口 /api/v1/upload，返回的 media 可以直接加入项目媒体列表：
+//   { type, name, mimeType, size, url, uploadTime }
+
+(function() {
+    const UPLOAD_API = '/api/v1/upload';
+    const BLOB_CLIENT_SDK_URL = 'https://esm.sh/@vercel/blob@0.23.4/client';
+
+    // 每个分块最多重试 3 次
+    const MAX_PART_RETRIES = 3;
+
+    // 其他请求正在合并同一个上传会话时，每隔几秒重新请求一次
+    const COMPLETE_RETRY_DELAY = 3000;
+
+    // 浏览器没有给出类型（常见于 .ppt/.pptx）时按扩展名推断；与 api/_lib/upload-policy.js 中的表一致
+    const EXTENSION_CONTENT_TYPES = {
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        png: 'image/png',
+        gif: 'image/gif',
+        webp: 'image/webp',
+        avif: 'image/avif',
+        heic: 'image/heic',
+        mp4: 'video/mp4',
+        m4v: 'video/x-m4v',
+        mov: 'video/quicktime',
+        webm: 'video/webm',
+        mkv: 'video/x-matroska',
+        avi: 'video/x-msvideo',
+        '3gp': 'video/3gpp',
+        pdf: 'application/pdf',
+        ppt: 'application/vnd.ms-powerpoint',
+        pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    };
+
+    function getContentType(file) {
+        if (file.type && file.type !== 'application/octet-stream') {
+            return file.type;
+        }
+        const match = /\.([a-z0-9]+)$/i.exec(file.name || '');
+        const ext = match ? match[1].toLowerCase() : '';
+        return Object.prototype.hasOwnProperty.call(EXTENSION_CONTENT_TYPES, ext)
+            ? EXTENSION_CONTENT_TYPES[ext]
+            : 'application/octet-stream';
+    }
+
+    async function requestJson(url, options) {
+        const response = await fetch(url, options);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) {
+            const error = new Error(data.error || `${response.status} ${response.statusText}`);
+            error.status = response.status;
+            error.data = data;
+            throw error;
+        }
+        return data;
+    }
+
+    function postJson(url, body) {
+        return requestJson(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    // 加载 Vercel Blob 客户端 SDK（index.html 已预加载时直接使用）
+    async function getBlobUpload() {
+        if (typeof window.blobUpload === 'function') {
+            return window.blobUpload;
+        }
+        console.log('动态加载 Vercel Blob 客户端 SDK');
+        const { upload } = await import(BLOB_CLIENT_SDK_URL);
+        window.blobUpload = upload;
+        return upload;
+    }
+
+    // 小文件：使用服务器签发的令牌直传 Blob
+    async function uploadSingle(file, contentType, prepared, onProgress) {
+        const upload = await getBlobUpload();
+        const blob = await upload(prepared.pathname, file, {
+            access: 'public',
+            handleUploadUrl: UPLOAD_API,
+            contentType,
+            // 服务器据此限制令牌允许的类型和大小
+            clientPayload: JSON.stringify({ contentType, size: file.size })
+        });
+        onProgress(1);
+
+        const { media } = await postJson(`${UPLOAD_API}?action=complete`, { url: blob.url });
+        return media;
+    }
+
+    // 同一个文件的会话 ID 保存在 localStorage，网络中断后重新上传同一文件会从已完成的分块继续
+    function getResumeKey(file) {
+        return `chunkUpload:${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    async function uploadPartWithRetry(uploadId, partNumber, chunk) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await requestJson(
+                    `${UPLOAD_API}?uploadId=${encodeURIComponent(uploadId)}&partNumber=${partNumber}`,
+                    {
+                        method: 'PUT',
+                        headers: { 'Content-Type': 'application/octet-stream' },
+                        body: chunk
+                    }
+                );
+            } catch (error) {
+                // 4xx 说明请求本身有问题，重试没有意义
+                if (attempt >= MAX_PART_RETRIES || (error.status >= 400 && error.status < 500)) {
+                    throw error;
+                }
+                console.warn(`分块 ${partNumber} 上传失败，第 ${attempt} 次重试:`, error.message);
+                await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+            }
+        }
+    }
+
+    // 大文件：可续传的分块上传
+    async function uploadMultipart(file, session, onProgress) {
+        const resumeKey = getResumeKey(file);
+        const { uploadId, partSize, totalParts } = session;
+        const uploaded = new Set(session.uploadedParts || []);
+        localStorage.setItem(resumeKey, uploadId);
+
+        for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+            onProgress(uploaded.size / totalParts);
+            if (uploaded.has(partNumber)) {
+                continue;
+            }
+
+            const start = (partNumber - 1) * partSize;
+            const end = Math.min(start + partSize, file.size);
+            await uploadPartWithRetry(uploadId, partNumber, file.slice(start, end));
+            uploaded.add(partNumber);
+        }
+        onProgress(1);
+
+        const media = await completeMultipart(uploadId);
+        localStorage.removeItem(resumeKey);
+        return media;
+    }
+
+    // 合并分块；同一个会话正在被其他请求（如另一个页面或超时前的请求）合并时，等待合并完成
+    async function completeMultipart(uploadId) {
+        for (;;) {
+            try {
+                const { media } = await postJson(`${UPLOAD_API}?action=complete`, { uploadId });
+                return media;
+            } catch (error) {
+                if (error.status !== 409 || !error.data.completing) {
+                    throw error;
+                }
+            }
+            await new Promise(resolve => setTimeout(resolve, COMPLETE_RETRY_DELAY));
+        }
+    }
+
+    // 查找该文件未完成的分块上传会话
+    async function findResumableSession(file) {
+        const resumeKey = getResumeKey(file);
+        const uploadId = localStorage.getItem(resumeKey);
+        if (!uploadId) {
+            return null;
+        }
+
+        try {
+            const status = await requestJson(`${UPLOAD_API}?uploadId=${encodeURIComponent(uploadId)}`);
+            console.log(`续传会话 ${uploadId}，已上传 ${status.uploadedParts.length}/${status.totalParts} 块`);
+            return status;
+        } catch (error) {
+            console.warn('无法续传，重新上传:', error.message);
+            localStorage.removeItem(resumeKey);
+            return null;
+        }
+    }
+
+    // 上传文件，由服务器按大小选择直传或分块上传
+    // options.onProgress(ratio)：进度回调，ratio 为 0~1
+    async function uploadMedia(file, options = {}) {
+        const onProgress = options.onProgress || function() {};
+        const contentType = getContentType(file);
+
+        const resumable = await findResumableSession(file);
+        if (resumable) {
+            if (resumable.status === 'completed' && resumable.media) {
+                localStorage.removeItem(getResumeKey(file));
+                return resumable.media;
+            }
+            return uploadMultipart(file, resumable, onProgress);
+        }
+
+        const prepared = await postJson(`${UPLOAD_API}?action=prepare`, {
+            filename: file.name,
+            size: file.size,
+            contentType
+        });
+
+        if (prepared.strategy === 'multipart') {
+            return uploadMultipart(file, prepared, onProgress);
+        }
+        // 直传令牌只接受服务器确认的类型
+        return uploadSingle(file, prepared.contentType || contentType, prepared, onProgress);
+    }
+
+    window.uploadMedia = uploadMedia;
+})();